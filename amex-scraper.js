@@ -1,38 +1,19 @@
-import { getMidMarketRate } from './frankfurter.js';
+import { getMidMarketRate, getMidMarketDailySeriesAsOf, provider as midMarket } from './frankfurter.js';
+import { recordSnapshot, findSnapshot } from './amex-snapshots.js';
+import { fillForwardSeries, withTimeout, fetchJsonFromPage, formatDate, listDates } from './scraper-utils.js';
+import { schedule } from './fetch-scheduler.js';
+import { getBreaker } from './circuit-breaker.js';
+import { registerSite } from './browser-pool.js';
+import { logger, logPayload } from './logger.js';
 
-async function launchBrowser() {
-  const isProduction = process.env.VERCEL || process.env.AWS_LAMBDA_FUNCTION_NAME;
+const AMEX_URL = process.env.AMEX_URL || 'https://www.americanexpress.com/en-us/foreign-exchange/fxrates/';
+const AMEX_API_BASE = process.env.AMEX_API_BASE || 'https://www.americanexpress.com/gemservices/gcdt/ecbrates/';
 
-  if (isProduction) {
-    // Production: Use @sparticuz/chromium (for Vercel/Lambda)
-    const chromiumBinary = await import('@sparticuz/chromium');
-    const chromium = chromiumBinary.default || chromiumBinary;
-    const { chromium: playwright } = await import('playwright-core');
+const AMEX_HOST = new URL(AMEX_API_BASE).host;
 
-    const executablePath = await chromium.executablePath();
+const breaker = getBreaker('amex');
 
-    return await playwright.launch({
-      args: chromium.args,
-      executablePath: executablePath,
-      headless: true,
-    });
-  } else {
-    // Development: Use local Playwright
-    const { chromium } = await import('playwright');
-    return await chromium.launch({
-      headless: true,
-    });
-  }
-}
-
-const AMEX_URL = 'https://www.americanexpress.com/en-us/foreign-exchange/fxrates/';
-const AMEX_API_BASE = 'https://www.americanexpress.com/gemservices/gcdt/ecbrates/';
-
-const cache = new Map();
-const CACHE_TTL = 1000 * 60 * 60;
-
-let sharedBrowser = null;
-let sharedPage = null;
+registerSite('amex', AMEX_URL);
 
 // ICC (International Card Center) supports all currencies
 // Use individual country codes for better regional rates where available
@@ -75,208 +56,249 @@ const currencyToCountry = {
   'ISK': 'ICC'
 };
 
-function getCacheKey(date, base, quote) {
-  return `${date}|${base}|${quote}`;
-}
+// Card markets a variance table can be requested for
+export const AMEX_MARKETS = [...new Set(Object.values(currencyToCountry))].sort();
 
-async function ensureBrowser() {
-  if (!sharedBrowser || !sharedPage) {
-    sharedBrowser = await launchBrowser();
-    const context = await sharedBrowser.newContext({
-      userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-      viewport: { width: 1280, height: 720 }
-    });
-    sharedPage = await context.newPage();
-    await sharedPage.goto(AMEX_URL, { waitUntil: 'networkidle' });
-    await sharedPage.waitForTimeout(2000);
-  }
-  return sharedPage;
+function defaultMarket(base) {
+  return currencyToCountry[base] || 'ICC';
 }
 
-async function getAmexRateViaPlaywright(date, base, quote, amount = 1) {
-  try {
-    const page = await ensureBrowser();
-    const ecbRate = await getMidMarketRate(date, base, quote);
-    const market = currencyToCountry[base] || 'ICC';
-    const params = { date, base, quote, market, amount };
+// ICC uses "EURO" instead of "EUR" for the settlement currency
+const settles = (entry, currency) => entry.settlementCurrency === currency || (currency === 'EUR' && entry.settlementCurrency === 'EURO');
+const settlementCode = (entry) => (entry.settlementCurrency === 'EURO' ? 'EUR' : entry.settlementCurrency);
 
-    const apiPromise = page.waitForResponse(
-      response => response.url().includes('/gemservices/gcdt/ecbrates/') && response.status() === 200,
-      { timeout: 15000 }
-    );
+function varianceMultiplier(entry, currency) {
+  const row = entry && entry.consumer && entry.consumer.find((c) => c.submissionCurrencyCode === currency);
+  return row && row.percentageVariance ? 1 + parseFloat(row.percentageVariance) / 100 : null;
+}
 
-    await page.evaluate(
-      ({ apiBase, market }) => {
-        const url = `${apiBase}?market=${market}`;
-        return fetch(url, {
-          method: 'POST',
-          headers: {
-            'Accept': 'application/json',
-            'Content-Type': 'application/json'
-          },
-          credentials: 'include'
-        });
-      },
-      { apiBase: AMEX_API_BASE, market }
-    );
+/**
+ * Price base→quote from a market's variance tables, each of which lists the
+ * variance of submission currencies against one settlement currency
+ * @returns {{ rate: number, route: string[] }|null}
+ */
+function priceFromTables(tables, market, base, quote, ecbRate) {
+  // Country markets answer with a single table settled in their home currency
+  const home = market !== 'ICC' && market === defaultMarket(base) ? tables[0] : null;
+
+  // CASE A: base is the settlement currency (e.g. EUR→JPY)
+  const direct = home || tables.find((entry) => settles(entry, base));
+  const quoteMultiplier = varianceMultiplier(direct, quote);
+  if (quoteMultiplier) {
+    return { rate: ecbRate * quoteMultiplier, route: [base, quote] };
+  }
 
-    const response = await apiPromise;
-    const data = await response.json();
+  // CASE B: quote is the settlement currency (e.g. JPY→EUR), so the variance is inverted
+  const inverse = tables.find((entry) => settles(entry, quote));
+  const baseMultiplier = varianceMultiplier(inverse, base);
+  if (baseMultiplier) {
+    return { rate: ecbRate / baseMultiplier, route: [base, quote] };
+  }
 
-    function logCircuit(name, params, url, json) {
-      try {
-        const payload = { circuit: name, params, request: url, response: json };
-        console.log(JSON.stringify(payload, null, 2));
-      } catch {}
+  // CASE C: neither is (e.g. JPY→GBP); go base→settlement→quote through a table listing both
+  for (const entry of tables) {
+    const into = varianceMultiplier(entry, base);
+    const out = varianceMultiplier(entry, quote);
+    if (into && out) {
+      return { rate: (ecbRate / into) * out, route: [base, settlementCode(entry), quote] };
     }
+  }
+  return null;
+}
 
-    if (data && Array.isArray(data) && data.length > 0) {
-      // ICC returns 2 entries: EURO and USD settlement currencies
-      // For other markets, returns 1 entry with specific settlement currency
-
-      // Find the entry that matches our base currency
-      let rateData = null;
-
-      if (market === 'ICC') {
-        // ICC returns 2 entries: EURO and USD settlement currencies
-        // ICC uses "EURO" instead of "EUR" for the settlement currency
-        const normalizedBase = base === 'EUR' ? 'EURO' : base;
-        const normalizedQuote = quote === 'EUR' ? 'EURO' : quote;
-
-        // CASE A: Try to find entry with base as settlementCurrency (e.g., EUR→JPY)
-        rateData = data.find(entry => entry.settlementCurrency === normalizedBase);
-        let needsInversion = false;
-
-        if (!rateData) {
-          // CASE B: Not found → try to find entry with quote as settlementCurrency (e.g., JPY→EUR)
-          // We'll need to invert the calculation
-          rateData = data.find(entry => entry.settlementCurrency === normalizedQuote);
-          needsInversion = true;
-        }
-
-        // If neither base nor quote are settlementCurrency in ICC (e.g., JPY→GBP, CHF→AUD)
-        // we cannot accurately calculate the rate, so return null
-        if (!rateData) {
-          console.log(`[Amex] Unsupported currency pair for ICC: ${base}→${quote} (neither is settlementCurrency)`);
-          return null;
+async function fetchMarketTables(market, { deadline } = {}) {
+  const url = `${AMEX_API_BASE}?market=${market}`;
+  // Each lookup borrows a page from the browser pool for the duration of its fetch.
+  // Checked inside the breaker, so a run of unreadable answers opens it too
+  return breaker.run(async () => {
+    const data = await schedule(AMEX_HOST, async () => {
+      const result = await withTimeout(fetchJsonFromPage('amex', url, {
+        method: 'POST',
+        headers: {
+          'Accept': 'application/json',
+          'Content-Type': 'application/json'
         }
+      }), 15000, 'Amex API did not respond within 15000ms');
+      if (result.status !== 200) {
+        const error = new Error(`Amex API responded with ${result.status}`);
+        error.status = result.status;
+        throw error;
+      }
+      return result.data;
+    }, { deadline });
 
-        if (rateData && rateData.consumer) {
-          let quoteData;
-
-          if (needsInversion) {
-            // For inversion (e.g., JPY→EUR), find BASE in consumer rates
-            // We have entry for EURO, so we look for JPY in consumer
-            quoteData = rateData.consumer.find(c => c.submissionCurrencyCode === base);
-          } else {
-            // Normal case: find QUOTE in consumer rates (e.g., EUR→JPY)
-            quoteData = rateData.consumer.find(c => c.submissionCurrencyCode === quote);
-          }
-
-          if (quoteData && quoteData.percentageVariance) {
-            const variance = parseFloat(quoteData.percentageVariance);
-            const multiplier = 1 + variance / 100;
+    // The market table lists every currency; LOG_PAYLOAD_MAX_CHARS keeps it short
+    logPayload('upstream_response', { provider: 'amex', market, url }, data);
 
-            // Apply or invert the multiplier based on the case
-            const amexRate = needsInversion
-              ? ecbRate / multiplier  // INVERSION: divide instead of multiply
-              : ecbRate * multiplier; // NORMAL: multiply
+    if (!Array.isArray(data) || data.length === 0) {
+      throw new Error('Could not parse Amex API response');
+    }
+    return data;
+  });
+}
 
-            // Log once per circuit with request/response
-            const url = `${AMEX_API_BASE}?market=${market}`;
-            logCircuit('Amex', params, url, data);
-            return amexRate;
-          }
-        }
-      } else {
-        // For specific country markets, use the first entry
-        rateData = data[0];
+// Today's fetch per market, shared by concurrent lookups until it is recorded
+const pendingTables = new Map();
+
+function fetchTodaysTables(market, options) {
+  const today = formatDate(new Date());
+  const pending = pendingTables.get(market);
+  if (pending && pending.date === today) return pending.promise;
+
+  const promise = fetchMarketTables(market, options).then((tables) => {
+    recordSnapshot(market, today, tables);
+    return tables;
+  });
+  const clear = () => {
+    if (pendingTables.get(market) === entry) pendingTables.delete(market);
+  };
+  const entry = { date: today, promise };
+  pendingTables.set(market, entry);
+  promise.then(clear, clear);
+  return promise;
+}
 
-        if (rateData && rateData.consumer) {
-          const quoteData = rateData.consumer.find(c => c.submissionCurrencyCode === quote);
+/**
+ * The variance tables in effect on a date. Amex only publishes the current
+ * ones, so past dates are answered from the daily snapshots; dates before the
+ * first snapshot get the earliest tables known and are marked estimated.
+ * @returns {Promise<{ date: string, tables: Array<Object>, estimated: boolean }>}
+ */
+async function tablesFor(market, date, options) {
+  const today = formatDate(new Date());
+  const snapshot = findSnapshot(market, date);
+  if (snapshot && (date < today || snapshot.date === today)) {
+    return snapshot;
+  }
+  const tables = await fetchTodaysTables(market, options);
+  return { date: today, tables, estimated: date < today };
+}
 
-          if (quoteData && quoteData.percentageVariance) {
-            const variance = parseFloat(quoteData.percentageVariance);
-            const amexRate = ecbRate * (1 + variance / 100);
+// midRate, when the caller already has the day's mid-market rate; otherwise it is
+// looked up under the reference policy for weekends and holidays
+async function getAmexRateViaPlaywright(date, base, quote, market, { policy, midRate, ...options } = {}) {
+  try {
+    const ecbRate = midRate ?? await getMidMarketRate(date, base, quote, 1, { policy });
+    const snapshot = await tablesFor(market, date, options);
 
-            // Log once per circuit with request/response
-            const url = `${AMEX_API_BASE}?market=${market}`;
-            logCircuit('Amex', params, url, data);
-            return amexRate;
-          }
-        }
-      }
+    const priced = priceFromTables(snapshot.tables, market, base, quote, ecbRate);
+    if (!priced) {
+      logger.info('amex_unsupported_pair', { market, base, quote });
+      return null;
     }
-
-    throw new Error('Could not parse Amex API response');
+    return { ...priced, varianceAsOf: snapshot.date, estimated: snapshot.estimated };
   } catch (error) {
+    // No mid-market rate under a strict policy is reported as such, not as an unsupported pair
+    if (error.code === 'EDEADLINE' || error.code === 'ECIRCUITOPEN' || error.code === 'ENOMIDRATE') throw error;
+    logger.warn('upstream_error', { provider: 'amex', date, base, quote, market, message: error.message, status: error.status });
     return null;
   }
 }
 
-export async function closeBrowser() {
-  if (sharedBrowser) {
-    await sharedBrowser.close();
-    sharedBrowser = null;
-    sharedPage = null;
-  }
+let snapshotRun = null;
+
+/**
+ * Record today's variance tables for every market that has none yet.
+ * Overlapping calls share one run.
+ * @returns {Promise<{ taken: string[], failed: string[] }>}
+ */
+export function takeAmexSnapshots() {
+  if (snapshotRun) return snapshotRun;
+  snapshotRun = (async () => {
+    const today = formatDate(new Date());
+    const due = AMEX_MARKETS.filter((market) => {
+      const snapshot = findSnapshot(market, today);
+      return !snapshot || snapshot.date !== today;
+    });
+    const results = await Promise.allSettled(due.map((market) => fetchTodaysTables(market)));
+    const taken = due.filter((_, i) => results[i].status === 'fulfilled');
+    const failed = due.filter((_, i) => results[i].status === 'rejected');
+    logger.info('amex_snapshots_taken', { date: today, taken, failed });
+    return { taken, failed };
+  })().finally(() => {
+    snapshotRun = null;
+  });
+  return snapshotRun;
 }
 
-export async function getAmexRate(date, base, quote, amount = 1) {
-  const cacheKey = getCacheKey(date, base, quote);
-
-  if (cache.has(cacheKey)) {
-    const { value, timestamp } = cache.get(cacheKey);
-    if (Date.now() - timestamp < CACHE_TTL) {
-      return value;
-    }
-    cache.delete(cacheKey);
-  }
+/**
+ * Snapshot the variance tables now and then on an interval for the life of the process
+ * @param {number} intervalMs
+ */
+export function startAmexSnapshotScheduler(intervalMs) {
+  const run = () => takeAmexSnapshots().catch((error) => {
+    logger.error('amex_snapshots_error', { message: error.message, stack: error.stack });
+  });
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return timer;
+}
 
-  const apiRate = await getAmexRateViaPlaywright(date, base, quote, amount);
-  if (apiRate !== null) {
-    cache.set(cacheKey, { value: apiRate, timestamp: Date.now() });
-    return apiRate;
+/**
+ * Amex rate with how it was obtained
+ * @param {{ market?: string, policy?: string, deadline?: number }} [options] - market defaults
+ *   to the base currency's; policy picks the mid-market day for weekends and holidays
+ * @returns {Promise<{ rate: number, market: string, derived: boolean, route: string[], varianceAsOf: string, estimated: boolean }|null>}
+ *   derived is true when the pair was priced through a settlement currency;
+ *   estimated when the date is older than the first variance snapshot
+ */
+export async function getAmexRateDetails(date, base, quote, amount = 1, { market, ...options } = {}) {
+  const resolved = market || defaultMarket(base);
+  // Amex applies a flat variance, so the amount does not matter
+  const priced = await getAmexRateViaPlaywright(date, base, quote, resolved, options);
+  if (priced === null) {
+    // Unsupported pairs resolve to null rather than throwing
+    return null;
   }
-
-  // Return null for unsupported currency pairs instead of throwing error
-  return null;
+  const { rate, route, varianceAsOf, estimated } = priced;
+  return { rate, market: resolved, derived: route.length > 2, route, varianceAsOf, estimated };
 }
 
-export async function getAmexSeries(startDate, endDate, base, quote) {
-  function toDate(s) {
-    return new Date(s + 'T00:00:00Z');
-  }
-  function fmt(d) {
-    const y = d.getUTCFullYear();
-    const m = String(d.getUTCMonth() + 1).padStart(2, '0');
-    const day = String(d.getUTCDate()).padStart(2, '0');
-    return `${y}-${m}-${day}`;
-  }
+export async function getAmexRate(date, base, quote, amount = 1, options = {}) {
+  const details = await getAmexRateDetails(date, base, quote, amount, options);
+  return details ? details.rate : null;
+}
 
-  const start = toDate(startDate);
-  const end = toDate(endDate);
-  const dates = [];
-  const cursor = new Date(start);
-  while (cursor <= end) {
-    dates.push(fmt(cursor));
-    cursor.setUTCDate(cursor.getUTCDate() + 1);
+export async function getAmexSeries(startDate, endDate, base, quote, { deadline, market, policy, onSkip, onFill, onEstimate } = {}) {
+  // One mid-market request for the whole range; each day then only needs its variance table
+  const labels = listDates(startDate, endDate);
+  let mids = labels.map(() => null);
+  try {
+    ({ series: mids } = await getMidMarketDailySeriesAsOf(startDate, endDate, base, quote, { policy }));
+  } catch (error) {
+    logger.warn('upstream_error', { provider: 'amex', startDate, endDate, base, quote, message: error.message });
   }
+  return fillForwardSeries(startDate, endDate, async (d) => {
+    const midRate = mids[labels.indexOf(d)];
+    if (midRate === null) return null;
+    const details = await getAmexRateDetails(d, base, quote, 1, { deadline, market, midRate });
+    if (details && details.estimated && onEstimate) onEstimate(d);
+    return details ? details.rate : null;
+  }, { onSkip, onFill });
+}
 
-  const series = [];
-  let lastGood = null;
-  for (const d of dates) {
-    try {
-      const r = await getAmexRate(d, base, quote);
-      if (typeof r === 'number' && !Number.isNaN(r)) {
-        lastGood = r;
-        series.push(r);
-      } else {
-        series.push(lastGood);
-      }
-    } catch (e) {
-      series.push(lastGood);
-    }
-  }
-  return series;
+// Rates are computed from the stored snapshot and the stored mid-market rate
+function isAmexCached(date, base, quote, amount, { market, policy } = {}) {
+  const snapshot = findSnapshot(market || defaultMarket(base), date);
+  const today = formatDate(new Date());
+  return Boolean(snapshot && (date < today || snapshot.date === today)) && midMarket.isCached(date, base, quote, 1, { policy });
 }
+
+export const provider = {
+  id: 'amex',
+  name: 'American Express',
+  shortName: 'Amex',
+  kind: 'network',
+  source: 'American Express',
+  color: '#006fcf',
+  logo: 'https://upload.wikimedia.org/wikipedia/commons/thumb/f/fa/American_Express_logo_%282018%29.svg/1026px-American_Express_logo_%282018%29.svg.png',
+  currencies: Object.keys(currencyToCountry),
+  markets: AMEX_MARKETS,
+  capabilities: { history: true, amountDependent: false },
+  timeoutMs: 20000,
+  getRate: getAmexRate,
+  getSeries: getAmexSeries,
+  getRateDetails: getAmexRateDetails,
+  isCached: isAmexCached
+};
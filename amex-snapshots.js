@@ -0,0 +1,97 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { logger } from './logger.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Serverless filesystems are read-only outside /tmp
+const DEFAULT_SNAPSHOT_PATH = process.env.VERCEL || process.env.AWS_LAMBDA_FUNCTION_NAME
+  ? '/tmp/amex-snapshots.jsonl'
+  : path.join(__dirname, 'data', 'amex-snapshots.jsonl');
+
+const SNAPSHOT_PATH = process.env.AMEX_SNAPSHOT_PATH || DEFAULT_SNAPSHOT_PATH;
+
+// market -> snapshots sorted by date, one per day (the last one taken wins)
+let byMarket = null;
+let writable = true;
+
+function insert(record) {
+  if (!byMarket.has(record.market)) byMarket.set(record.market, []);
+  const list = byMarket.get(record.market);
+  const i = list.findIndex((s) => s.date >= record.date);
+  if (i === -1) {
+    list.push(record);
+  } else if (list[i].date === record.date) {
+    list[i] = record;
+  } else {
+    list.splice(i, 0, record);
+  }
+}
+
+function load() {
+  if (byMarket) return byMarket;
+  byMarket = new Map();
+  try {
+    const text = fs.readFileSync(SNAPSHOT_PATH, 'utf8');
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        insert(JSON.parse(line));
+      } catch {}
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error('amex_snapshot_load_error', { path: SNAPSHOT_PATH, message: error.message });
+    }
+  }
+  return byMarket;
+}
+
+/**
+ * Keep a market's variance tables as they stood on a day
+ * @param {string} market - e.g. 'ICC'
+ * @param {string} date - YYYY-MM-DD
+ * @param {Array<Object>} tables - The Amex API answer for the market
+ */
+export function recordSnapshot(market, date, tables) {
+  const record = { market, date, takenAt: Date.now(), tables };
+  load();
+  insert(record);
+  if (!writable) return;
+  try {
+    fs.mkdirSync(path.dirname(SNAPSHOT_PATH), { recursive: true });
+    fs.appendFileSync(SNAPSHOT_PATH, JSON.stringify(record) + '\n');
+  } catch (error) {
+    // Keep serving from memory; one log line is enough
+    writable = false;
+    logger.error('amex_snapshot_write_error', { path: SNAPSHOT_PATH, message: error.message });
+  }
+}
+
+/**
+ * The tables in effect on a date: the latest snapshot taken on or before it,
+ * or, for dates before the first snapshot, the earliest one (estimated)
+ * @param {string} market
+ * @param {string} date - YYYY-MM-DD
+ * @returns {{ date: string, tables: Array<Object>, estimated: boolean }|null}
+ */
+export function findSnapshot(market, date) {
+  const list = load().get(market);
+  if (!list || list.length === 0) return null;
+  for (let i = list.length - 1; i >= 0; i--) {
+    if (list[i].date <= date) return { date: list[i].date, tables: list[i].tables, estimated: false };
+  }
+  return { date: list[0].date, tables: list[0].tables, estimated: true };
+}
+
+/**
+ * Snapshot coverage per market
+ * @returns {Object<string, { first: string, last: string, days: number }>}
+ */
+export function describeSnapshots() {
+  return Object.fromEntries([...load()].map(([market, list]) => [
+    market,
+    { first: list[0].date, last: list[list.length - 1].date, days: list.length }
+  ]));
+}
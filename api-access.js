@@ -0,0 +1,172 @@
+import { findApiKey } from './api-keys.js';
+import { counter } from './metrics.js';
+import { logger } from './logger.js';
+
+// optional (the default): anonymous callers are limited per IP and a key gets
+// its own budget. required: every /api request needs a key. off: /api/* is
+// open and unlimited, only when set explicitly.
+export const API_AUTH_MODES = ['off', 'optional', 'required'];
+const API_AUTH = API_AUTH_MODES.includes(process.env.API_AUTH) ? process.env.API_AUTH : 'optional';
+if (process.env.API_AUTH && API_AUTH !== process.env.API_AUTH) {
+  logger.error('api_access_config_error', { message: `API_AUTH must be one of ${API_AUTH_MODES.join(', ')}; using optional` });
+}
+
+// Requests per minute per route class, for anonymous callers (per IP) and for each key
+const DEFAULT_LIMITS = {
+  anonymous: { cheap: 60, expensive: 4 },
+  key: { cheap: 600, expensive: 30 }
+};
+
+// e.g. API_RATE_LIMITS='{"anonymous":{"expensive":2}}'
+function envLimits() {
+  try {
+    const overrides = JSON.parse(process.env.API_RATE_LIMITS || '{}');
+    return {
+      anonymous: { ...DEFAULT_LIMITS.anonymous, ...overrides.anonymous },
+      key: { ...DEFAULT_LIMITS.key, ...overrides.key }
+    };
+  } catch {
+    logger.error('api_access_config_error', { message: 'API_RATE_LIMITS is not valid JSON' });
+    return DEFAULT_LIMITS;
+  }
+}
+
+const limits = envLimits();
+
+// Routes that reach the card networks, whose lookups go through scrapers and
+// browser sessions (a reverse conversion makes several per provider), or that
+// scrape many days or pairs in one request. The reference rate alone
+// (/api/rate/mid) and everything else are cheap.
+const EXPENSIVE_ROUTES = [
+  ['GET', /^\/api\/rate\/(?!mid$)[^/]+$/],
+  ['GET', /^\/api\/rates$/],
+  ['GET', /^\/api\/rates\/stream$/],
+  ['GET', /^\/api\/history$/],
+  ['GET', /^\/api\/stats$/],
+  ['GET', /^\/api\/matrix$/],
+  ['POST', /^\/api\/plan$/],
+  ['POST', /^\/api\/reconcile$/],
+  ['POST', /^\/api\/watches\/check$/],
+  ['POST', /^\/api\/amex\/snapshots$/]
+];
+
+// Idle anonymous buckets are dropped once there are this many
+const MAX_BUCKETS = 10000;
+
+const apiRequests = counter('fx_api_requests_total', 'API requests by client (key id or anonymous), route class and outcome', ['client', 'class', 'outcome']);
+
+const buckets = new Map();
+const usage = new Map();
+
+/** @returns {'cheap'|'expensive'} */
+export function routeClass(method, pathname) {
+  return EXPENSIVE_ROUTES.some(([m, pattern]) => m === method && pattern.test(pathname)) ? 'expensive' : 'cheap';
+}
+
+// Token bucket holding a minute's budget, refilled continuously
+function takeToken(id, perMinute) {
+  const now = Date.now();
+  let bucket = buckets.get(id);
+  if (!bucket) {
+    if (buckets.size >= MAX_BUCKETS) pruneBuckets(now);
+    bucket = { tokens: perMinute, perMinute, updatedAt: now };
+    buckets.set(id, bucket);
+  }
+  bucket.tokens = Math.min(perMinute, bucket.tokens + ((now - bucket.updatedAt) / 60000) * perMinute);
+  bucket.perMinute = perMinute;
+  bucket.updatedAt = now;
+  if (bucket.tokens < 1) {
+    return { allowed: false, remaining: 0, retryAfterSec: Math.ceil(((1 - bucket.tokens) / perMinute) * 60) };
+  }
+  bucket.tokens -= 1;
+  return { allowed: true, remaining: Math.floor(bucket.tokens), retryAfterSec: 0 };
+}
+
+function pruneBuckets(now) {
+  for (const [id, bucket] of buckets) {
+    if (bucket.tokens + ((now - bucket.updatedAt) / 60000) * bucket.perMinute >= bucket.perMinute) buckets.delete(id);
+  }
+}
+
+// Per key, and per IP for anonymous callers
+function recordUsage(bucket, cls, allowed) {
+  const entry = usage.get(bucket) || { cheap: 0, expensive: 0, throttled: 0, lastUsedAt: null };
+  if (allowed) entry[cls]++;
+  else entry.throttled++;
+  entry.lastUsedAt = new Date().toISOString();
+  usage.set(bucket, entry);
+}
+
+function secretOf(req) {
+  const header = req.get('X-API-Key');
+  if (header) return header.trim();
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+  return match ? match[1] : null;
+}
+
+// Who is calling: a key, or an anonymous IP
+function clientOf(req, apiKey) {
+  return apiKey
+    ? { id: apiKey.id, name: apiKey.name, bucket: `key:${apiKey.id}`, limits: { ...limits.key, ...apiKey.limits } }
+    : { id: 'anonymous', name: null, bucket: `ip:${req.ip}`, limits: limits.anonymous };
+}
+
+/**
+ * Middleware for /api/*: checks the API key (X-API-Key or Authorization: Bearer)
+ * and takes one request from the caller's budget for the route's class,
+ * answering 401 for a bad or missing key and 429 with Retry-After once the
+ * budget is spent. Does nothing with API_AUTH=off.
+ * @returns {import('express').RequestHandler}
+ */
+export function apiAccess() {
+  return (req, res, next) => {
+    if (API_AUTH === 'off' || !req.path.startsWith('/api/')) return next();
+    const cls = routeClass(req.method, req.path);
+    const secret = secretOf(req);
+    const apiKey = secret ? findApiKey(secret) : null;
+    if (secret && !apiKey) {
+      apiRequests.inc({ client: 'unknown', class: cls, outcome: 'unauthorized' });
+      return res.status(401).json({ error: 'Invalid or revoked API key' });
+    }
+    if (!apiKey && API_AUTH === 'required') {
+      apiRequests.inc({ client: 'anonymous', class: cls, outcome: 'unauthorized' });
+      return res.status(401).set('WWW-Authenticate', 'Bearer').json({ error: 'Missing API key. Send it in the X-API-Key header' });
+    }
+
+    const client = clientOf(req, apiKey);
+    const perMinute = client.limits[cls];
+    const { allowed, remaining, retryAfterSec } = takeToken(`${client.bucket}:${cls}`, perMinute);
+    recordUsage(client.bucket, cls, allowed);
+    apiRequests.inc({ client: client.id, class: cls, outcome: allowed ? 'allowed' : 'throttled' });
+    res.set({ 'X-RateLimit-Limit': String(perMinute), 'X-RateLimit-Remaining': String(remaining) });
+    if (!allowed) {
+      logger.warn('api_throttled', { client: client.id, ip: req.ip, class: cls, path: req.path, retryAfterSec });
+      res.set('Retry-After', String(retryAfterSec));
+      return res.status(429).json({ error: `Too many ${cls} requests. Retry in ${retryAfterSec}s`, retryAfter: retryAfterSec });
+    }
+    req.apiClient = client;
+    next();
+  };
+}
+
+/**
+ * The caller's budget and what it has used, for GET /api/usage
+ * @param {import('express').Request} req - Already through apiAccess
+ */
+export function describeUsage(req) {
+  if (API_AUTH === 'off') return { mode: API_AUTH, client: null, limits: null, remaining: null, usage: null };
+  const client = req.apiClient;
+  const now = Date.now();
+  const remaining = Object.fromEntries(['cheap', 'expensive'].map((cls) => {
+    const bucket = buckets.get(`${client.bucket}:${cls}`);
+    const perMinute = client.limits[cls];
+    return [cls, bucket ? Math.floor(Math.min(perMinute, bucket.tokens + ((now - bucket.updatedAt) / 60000) * perMinute)) : perMinute];
+  }));
+  return {
+    mode: API_AUTH,
+    client: client.id === 'anonymous' ? null : { id: client.id, name: client.name },
+    limits: { cheap: client.limits.cheap, expensive: client.limits.expensive },
+    remaining,
+    usage: usage.get(client.bucket) || { cheap: 0, expensive: 0, throttled: 0, lastUsedAt: null }
+  };
+}
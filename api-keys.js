@@ -0,0 +1,105 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { logger } from './logger.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Managed with `fxcompare keys`; serverless deployments point this at a file shipped with the app
+const API_KEYS_PATH = process.env.API_KEYS_PATH || path.join(__dirname, 'data', 'api-keys.json');
+
+/**
+ * A client allowed to call /api/*. Only a hash of the key is stored; the key
+ * itself is shown once, when it is created.
+ * @typedef {Object} ApiKey
+ * @property {string} id
+ * @property {string} name
+ * @property {string} hash - SHA-256 of the key, hex
+ * @property {{ cheap?: number, expensive?: number }} limits - Requests per minute
+ *   overriding the defaults for keys
+ * @property {string} createdAt
+ * @property {string|null} revokedAt
+ */
+
+let keys = null;
+let loadedMtimeMs = null;
+
+const hashKey = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// Re-read when the file changed, so keys added from the command line apply without a restart
+function load() {
+  let mtimeMs = null;
+  try {
+    mtimeMs = fs.statSync(API_KEYS_PATH).mtimeMs;
+  } catch (error) {
+    if (error.code !== 'ENOENT') logger.error('api_keys_load_error', { path: API_KEYS_PATH, message: error.message });
+  }
+  if (keys && mtimeMs === loadedMtimeMs) return keys;
+  try {
+    keys = mtimeMs === null ? [] : JSON.parse(fs.readFileSync(API_KEYS_PATH, 'utf8'));
+  } catch (error) {
+    logger.error('api_keys_load_error', { path: API_KEYS_PATH, message: error.message });
+    keys = [];
+  }
+  loadedMtimeMs = mtimeMs;
+  return keys;
+}
+
+function save() {
+  fs.mkdirSync(path.dirname(API_KEYS_PATH), { recursive: true });
+  const tmp = `${API_KEYS_PATH}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(keys, null, 2));
+  fs.renameSync(tmp, API_KEYS_PATH);
+  loadedMtimeMs = fs.statSync(API_KEYS_PATH).mtimeMs;
+}
+
+/** @returns {ApiKey[]} */
+export function listApiKeys() {
+  return load();
+}
+
+/**
+ * The active key matching a secret sent by a client
+ * @param {string} secret
+ * @returns {ApiKey|null}
+ */
+export function findApiKey(secret) {
+  const hash = hashKey(secret);
+  return load().find((k) => k.hash === hash && !k.revokedAt) || null;
+}
+
+/**
+ * @param {{ name: string, limits?: { cheap?: number, expensive?: number } }} input
+ * @returns {{ error: string } | { apiKey: ApiKey, secret: string }}
+ */
+export function createApiKey({ name, limits = {} }) {
+  if (!name || !String(name).trim()) return { error: 'Missing name' };
+  for (const [cls, perMinute] of Object.entries(limits)) {
+    if (perMinute !== undefined && !(perMinute > 0)) return { error: `Invalid ${cls} limit. Expected requests per minute above 0` };
+  }
+  const secret = `fx_${crypto.randomBytes(24).toString('hex')}`;
+  const apiKey = {
+    id: crypto.randomUUID().slice(0, 8),
+    name: String(name).trim(),
+    hash: hashKey(secret),
+    limits: Object.fromEntries(Object.entries(limits).filter(([, v]) => v !== undefined)),
+    createdAt: new Date().toISOString(),
+    revokedAt: null
+  };
+  load().push(apiKey);
+  save();
+  return { apiKey, secret };
+}
+
+/**
+ * @param {string} id
+ * @returns {ApiKey|null} - The revoked key, or null when there is no active key with that id
+ */
+export function revokeApiKey(id) {
+  const apiKey = load().find((k) => k.id === id && !k.revokedAt);
+  if (!apiKey) return null;
+  apiKey.revokedAt = new Date().toISOString();
+  save();
+  return apiKey;
+}
@@ -0,0 +1,17 @@
+#!/usr/bin/env node
+// Compares card network rates from the terminal, calling the providers
+// directly rather than through the server. Run with --help for usage.
+
+// Keep the terminal for the tables; the summary on stderr says which providers failed
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { runCli } = await import('../cli.js');
+
+// exitCode rather than process.exit(), so output piped to a file or another
+// command is flushed before the process ends
+try {
+  process.exitCode = await runCli(process.argv.slice(2), { stdout: process.stdout, stderr: process.stderr });
+} catch (error) {
+  process.stderr.write(`fxcompare: ${error.message}\n`);
+  process.exitCode = 1;
+}
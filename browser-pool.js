@@ -0,0 +1,235 @@
+import { logger } from './logger.js';
+import { browserLaunches, pageLoads } from './metrics.js';
+
+// Pages kept open per site; further lookups wait for one to be released
+const MAX_PAGES_PER_SITE = parseInt(process.env.BROWSER_MAX_PAGES || '2', 10) || 2;
+// The browser is closed after this long without a lookup (0 keeps it open)
+const IDLE_MS = parseInt(process.env.BROWSER_IDLE_MS ?? '300000', 10) || 0;
+// Pages are reopened after this long so session cookies never go stale
+const PAGE_MAX_AGE_MS = parseInt(process.env.BROWSER_PAGE_MAX_AGE_MS || '1800000', 10) || 1800000;
+
+const CONTEXT_OPTIONS = {
+  userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+  viewport: { width: 1280, height: 720 }
+};
+
+// Errors that mean the page itself is unusable rather than the request failing
+const PAGE_ERROR = /Target (page, context or browser )?(has been )?closed|Execution context was destroyed|Navigation failed|net::ERR_|Session closed|browser has disconnected/i;
+
+let browser = null;
+let launching = null;
+let idleTimer = null;
+let lastUsedAt = null;
+let lastError = null;
+const sites = new Map();
+
+async function launchBrowser() {
+  const isProduction = process.env.VERCEL || process.env.AWS_LAMBDA_FUNCTION_NAME;
+
+  if (isProduction) {
+    // Production: Use @sparticuz/chromium (for Vercel/Lambda)
+    const chromiumBinary = await import('@sparticuz/chromium');
+    const chromium = chromiumBinary.default || chromiumBinary;
+    const { chromium: playwright } = await import('playwright-core');
+
+    const executablePath = await chromium.executablePath();
+
+    return await playwright.launch({
+      args: chromium.args,
+      executablePath: executablePath,
+      headless: true,
+    });
+  } else {
+    // Development: Use local Playwright
+    const { chromium } = await import('playwright');
+    return await chromium.launch({
+      headless: true,
+    });
+  }
+}
+
+// Pages of a crashed or closed browser are dropped; the ones still leased are
+// discarded when they come back
+function forgetBrowser() {
+  browser = null;
+  for (const site of sites.values()) {
+    site.context = null;
+    site.open -= site.idle.length;
+    site.idle = [];
+  }
+}
+
+async function getBrowser() {
+  if (browser && browser.isConnected()) return browser;
+  if (!launching) {
+    launching = (async () => {
+      const launched = await launchBrowser();
+      browserLaunches.inc();
+      logger.info('browser_launched');
+      launched.on('disconnected', () => {
+        if (browser !== launched) return;
+        logger.warn('browser_disconnected');
+        forgetBrowser();
+      });
+      browser = launched;
+      return launched;
+    })().finally(() => {
+      launching = null;
+    });
+  }
+  return launching;
+}
+
+/**
+ * Declare a site whose API only answers requests made from its own page
+ * @param {string} name - Provider id, e.g. 'visa'
+ * @param {string} url - Page to open before making requests
+ */
+export function registerSite(name, url) {
+  if (!sites.has(name)) {
+    sites.set(name, { name, url, context: null, idle: [], open: 0, busy: 0, waiting: [], recycled: 0 });
+  }
+}
+
+async function openPage(site) {
+  const current = await getBrowser();
+  if (!site.context) {
+    site.context = await current.newContext(CONTEXT_OPTIONS);
+  }
+  const page = await site.context.newPage();
+  try {
+    await page.goto(site.url, { waitUntil: 'networkidle' });
+    await page.waitForTimeout(2000);
+  } catch (error) {
+    await page.close().catch(() => {});
+    throw error;
+  }
+  pageLoads.inc({ provider: site.name });
+  return { page, browser: current, openedAt: Date.now() };
+}
+
+function usable(entry) {
+  return entry.browser === browser && !entry.page.isClosed() && Date.now() - entry.openedAt < PAGE_MAX_AGE_MS;
+}
+
+async function acquire(site) {
+  for (;;) {
+    const entry = site.idle.pop();
+    if (entry) {
+      if (usable(entry)) {
+        site.busy++;
+        return entry;
+      }
+      site.open--;
+      entry.page.close().catch(() => {});
+      continue;
+    }
+    if (site.open < MAX_PAGES_PER_SITE) {
+      site.open++;
+      site.busy++;
+      try {
+        return await openPage(site);
+      } catch (error) {
+        site.open--;
+        site.busy--;
+        wakeNext(site);
+        throw error;
+      }
+    }
+    await new Promise((resolve) => site.waiting.push(resolve));
+  }
+}
+
+function wakeNext(site) {
+  const next = site.waiting.shift();
+  if (next) next();
+}
+
+function release(site, entry, recycle) {
+  site.busy--;
+  if (recycle || !usable(entry)) {
+    site.open--;
+    site.recycled++;
+    entry.page.close().catch(() => {});
+  } else {
+    site.idle.push(entry);
+  }
+  wakeNext(site);
+  lastUsedAt = Date.now();
+  scheduleIdleShutdown();
+}
+
+function scheduleIdleShutdown() {
+  if (!IDLE_MS) return;
+  clearTimeout(idleTimer);
+  idleTimer = setTimeout(() => {
+    const busy = [...sites.values()].some((site) => site.busy > 0 || site.waiting.length > 0);
+    if (!busy && browser) {
+      logger.info('browser_idle_shutdown', { idleMs: IDLE_MS });
+      closeBrowserPool().catch(() => {});
+    }
+  }, IDLE_MS);
+  idleTimer.unref();
+}
+
+/**
+ * Run `fn` with a page open on the site. The page goes back to the pool
+ * afterwards, or is closed and replaced when it broke or `fn` threw an error
+ * with `recyclePage` set (e.g. an expired session).
+ * @param {string} name - A site added with registerSite
+ * @param {(page: import('playwright-core').Page) => Promise<T>} fn
+ * @returns {Promise<T>}
+ * @template T
+ */
+export async function withPage(name, fn) {
+  const site = sites.get(name);
+  if (!site) throw new Error(`Unknown browser site: ${name}`);
+
+  let entry;
+  try {
+    entry = await acquire(site);
+  } catch (error) {
+    lastError = { site: name, message: error.message, at: new Date().toISOString() };
+    throw error;
+  }
+
+  let recycle = false;
+  try {
+    return await fn(entry.page);
+  } catch (error) {
+    recycle = Boolean(error.recyclePage) || PAGE_ERROR.test(error.message);
+    if (recycle) {
+      lastError = { site: name, message: error.message, at: new Date().toISOString() };
+      logger.warn('browser_page_recycled', { site: name, message: error.message });
+    }
+    throw error;
+  } finally {
+    release(site, entry, recycle);
+  }
+}
+
+/** Close the browser and every page; the next lookup launches a new one */
+export async function closeBrowserPool() {
+  clearTimeout(idleTimer);
+  const current = browser || (launching && await launching.catch(() => null));
+  if (!current) return;
+  forgetBrowser();
+  await current.close().catch((error) => {
+    logger.error('browser_close_error', { message: error.message });
+  });
+  logger.info('browser_closed');
+}
+
+/** Pool state for /api/health */
+export function browserPoolHealth() {
+  return {
+    state: browser && browser.isConnected() ? 'running' : launching ? 'launching' : 'stopped',
+    maxPagesPerSite: MAX_PAGES_PER_SITE,
+    lastUsedAt: lastUsedAt && new Date(lastUsedAt).toISOString(),
+    lastError,
+    sites: Object.fromEntries([...sites.values()].map((site) => [
+      site.name,
+      { open: site.open, busy: site.busy, waiting: site.waiting.length, recycled: site.recycled }
+    ]))
+  };
+}
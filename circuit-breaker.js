@@ -0,0 +1,141 @@
+import { upstreamRequests, upstreamDuration } from './metrics.js';
+import { errorStatus } from './fetch-scheduler.js';
+import { logger } from './logger.js';
+
+// Consecutive upstream failures that open a provider's breaker, and how long it stays open
+const FAILURE_THRESHOLD = parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD || '5', 10) || 5;
+const COOL_DOWN_MS = parseInt(process.env.CIRCUIT_COOLDOWN_MS || '30000', 10) || 30000;
+
+// Latency percentiles are taken over this many recent calls
+const LATENCY_SAMPLES = 100;
+
+const breakers = new Map();
+
+/**
+ * Whether an error says the upstream is unwell: no answer (network errors,
+ * timeouts), an unreadable one, 401/403 (blocked), 429 or 5xx. Any other 4xx
+ * is about the request, such as a pair the upstream does not convert.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isUpstreamFailure(error) {
+  const status = errorStatus(error);
+  return !status || status === 401 || status === 403 || status === 429 || status >= 500;
+}
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+function createBreaker(name, { failureThreshold = FAILURE_THRESHOLD, coolDownMs = COOL_DOWN_MS } = {}) {
+  let state = 'closed';
+  let failures = 0;
+  let openedAt = null;
+  let trialInFlight = false;
+  let lastSuccessAt = null;
+  let lastError = null;
+  const latencies = [];
+
+  function transition(next) {
+    if (next === state) return;
+    logger[next === 'open' ? 'warn' : 'info']('circuit_state', { provider: name, from: state, to: next, failures });
+    state = next;
+  }
+
+  function record(outcome, startedAt) {
+    upstreamRequests.inc({ provider: name, outcome });
+    if (startedAt) upstreamDuration.observe({ provider: name, outcome }, (Date.now() - startedAt) / 1000);
+  }
+
+  function openError() {
+    record('circuit_open');
+    const retryInMs = Math.max(0, openedAt + coolDownMs - Date.now());
+    const error = new Error(`Circuit open after ${failures} consecutive upstream failures; next attempt in ${Math.ceil(retryInMs / 1000)}s`);
+    error.code = 'ECIRCUITOPEN';
+    return error;
+  }
+
+  return {
+    /**
+     * Run an upstream call through the breaker
+     * @param {() => Promise<T>} task
+     * @param {{ isFailure?: (error: Error) => boolean }} [options] - Which errors
+     *   count against the upstream (isUpstreamFailure by default); the rest
+     *   neither count nor clear earlier failures
+     * @returns {Promise<T>}
+     * @template T
+     */
+    async run(task, { isFailure = isUpstreamFailure } = {}) {
+      if (state === 'open') {
+        if (Date.now() - openedAt < coolDownMs) throw openError();
+        transition('half-open');
+      }
+      // Half-open lets a single trial call through; the rest fail fast until it settles
+      const trial = state === 'half-open';
+      if (trial) {
+        if (trialInFlight) throw openError();
+        trialInFlight = true;
+      }
+
+      const t0 = Date.now();
+      try {
+        const result = await task();
+        latencies.push(Date.now() - t0);
+        if (latencies.length > LATENCY_SAMPLES) latencies.shift();
+        failures = 0;
+        lastSuccessAt = new Date().toISOString();
+        record('success', t0);
+        transition('closed');
+        return result;
+      } catch (error) {
+        // Our own request deadline says nothing about the upstream's health
+        if (error.code === 'EDEADLINE') {
+          record('deadline', t0);
+        } else if (!isFailure(error)) {
+          record('rejected', t0);
+        } else {
+          record('failure', t0);
+          latencies.push(Date.now() - t0);
+          if (latencies.length > LATENCY_SAMPLES) latencies.shift();
+          failures++;
+          lastError = { message: error.message, at: new Date().toISOString() };
+          if (trial || failures >= failureThreshold) {
+            openedAt = Date.now();
+            transition('open');
+          }
+        }
+        throw error;
+      } finally {
+        if (trial) trialInFlight = false;
+      }
+    },
+
+    /** Current state and recent history, for /api/health */
+    snapshot() {
+      const sorted = latencies.slice().sort((a, b) => a - b);
+      const open = state === 'open';
+      return {
+        state: open && Date.now() - openedAt >= coolDownMs ? 'half-open' : state,
+        failures,
+        openedAt: openedAt && open ? new Date(openedAt).toISOString() : null,
+        retryAt: openedAt && open ? new Date(openedAt + coolDownMs).toISOString() : null,
+        lastSuccessAt,
+        lastError,
+        latency: { p50: percentile(sorted, 50), p95: percentile(sorted, 95), samples: sorted.length }
+      };
+    }
+  };
+}
+
+/**
+ * The breaker guarding one provider's upstream, created on first use
+ * @param {string} name - Provider id
+ * @param {{ failureThreshold?: number, coolDownMs?: number }} [options] - Only used on creation
+ */
+export function getBreaker(name, options) {
+  if (!breakers.has(name)) {
+    breakers.set(name, createBreaker(name, options));
+  }
+  return breakers.get(name);
+}
@@ -0,0 +1,323 @@
+import fs from 'fs';
+import { parseArgs } from 'util';
+import { getProviders, getReferenceProvider, fetchProviderRate } from './providers.js';
+import { parseFeeOptions, convertFlatFees, applyFees } from './fee-profiles.js';
+import { MID_POLICIES } from './frankfurter.js';
+import { EXPORT_FORMATS, renderExport } from './export-formats.js';
+import { currencyError } from './currencies.js';
+import { markupStats } from './markup-stats.js';
+import { markupPct, exportColumns, exportRow, fetchHistory } from './comparison.js';
+import { formatDate, listDates } from './scraper-utils.js';
+import { closeBrowserPool } from './browser-pool.js';
+import { listApiKeys, createApiKey, revokeApiKey } from './api-keys.js';
+
+// Exit codes: a provider without a rate fails the run so cron jobs notice
+export const EXIT_OK = 0;
+export const EXIT_UNAVAILABLE = 1;
+export const EXIT_USAGE = 2;
+
+const USAGE = `Usage: fxcompare <command> BASE QUOTE [options]
+       fxcompare keys <add NAME|list|revoke ID> [options]
+
+Commands:
+  rates BASE QUOTE     Compare every provider for one day
+  history BASE QUOTE   Daily rates per provider up to a day
+  keys add NAME        Create an API key for the server (API_AUTH); it is printed once
+  keys list            List API keys
+  keys revoke ID       Revoke an API key
+
+Options:
+  --date YYYY-MM-DD    Day to price, or the last day of the history (default today)
+  --amount N           Base amount converted (default 1)
+  --days N             History length, 2 to 60 (default 30)
+  --fee PCT            Flat issuer fee in percent applied to every network
+  --profile IDS        Comma-separated fee profiles, each applied to its own network
+  --atm                Add the profiles' ATM fee
+  --market CODE        Card market for providers that list markets
+  --mid-policy P       Reference rate on days the ECB did not publish: ${MID_POLICIES.join(', ')}
+  --format F           Print as ${EXPORT_FORMATS.join(', ')} instead of a table
+  --output FILE        Write to FILE instead of standard output
+  --no-color           Do not highlight the winner in colour
+  --cheap N            keys add: cheap requests per minute instead of the default
+  --expensive N        keys add: expensive requests per minute instead of the default
+  -h, --help           Show this help
+
+Exits with ${EXIT_UNAVAILABLE} when a provider returned no rate and ${EXIT_USAGE} on invalid arguments.
+Set LOG_LEVEL=info to see what is fetched.`;
+
+const OPTIONS = {
+  date: { type: 'string' },
+  amount: { type: 'string' },
+  days: { type: 'string' },
+  fee: { type: 'string' },
+  profile: { type: 'string' },
+  atm: { type: 'boolean' },
+  market: { type: 'string' },
+  'mid-policy': { type: 'string' },
+  format: { type: 'string' },
+  output: { type: 'string' },
+  'no-color': { type: 'boolean' },
+  cheap: { type: 'string' },
+  expensive: { type: 'string' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+function usageError(message) {
+  const error = new Error(message);
+  error.code = 'EUSAGE';
+  return error;
+}
+
+// Same checks as the API routes, answered as usage errors
+function parseCommand(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true, strict: true });
+  } catch (error) {
+    throw usageError(error.message);
+  }
+  const { values, positionals } = parsed;
+  if (values.help) return { help: true };
+
+  const [command, rawBase, rawQuote] = positionals;
+  if (command === 'keys') return parseKeysCommand(positionals.slice(1), values);
+  if (!['rates', 'history'].includes(command)) {
+    throw usageError(command ? `Unknown command: ${command}` : 'Missing command');
+  }
+  const base = String(rawBase || '').toUpperCase();
+  const quote = String(rawQuote || '').toUpperCase();
+  if (!/^[A-Z]{3}$/.test(base) || !/^[A-Z]{3}$/.test(quote)) {
+    throw usageError('Expected BASE and QUOTE as 3-letter codes (e.g., EUR JPY)');
+  }
+  const unsupported = currencyError([base, quote]);
+  if (unsupported) throw usageError(unsupported);
+
+  const date = values.date || formatDate(new Date());
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) throw usageError('Invalid --date. Expected YYYY-MM-DD');
+
+  const amount = values.amount === undefined ? 1 : Number(values.amount);
+  if (!(amount > 0)) throw usageError('Invalid --amount. Expected a number above 0');
+
+  const days = values.days === undefined ? 30 : Number(values.days);
+  if (!Number.isInteger(days) || days < 2 || days > 60) throw usageError('Invalid --days. Expected 2 to 60');
+
+  const feeOptions = parseFeeOptions({ fee: values.fee, profile: values.profile, atm: values.atm ? 'true' : undefined });
+  if (feeOptions.error) throw usageError(feeOptions.error);
+
+  const midPolicy = values['mid-policy'] || 'previous';
+  if (!MID_POLICIES.includes(midPolicy)) throw usageError(`Invalid --mid-policy. Use: ${MID_POLICIES.join(', ')}`);
+
+  const markets = [...new Set(getProviders().flatMap((p) => p.markets || []))];
+  if (values.market !== undefined && !markets.includes(values.market)) {
+    throw usageError(`Invalid --market. Use one of: ${markets.join(', ')}`);
+  }
+
+  if (values.format !== undefined && !EXPORT_FORMATS.includes(values.format)) {
+    throw usageError(`Invalid --format. Use: ${EXPORT_FORMATS.join(', ')}`);
+  }
+
+  return {
+    command, base, quote, date, amount, days, feeOptions, midPolicy,
+    market: values.market,
+    format: values.format,
+    output: values.output,
+    color: !values['no-color']
+  };
+}
+
+function parseKeysCommand([action, arg], values) {
+  if (action === 'list') return { command: 'keys', action };
+  if (action === 'revoke') {
+    if (!arg) throw usageError('Missing key id to revoke');
+    return { command: 'keys', action, id: arg };
+  }
+  if (action === 'add') {
+    if (!arg) throw usageError('Missing key name');
+    const limits = {};
+    for (const cls of ['cheap', 'expensive']) {
+      if (values[cls] === undefined) continue;
+      limits[cls] = Number(values[cls]);
+      if (!(limits[cls] > 0)) throw usageError(`Invalid --${cls}. Expected requests per minute above 0`);
+    }
+    return { command: 'keys', action, name: arg, limits };
+  }
+  throw usageError(action ? `Unknown keys action: ${action}` : 'Missing keys action: add, list or revoke');
+}
+
+function runKeys({ action, id, name, limits }, { stdout, stderr }) {
+  if (action === 'add') {
+    const { apiKey, secret } = createApiKey({ name, limits });
+    stdout.write(`Created key ${apiKey.id} for ${apiKey.name}. Send it in the X-API-Key header; it is not shown again:\n${secret}\n`);
+    return EXIT_OK;
+  }
+  if (action === 'revoke') {
+    if (!revokeApiKey(id)) {
+      stderr.write(`fxcompare: no active key ${id}\n`);
+      return EXIT_USAGE;
+    }
+    stdout.write(`Revoked key ${id}\n`);
+    return EXIT_OK;
+  }
+  const rows = listApiKeys().map((k) => [
+    k.id, k.name,
+    k.limits.cheap === undefined ? 'default' : String(k.limits.cheap),
+    k.limits.expensive === undefined ? 'default' : String(k.limits.expensive),
+    k.createdAt.slice(0, 10),
+    k.revokedAt ? `revoked ${k.revokedAt.slice(0, 10)}` : 'active'
+  ]);
+  stdout.write(rows.length > 0 ? formatTable(['Id', 'Name', 'Cheap/min', 'Expensive/min', 'Created', 'Status'], rows, false) : 'No API keys\n');
+  return EXIT_OK;
+}
+
+const formatRate = (rate) => (rate === null ? '-' : Math.abs(rate) >= 1 ? rate.toFixed(4) : Number(rate.toPrecision(6)).toString());
+const formatPct = (pct) => (pct === null ? '-' : `${pct > 0 ? '+' : ''}${pct.toFixed(2)}%`);
+const formatAmount = (value) => (value === null ? '-' : value.toFixed(2));
+
+/**
+ * Lay out rows in aligned columns. Cells are strings, or { text, highlight }
+ * for the winner; the first column is left-aligned, the others right-aligned.
+ * @param {string[]} head
+ * @param {Array<Array<string|{ text: string, highlight: boolean }>>} rows
+ * @param {boolean} color - Highlight in bold green rather than with a marker only
+ * @returns {string}
+ */
+export function formatTable(head, rows, color) {
+  const cells = [head, ...rows].map((row) => row.map((cell) => (typeof cell === 'string' ? { text: cell, highlight: false } : cell)));
+  const widths = head.map((h, i) => Math.max(...cells.map((row) => row[i].text.length)));
+  return cells.map((row) => row.map((cell, i) => {
+    const padded = i === 0 ? cell.text.padEnd(widths[i]) : cell.text.padStart(widths[i]);
+    return cell.highlight && color ? `\x1b[1;32m${padded}\x1b[0m` : padded;
+  }).join('  ').trimEnd()).join('\n') + '\n';
+}
+
+// The best rate wins, as in the web comparison; networks win ties against the reference
+function pickWinner(candidates) {
+  return candidates
+    .filter((c) => c.value !== null)
+    .sort((a, b) => (b.value - a.value) || ((a.provider.kind === 'reference') - (b.provider.kind === 'reference')))[0] || null;
+}
+
+async function compareRates({ base, quote, date, amount, feeOptions, midPolicy, market, format, color }) {
+  const providers = getProviders();
+  const reference = getReferenceProvider();
+  const results = await Promise.all(providers.map((p) => fetchProviderRate(p, date, base, quote, amount, { policy: midPolicy, market })));
+  const byId = Object.fromEntries(providers.map((p, i) => [p.id, results[i]]));
+  const mid = byId[reference.id].rate;
+  const effective = Object.fromEntries(providers.map((p) => {
+    const { rate } = byId[p.id];
+    return [p.id, rate === null || p.kind === 'reference' ? rate : applyFees(rate, amount, feeOptions.forProvider(p.id)).effectiveRate];
+  }));
+  const unavailable = providers.filter((p) => byId[p.id].status !== 'ok');
+
+  if (format) {
+    const row = exportRow(date, providers, (p) => ({
+      rate: byId[p.id].rate,
+      effectiveRate: effective[p.id],
+      asOf: byId[p.id].asOf,
+      filled: byId[p.id].asOf !== null && byId[p.id].asOf !== date
+    }));
+    return { output: renderExport(format, exportColumns(providers), [row]), unavailable };
+  }
+
+  const winner = pickWinner(providers.map((p) => ({ provider: p, value: effective[p.id] })));
+  const rows = providers.map((p) => {
+    const { rate, status, reason } = byId[p.id];
+    const won = winner !== null && winner.provider === p;
+    return [
+      { text: `${won ? '* ' : '  '}${p.name}`, highlight: won },
+      formatRate(rate),
+      { text: formatAmount(effective[p.id] === null ? null : effective[p.id] * amount), highlight: won },
+      p.kind === 'reference' ? '' : formatPct(markupPct(effective[p.id], mid)),
+      status === 'ok' ? 'ok' : `${status}: ${reason}`
+    ];
+  });
+  const title = `${amount} ${base} in ${quote} on ${date}\n\n`;
+  const table = formatTable(['  Provider', 'Rate', `${quote} received`, 'Vs mid', 'Status'], rows, color);
+  const footer = winner ? `\n* ${winner.provider.name} gives the most ${quote}\n` : '';
+  return { output: title + table + footer, unavailable };
+}
+
+async function compareHistory({ base, quote, date, days, amount, feeOptions, midPolicy, market, format, color }) {
+  const providers = getProviders();
+  const reference = getReferenceProvider();
+  const end = date;
+  const startDate = new Date(date + 'T00:00:00Z');
+  startDate.setUTCDate(startDate.getUTCDate() - (days - 1));
+  const start = formatDate(startDate);
+  const labels = listDates(start, end);
+
+  // No deadline: unlike a serverless request, a terminal can wait for every day
+  const { series, effectiveSeries, midAsOf, filled, partial } = await fetchHistory({
+    start, end, labels, base, quote, midPolicy, market, amount, feeOptions
+  });
+  const unavailable = providers.filter((p) => partial || series[p.id].some((v) => v === null));
+  const effectiveOf = (p, i) => (effectiveSeries[p.id] ? effectiveSeries[p.id][i] : series[p.id][i]);
+
+  if (format) {
+    const rows = labels.map((d, i) => exportRow(d, providers, (p) => ({
+      rate: series[p.id][i],
+      effectiveRate: effectiveSeries[p.id] ? effectiveSeries[p.id][i] : null,
+      asOf: midAsOf[i],
+      filled: filled[p.id][i]
+    })));
+    return { output: renderExport(format, exportColumns(providers), rows), unavailable };
+  }
+
+  const rows = labels.map((d, i) => {
+    const winner = pickWinner(providers.map((p) => ({ provider: p, value: effectiveOf(p, i) })));
+    return [d, ...providers.map((p) => {
+      const won = winner !== null && winner.provider === p;
+      const mark = filled[p.id][i] ? '~' : ' ';
+      return { text: `${formatRate(series[p.id][i])}${mark}${won ? '*' : ' '}`, highlight: won };
+    })];
+  });
+  const { providers: stats } = markupStats(labels, series[reference.id], effectiveSeries);
+  const summary = ['Avg vs mid', ...providers.map((p) => (stats[p.id] ? `${formatPct(stats[p.id].meanPct)}  ` : ''))];
+  const title = `${base}/${quote} from ${start} to ${end}\n\n`;
+  const table = formatTable(['Date', ...providers.map((p) => `${p.shortName}  `)], [...rows, summary], color);
+  return { output: `${title}${table}\n* best rate that day  ~ carried over from an earlier day\n`, unavailable };
+}
+
+/**
+ * Run one command line (without the node and script arguments)
+ * @param {string[]} argv
+ * @param {{ stdout: NodeJS.WritableStream, stderr: NodeJS.WritableStream }} io
+ * @returns {Promise<number>} - Exit code
+ */
+export async function runCli(argv, { stdout, stderr }) {
+  let command;
+  try {
+    command = parseCommand(argv);
+  } catch (error) {
+    if (error.code !== 'EUSAGE') throw error;
+    stderr.write(`fxcompare: ${error.message}\n\n${USAGE}\n`);
+    return EXIT_USAGE;
+  }
+  if (command.help) {
+    stdout.write(`${USAGE}\n`);
+    return EXIT_OK;
+  }
+  if (command.command === 'keys') return runKeys(command, { stdout, stderr });
+
+  try {
+    const feeOptions = await convertFlatFees(command.feeOptions, { date: command.date, quote: command.quote, policy: command.midPolicy });
+    if (feeOptions.error) {
+      stderr.write(`fxcompare: ${feeOptions.error}\n`);
+      return EXIT_UNAVAILABLE;
+    }
+    const options = { ...command, feeOptions, color: command.color && !command.output && Boolean(stdout.isTTY) };
+    const { output, unavailable } = command.command === 'rates' ? await compareRates(options) : await compareHistory(options);
+    if (command.output) {
+      fs.writeFileSync(command.output, output);
+    } else {
+      stdout.write(output);
+    }
+    if (unavailable.length > 0) {
+      stderr.write(`fxcompare: no rate from ${unavailable.map((p) => p.shortName).join(', ')}${command.command === 'history' ? ' on some days' : ''}\n`);
+      return EXIT_UNAVAILABLE;
+    }
+    return EXIT_OK;
+  } finally {
+    await closeBrowserPool();
+  }
+}
@@ -0,0 +1,547 @@
+// Types for the routes described at /api/openapi.json. Keys that exist once per
+// provider are typed for the built-in providers (mid, mc, visa, amex); a
+// deployment with others adds keys of the same shape.
+
+export type ProviderId = 'mid' | 'mc' | 'visa' | 'amex' | (string & {});
+export type NetworkId = 'mc' | 'visa' | 'amex';
+export type MidPolicy = 'previous' | 'next' | 'strict';
+export type ExportFormat = 'csv' | 'jsonl' | 'xlsx';
+/** reverse solves for the base amount that converts into `target` */
+export type Direction = 'forward' | 'reverse';
+/** YYYY-MM-DD */
+export type DateString = string;
+/** ISO 4217 code, e.g. 'EUR' */
+export type CurrencyCode = string;
+
+export interface ApiError extends Error {
+  code: 'EAPI';
+  status: number;
+  body: { error: string; details?: unknown; [key: string]: unknown } | string;
+  /** Seconds to wait before retrying, on 429 */
+  retryAfter?: number;
+}
+
+export interface Provider {
+  id: ProviderId;
+  name: string;
+  shortName: string;
+  kind: 'reference' | 'network';
+  source: string;
+  color: string;
+  logo: string;
+  currencies: CurrencyCode[] | null;
+  markets?: string[];
+  capabilities: { history: boolean; amountDependent: boolean };
+}
+
+export interface BreakerHealth {
+  state: 'closed' | 'open' | 'half-open';
+  failures: number;
+  openedAt: string | null;
+  retryAt: string | null;
+  lastSuccessAt: string | null;
+  lastError: { message: string; at: string } | null;
+  latency: { p50: number | null; p95: number | null; samples: number };
+}
+
+export interface RouteClassCounts {
+  cheap: number;
+  /** history, stats, matrix, plan, reconcile, watch checks and Amex snapshots */
+  expensive: number;
+}
+
+export interface Usage {
+  mode: 'off' | 'optional' | 'required';
+  /** The key used; null for anonymous callers, who are limited per IP */
+  client: { id: string; name: string } | null;
+  /** Requests per minute; null when API_AUTH is off */
+  limits: RouteClassCounts | null;
+  remaining: RouteClassCounts | null;
+  /** Since the server started */
+  usage: { cheap: number; expensive: number; throttled: number; lastUsedAt: string | null } | null;
+}
+
+export interface Health {
+  status: 'ok' | 'degraded';
+  providers: Record<ProviderId, BreakerHealth>;
+  browser?: Record<string, unknown>;
+}
+
+export interface Currency {
+  code: CurrencyCode;
+  name: string;
+  minorUnits: number;
+  symbol: string;
+  flag: string;
+  /** Supported, not supported, or null when not yet known */
+  providers: Record<ProviderId, boolean | null>;
+}
+
+export interface FeeProfile {
+  id: string;
+  name: string;
+  network: NetworkId;
+  /** Billing currency fixedFee and atmFee are charged in */
+  currency: CurrencyCode;
+  fxFeePct: number;
+  fixedFee?: number;
+  atmFee?: number;
+}
+
+export interface Fees {
+  profile: string | null;
+  issuerFeePct: number;
+  /** In quote, the billing currency, converted from the profile's currency */
+  fixedFee: number;
+  atmFee: number;
+  /** In base: amount × issuerFeePct / 100 + (fixedFee + atmFee) / rate */
+  feeAmount: number;
+  totalCost: number;
+  effectiveRate: number;
+  effectiveConverted: number;
+}
+
+export interface ProviderStatus {
+  status: 'ok' | 'unavailable' | 'timeout' | 'error';
+  reason: string | null;
+  latencyMs: number;
+  cached: boolean;
+}
+
+export interface RateDetails {
+  market?: string;
+  derived?: boolean;
+  route?: CurrencyCode[];
+  varianceAsOf?: DateString;
+  estimated?: boolean;
+}
+
+export interface RateQuery {
+  date: DateString;
+  base: CurrencyCode;
+  quote: CurrencyCode;
+  amount?: number;
+  direction?: Direction;
+  /** Quote amount wanted; required with direction 'reverse' */
+  target?: number;
+  fee?: number;
+  profile?: string | string[];
+  atm?: boolean;
+  midPolicy?: MidPolicy;
+  market?: string;
+}
+
+export interface ProviderRate extends RateDetails {
+  provider: ProviderId;
+  date: DateString;
+  base: CurrencyCode;
+  quote: CurrencyCode;
+  source: string;
+  /** Set, with reason, when the provider returned no rate */
+  unavailable?: true;
+  reason?: string;
+  rate?: number;
+  /** In reverse mode, solved for target */
+  amount?: number;
+  direction?: 'reverse';
+  target?: number;
+  converted?: number;
+  effectiveRate?: number;
+  effectiveConverted?: number;
+  fees?: Fees | null;
+  dayDeltaPct?: number | null;
+  midAsOf?: DateString;
+}
+
+export interface RatesQuery extends RateQuery {
+  format?: ExportFormat;
+}
+
+export interface RatesResponse {
+  date: DateString;
+  base: CurrencyCode;
+  quote: CurrencyCode;
+  /** In reverse mode, what the reference rate needs for target */
+  amount: number | null;
+  direction?: 'reverse';
+  target?: number;
+  /** Reverse mode: the base amount each provider needs for target */
+  amounts?: Record<ProviderId, number | null>;
+  midAsOf: DateString | null;
+  mid: number | null;
+  mc: number | null;
+  visa: number | null;
+  amex: number | null;
+  midDeltaPct: number | null;
+  mcUnavailable: boolean;
+  visaUnavailable: boolean;
+  amexUnavailable: boolean;
+  /** Markup over the reference rate in percent */
+  mcDeltaPct: number | null;
+  visaDeltaPct: number | null;
+  amexDeltaPct: number | null;
+  mcEffectiveDeltaPct: number | null;
+  visaEffectiveDeltaPct: number | null;
+  amexEffectiveDeltaPct: number | null;
+  mcDayDeltaPct: number | null;
+  visaDayDeltaPct: number | null;
+  amexDayDeltaPct: number | null;
+  converted: Record<ProviderId, number | null>;
+  effective: Record<ProviderId, number | null>;
+  fees: Partial<Record<NetworkId, Fees | null>>;
+  sources: Record<ProviderId, string>;
+  status: Record<ProviderId, ProviderStatus>;
+  details: Partial<Record<ProviderId, RateDetails>>;
+  [perProviderKey: string]: unknown;
+}
+
+/** One provider's result from the rates stream */
+export interface StreamedRate extends RateDetails {
+  provider: ProviderId;
+  date: DateString;
+  base: CurrencyCode;
+  quote: CurrencyCode;
+  /** In reverse mode solved for target; null without a rate */
+  amount: number | null;
+  direction?: 'reverse';
+  target?: number;
+  status: ProviderStatus['status'];
+  reason: string | null;
+  latencyMs: number;
+  cached: boolean;
+  source: string;
+  /** Set when the provider returned no rate; the rate fields are then absent */
+  unavailable?: true;
+  rate?: number;
+  converted?: number;
+  effectiveRate?: number;
+  effectiveConverted?: number;
+  fees?: Fees | null;
+  dayDeltaPct?: number | null;
+  /** Over the reference rate in percent; null for the reference itself */
+  markupPct?: number | null;
+  effectiveMarkupPct?: number | null;
+  midAsOf?: DateString;
+}
+
+export interface StreamSummary {
+  date: DateString;
+  base: CurrencyCode;
+  quote: CurrencyCode;
+  /** In reverse mode, what the reference rate needs for target */
+  amount: number | null;
+  direction?: 'reverse';
+  target?: number;
+  midAsOf: DateString | null;
+  /** Best rate, fees included */
+  winner: ProviderId | null;
+  /** Providers with a rate, best first */
+  ranking: ProviderId[];
+  unavailable: ProviderId[];
+  durationMs: number;
+}
+
+export interface HistoryQuery extends RatesQuery {
+  /** 2 to 60, default 30 */
+  days?: number;
+}
+
+export interface HistoryResponse {
+  base: CurrencyCode;
+  quote: CurrencyCode;
+  start: DateString;
+  end: DateString;
+  labels: DateString[];
+  series: Record<ProviderId, Array<number | null>>;
+  effectiveSeries: Partial<Record<NetworkId, Array<number | null>>>;
+  midAsOf: Array<DateString | null>;
+  filled: Record<ProviderId, boolean[]>;
+  estimated: Record<ProviderId, boolean[]>;
+  partial: boolean;
+  missing: Record<ProviderId, number>;
+  sources: Record<ProviderId, string>;
+  mcAvgDeltaPct?: number | null;
+  visaAvgDeltaPct?: number | null;
+  amexAvgDeltaPct?: number | null;
+  mcAvgEffectiveDeltaPct?: number | null;
+  visaAvgEffectiveDeltaPct?: number | null;
+  amexAvgEffectiveDeltaPct?: number | null;
+  [perProviderKey: string]: unknown;
+}
+
+export interface StatsQuery extends RateQuery {
+  /** 2 to 60, default 30 */
+  days?: number;
+}
+
+/** Markups in percent over the reference rate, issuer fees included when asked for */
+export interface MarkupStats {
+  days: number;
+  minPct: number | null;
+  medianPct: number | null;
+  p90Pct: number | null;
+  maxPct: number | null;
+  meanPct: number | null;
+  stdDevPct: number | null;
+  /** Compared days this network had the best rate (ties count for each) */
+  cheapestDays: number;
+  /** 0 to 1 */
+  cheapestShare: number | null;
+  weekday: { days: number; meanPct: number | null };
+  weekend: { days: number; meanPct: number | null };
+  /** Weekend minus weekday mean markup, in percentage points */
+  weekendPremiumPct: number | null;
+  /** Largest changes in markup from one day to the next */
+  jumps: Array<{ date: DateString; fromPct: number; toPct: number; changePct: number }>;
+}
+
+export interface StatsResponse {
+  base: CurrencyCode;
+  quote: CurrencyCode;
+  start: DateString;
+  end: DateString;
+  days: number;
+  /** Days at least two networks were priced */
+  comparedDays: number;
+  providers: Partial<Record<NetworkId, MarkupStats>>;
+  partial: boolean;
+  missing: Record<ProviderId, number>;
+  sources: Record<ProviderId, string>;
+}
+
+export interface MatrixQuery {
+  date: DateString;
+  base: CurrencyCode;
+  quotes: CurrencyCode | CurrencyCode[];
+  providers?: NetworkId | NetworkId[];
+  amount?: number;
+  midPolicy?: MidPolicy;
+  market?: string;
+}
+
+export interface MatrixRow extends RateDetails {
+  quote: CurrencyCode;
+  provider: ProviderId;
+  rate: number | null;
+  converted: number | null;
+  markupPct: number | null;
+  dayDeltaPct: number | null;
+  status: ProviderStatus['status'];
+  reason: string | null;
+  midAsOf?: DateString | null;
+}
+
+export interface MatrixResponse {
+  date: DateString;
+  base: CurrencyCode;
+  amount: number;
+  quotes: CurrencyCode[];
+  providers: ProviderId[];
+  rows: MatrixRow[];
+  sources: Record<ProviderId, string>;
+}
+
+export interface ReconcileOptions {
+  mapping?: Partial<Record<'date' | 'originalAmount' | 'originalCurrency' | 'billedAmount' | 'billedCurrency' | 'network', string>>;
+  dateFormat?: 'YYYY-MM-DD' | 'DD/MM/YYYY' | 'MM/DD/YYYY';
+  decimal?: '.' | ',';
+  delimiter?: string;
+  midPolicy?: MidPolicy;
+  market?: string;
+}
+
+export interface ReconcileRequest extends ReconcileOptions {
+  csv: string;
+}
+
+export interface ReconciledTransaction {
+  line: number;
+  date: DateString | null;
+  originalAmount: number | null;
+  originalCurrency: CurrencyCode;
+  billedAmount: number | null;
+  billedCurrency: CurrencyCode;
+  network: NetworkId | null;
+  error?: string;
+  impliedRate?: number;
+  midRate?: number | null;
+  midAsOf?: DateString | null;
+  midMarkupPct?: number | null;
+  networkRate?: number | null;
+  expectedBilled?: number | null;
+  discrepancyPct?: number | null;
+  /** billedAmount - expectedBilled; 0 within half of the billed currency's minor unit */
+  hiddenFee?: number | null;
+  status: ProviderStatus['status'] | 'no-network' | 'invalid';
+  reason?: string | null;
+}
+
+export interface ReconcileTotals {
+  lines: number;
+  billed: number;
+  checked: number;
+  checkedBilled: number;
+  expectedBilled: number;
+  hiddenFee: number;
+  hiddenFeePct: number | null;
+}
+
+export interface ReconcileResponse {
+  midPolicy: MidPolicy;
+  transactions: ReconciledTransaction[];
+  totals: Record<CurrencyCode, ReconcileTotals>;
+  sources: Record<ProviderId, string>;
+}
+
+export interface PlanExpense {
+  /** Future dates are priced with the latest rates */
+  date: DateString;
+  /** In the expense currency */
+  amount: number;
+  currency: CurrencyCode;
+  /** 'cash' for withdrawals, which pay the card's ATM fee */
+  category?: string;
+}
+
+/** A network with its fees, or a fee profile (whose fees can be overridden) */
+export interface PlanCard {
+  id?: string;
+  name?: string;
+  network?: NetworkId;
+  profile?: string;
+  feePct?: number;
+  /** Per foreign expense, in feeCurrency */
+  fixedFee?: number;
+  /** Per foreign cash withdrawal, in feeCurrency */
+  atmFee?: number;
+  /** Currency fixedFee and atmFee are charged in (default the profile's, else homeCurrency) */
+  feeCurrency?: CurrencyCode;
+}
+
+export interface PlanRequest {
+  /** Currency the cards bill in */
+  homeCurrency: CurrencyCode;
+  expenses: PlanExpense[];
+  cards: PlanCard[];
+  midPolicy?: MidPolicy;
+  market?: string;
+}
+
+export interface PlanCardTotal {
+  id: string;
+  name: string;
+  network: NetworkId;
+  profile: string | null;
+  feePct: number;
+  fixedFee: number;
+  atmFee: number;
+  feeCurrency: CurrencyCode;
+  /** Home currency, fees included, over the priced expenses */
+  total: number;
+  fees: number;
+  markupPct: number | null;
+  priced: number;
+  unpriced: number;
+  complete: boolean;
+}
+
+export interface PlanCardCost {
+  rate: number | null;
+  cost: number | null;
+  fee: number | null;
+  total: number | null;
+  status: ProviderStatus['status'];
+  reason: string | null;
+}
+
+export interface PlannedExpense extends Required<PlanExpense> {
+  pricedOn: DateString;
+  estimated: boolean;
+  mid: { rate: number | null; cost: number | null };
+  /** Per card id */
+  costs: Record<string, PlanCardCost>;
+  bestCard: string | null;
+  bestTotal: number | null;
+}
+
+export interface PlanResponse {
+  midPolicy: MidPolicy;
+  homeCurrency: CurrencyCode;
+  mid: { total: number; priced: number; unpriced: number };
+  cards: PlanCardTotal[];
+  expenses: PlannedExpense[];
+  optimal: {
+    total: number;
+    complete: boolean;
+    split: Record<string, number>;
+    bestSingleCard: string | null;
+    bestSingleTotal: number | null;
+    /** Saved by splitting instead of using the best single card */
+    savings: number | null;
+    savingsPct: number | null;
+  };
+  sources: Record<ProviderId, string>;
+}
+
+export interface WatchInput {
+  provider: ProviderId;
+  base: CurrencyCode;
+  quote: CurrencyCode;
+  amount?: number;
+  metric: 'rate' | 'markupPct';
+  op: 'below' | 'above';
+  threshold: number;
+  webhookUrl: string;
+}
+
+export interface Watch extends Required<WatchInput> {
+  id: string;
+  triggered: boolean;
+  createdAt: string;
+  lastCheckedAt: string | null;
+  lastValue: number | null;
+  lastFiredAt: string | null;
+  lastError: string | null;
+}
+
+export interface FxClient {
+  getOpenApiDocument(): Promise<Record<string, unknown>>;
+  listProviders(): Promise<{ providers: Provider[] }>;
+  getHealth(): Promise<Health>;
+  getUsage(): Promise<Usage>;
+  listCurrencies(): Promise<{ currencies: Currency[] }>;
+  listFeeProfiles(): Promise<{ profiles: FeeProfile[] }>;
+  getRate(provider: ProviderId, query: RateQuery): Promise<ProviderRate>;
+  /** With `format`, resolves to the file: text for csv and jsonl, bytes for xlsx */
+  compareRates(query: RatesQuery & { format: 'xlsx' }): Promise<ArrayBuffer>;
+  compareRates(query: RatesQuery & { format: 'csv' | 'jsonl' }): Promise<string>;
+  compareRates(query: RatesQuery): Promise<RatesResponse>;
+  /** Calls onRate as each provider resolves, then resolves to the summary */
+  streamRates(query: RateQuery, onRate?: (rate: StreamedRate) => void): Promise<StreamSummary>;
+  /** With `format`, resolves to the file: text for csv and jsonl, bytes for xlsx */
+  getHistory(query: HistoryQuery & { format: 'xlsx' }): Promise<ArrayBuffer>;
+  getHistory(query: HistoryQuery & { format: 'csv' | 'jsonl' }): Promise<string>;
+  getHistory(query: HistoryQuery): Promise<HistoryResponse>;
+  getStats(query: StatsQuery): Promise<StatsResponse>;
+  getMatrix(query: MatrixQuery): Promise<MatrixResponse>;
+  reconcileStatement(statement: string, options?: ReconcileOptions): Promise<ReconcileResponse>;
+  reconcileStatement(statement: ReconcileRequest): Promise<ReconcileResponse>;
+  planTrip(plan: PlanRequest): Promise<PlanResponse>;
+  listAmexSnapshots(): Promise<{ markets: Record<string, { first: DateString; last: DateString; days: number }> }>;
+  takeAmexSnapshots(): Promise<{ taken: string[]; failed: string[] }>;
+  listWatches(): Promise<{ watches: Watch[] }>;
+  createWatch(watch: WatchInput): Promise<Watch>;
+  checkWatches(): Promise<{ checked: number; fired: number }>;
+  getWatch(id: string): Promise<Watch>;
+  updateWatch(id: string, changes: Partial<WatchInput>): Promise<Watch>;
+  deleteWatch(id: string): Promise<null>;
+}
+
+/** Rejects with an ApiError for non-2xx responses */
+export function createClient(options: {
+  baseUrl: string;
+  /** Sent as X-API-Key */
+  apiKey?: string;
+  fetch?: typeof fetch;
+  headers?: Record<string, string>;
+}): FxClient;
@@ -0,0 +1,130 @@
+// Client for the routes described at /api/openapi.json. Types are in index.d.ts.
+
+/**
+ * Build a query string, leaving out undefined and null values
+ * @param {Object<string, any>} params
+ * @returns {string}
+ */
+function toQuery(params = {}) {
+  const search = new URLSearchParams();
+  for (const [key, value] of Object.entries(params)) {
+    if (value === undefined || value === null) continue;
+    search.set(key, Array.isArray(value) ? value.join(',') : String(value));
+  }
+  const text = search.toString();
+  return text ? `?${text}` : '';
+}
+
+// One Server-Sent Events block ("event: x\ndata: {...}"), or null for comments
+function parseEvent(block) {
+  let event = 'message';
+  const data = [];
+  for (const line of block.split('\n')) {
+    if (line.startsWith('event:')) event = line.slice(6).trim();
+    else if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+  }
+  return data.length > 0 ? { event, data: JSON.parse(data.join('\n')) } : null;
+}
+
+/**
+ * @param {{ baseUrl: string, apiKey?: string, fetch?: typeof fetch, headers?: Object<string, string> }} options
+ *   apiKey is sent as X-API-Key; headers are sent with every request (e.g. X-Request-Id)
+ * @returns {import('./index.js').FxClient}
+ */
+export function createClient({ baseUrl, apiKey, fetch: fetchImpl = globalThis.fetch, headers: extraHeaders = {} }) {
+  if (!baseUrl) throw new Error('baseUrl is required');
+  const root = baseUrl.replace(/\/+$/, '');
+  const headers = apiKey ? { 'X-API-Key': apiKey, ...extraHeaders } : extraHeaders;
+
+  async function request(method, path, { query, body, contentType } = {}) {
+    const init = { method, headers: { Accept: 'application/json', ...headers } };
+    if (body !== undefined) {
+      init.headers['Content-Type'] = contentType || 'application/json';
+      init.body = typeof body === 'string' ? body : JSON.stringify(body);
+    }
+    const res = await fetchImpl(root + path + toQuery(query), init);
+    if (res.status === 204) return null;
+    const data = await readBody(res);
+    if (!res.ok) throw apiError(method, path, res, data);
+    return data;
+  }
+
+  // JSON is parsed, other text (CSV, JSON Lines) returned as a string and
+  // anything else (XLSX) as an ArrayBuffer
+  async function readBody(res) {
+    const type = (res.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+    if (type === 'application/json' || type.endsWith('+json')) return res.json();
+    if (!type || type.startsWith('text/') || type === 'application/x-ndjson') return res.text();
+    return res.arrayBuffer();
+  }
+
+  function apiError(method, path, res, data) {
+    const status = res ? res.status : 200;
+    const error = new Error((data && data.error) || `${method} ${path} responded with ${status}`);
+    error.code = 'EAPI';
+    error.status = status;
+    error.body = data;
+    // Set on 429: seconds until the budget allows another request
+    const retryAfter = res && res.headers.get('retry-after');
+    if (retryAfter) error.retryAfter = Number(retryAfter);
+    return error;
+  }
+
+  // Calls onEvent with each { event, data } of a Server-Sent Events response
+  async function stream(path, query, onEvent) {
+    const res = await fetchImpl(root + path + toQuery(query), { headers: { Accept: 'text/event-stream', ...headers } });
+    if (!res.ok) throw apiError('GET', path, res, await readBody(res));
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for await (const chunk of res.body) {
+      buffer += decoder.decode(chunk, { stream: true }).replace(/\r\n/g, '\n');
+      let end;
+      while ((end = buffer.indexOf('\n\n')) !== -1) {
+        const parsed = parseEvent(buffer.slice(0, end));
+        buffer = buffer.slice(end + 2);
+        if (parsed) onEvent(parsed);
+      }
+    }
+  }
+
+  // Resolves to the summary, after onRate has seen every provider's result
+  async function streamRates(query, onRate = () => {}) {
+    let summary = null;
+    let failure = null;
+    await stream('/api/rates/stream', query, ({ event, data }) => {
+      if (event === 'rate') onRate(data);
+      else if (event === 'summary') summary = data;
+      else if (event === 'error') failure = data;
+    });
+    if (failure || !summary) throw apiError('GET', '/api/rates/stream', null, failure || { error: 'Stream ended without a summary' });
+    return summary;
+  }
+
+  return {
+    getOpenApiDocument: () => request('GET', '/api/openapi.json'),
+    listProviders: () => request('GET', '/api/providers'),
+    getHealth: () => request('GET', '/api/health'),
+    getUsage: () => request('GET', '/api/usage'),
+    listCurrencies: () => request('GET', '/api/currencies'),
+    listFeeProfiles: () => request('GET', '/api/fee-profiles'),
+    getRate: (provider, query) => request('GET', `/api/rate/${encodeURIComponent(provider)}`, { query }),
+    compareRates: (query) => request('GET', '/api/rates', { query }),
+    streamRates,
+    getHistory: (query) => request('GET', '/api/history', { query }),
+    getStats: (query) => request('GET', '/api/stats', { query }),
+    getMatrix: (query) => request('GET', '/api/matrix', { query }),
+    // A CSV string is sent as text/csv (options go in the query string), an object as JSON
+    reconcileStatement: (statement, query) => (typeof statement === 'string'
+      ? request('POST', '/api/reconcile', { query, body: statement, contentType: 'text/csv' })
+      : request('POST', '/api/reconcile', { query, body: statement })),
+    planTrip: (plan) => request('POST', '/api/plan', { body: plan }),
+    listAmexSnapshots: () => request('GET', '/api/amex/snapshots'),
+    takeAmexSnapshots: () => request('POST', '/api/amex/snapshots'),
+    listWatches: () => request('GET', '/api/watches'),
+    createWatch: (watch) => request('POST', '/api/watches', { body: watch }),
+    checkWatches: () => request('POST', '/api/watches/check'),
+    getWatch: (id) => request('GET', `/api/watches/${encodeURIComponent(id)}`),
+    updateWatch: (id, changes) => request('PATCH', `/api/watches/${encodeURIComponent(id)}`, { body: changes }),
+    deleteWatch: (id) => request('DELETE', `/api/watches/${encodeURIComponent(id)}`)
+  };
+}
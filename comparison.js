@@ -0,0 +1,82 @@
+import { getProviders, getReferenceProvider, unsupportedReason } from './providers.js';
+import { applyFees } from './fee-profiles.js';
+
+// Comparison building blocks shared by the API routes and the command-line interface
+
+/** Markup of a rate over the reference rate in percent, or null when either is missing */
+export const markupPct = (rate, mid) => ((rate === null || !mid) ? null : ((rate - mid) / mid) * 100);
+
+// Spreadsheet layout for exports: per provider its rate, markup against the
+// reference and whether the value was carried over from another day
+export function exportColumns(providers) {
+  return ['date', ...providers.flatMap((p) => (p.kind === 'reference'
+    ? [p.id, `${p.id}AsOf`, `${p.id}Filled`]
+    : [p.id, `${p.id}MarkupPct`, `${p.id}EffectiveMarkupPct`, `${p.id}Filled`]))];
+}
+
+export function exportRow(date, providers, valueOf) {
+  const mid = valueOf(providers.find((p) => p.kind === 'reference')).rate;
+  const row = { date };
+  for (const p of providers) {
+    const { rate, effectiveRate, asOf, filled } = valueOf(p);
+    row[p.id] = rate;
+    if (p.kind === 'reference') {
+      row[`${p.id}AsOf`] = asOf;
+    } else {
+      row[`${p.id}MarkupPct`] = markupPct(rate, mid);
+      row[`${p.id}EffectiveMarkupPct`] = markupPct(effectiveRate, mid);
+    }
+    row[`${p.id}Filled`] = filled;
+  }
+  return row;
+}
+
+// Daily series per provider, as rates and fee-inclusive effective rates. Days
+// still queued at the deadline are dropped and the series answered partially;
+// whatever did arrive is in the rate store for the next request. A provider
+// whose currency list lacks the pair has an empty series and a reason in `unsupported`.
+export async function fetchHistory({ start, end, labels, base, quote, midPolicy, market, amount, feeOptions, deadline }) {
+  const providers = getProviders();
+  const reference = getReferenceProvider();
+  const missing = {};
+  const filled = {};
+  const estimated = {};
+  const unsupported = {};
+  for (const p of providers) {
+    const reason = unsupportedReason(p, [base, quote]);
+    if (reason) unsupported[p.id] = reason;
+  }
+  const none = () => labels.map(() => null);
+  const { series: midSeries, asOf: midAsOf } = unsupported[reference.id] ? { series: none(), asOf: none() }
+    : reference.getSeriesAsOf ? await reference.getSeriesAsOf(start, end, base, quote, { policy: midPolicy })
+    : { series: await reference.getSeries(start, end, base, quote), asOf: labels };
+  const fetched = await Promise.all(providers.map((p) => {
+    missing[p.id] = 0;
+    filled[p.id] = labels.map((d, i) => (p === reference ? midAsOf[i] !== null && midAsOf[i] !== d : false));
+    estimated[p.id] = labels.map(() => false);
+    if (p === reference) return midSeries;
+    if (unsupported[p.id]) return none();
+    return p.getSeries(start, end, base, quote, {
+      deadline,
+      market,
+      policy: midPolicy,
+      onSkip: () => { missing[p.id]++; },
+      onFill: (d) => { filled[p.id][labels.indexOf(d)] = true; },
+      onEstimate: (d) => { estimated[p.id][labels.indexOf(d)] = true; }
+    });
+  }));
+
+  const series = {};
+  const effectiveSeries = {};
+  const sources = {};
+  providers.forEach((p, i) => {
+    series[p.id] = fetched[i];
+    sources[p.id] = p.seriesSource || p.source;
+    if (p.kind === 'network') {
+      const fees = feeOptions.forProvider(p.id);
+      effectiveSeries[p.id] = fetched[i].map((v) => (v === null ? null : applyFees(v, amount, fees).effectiveRate));
+    }
+  });
+  const partial = Object.values(missing).some((n) => n > 0);
+  return { series, effectiveSeries, midAsOf, filled, estimated, missing, unsupported, partial, sources };
+}
@@ -0,0 +1,246 @@
+import { listStoredRates } from './rate-store.js';
+
+// ISO 4217 currency and fund codes, with their minor units (decimal places)
+// and the symbol and flag shown in the frontend. Codes without minor units
+// (precious metals, SDR, bond units, test codes) are left out, since no card
+// network settles them; codes replaced since 2023 (HRK, ANG, SLL, ZWL) stay
+// for past dates. A code missing here is rejected before any upstream is asked.
+// Currencies shared by several countries are flagged 🌐.
+const ISO_CURRENCIES = [
+  ['AED', 'UAE Dirham', 2, 'د.إ', '🇦🇪'],
+  ['AFN', 'Afghan Afghani', 2, '؋', '🇦🇫'],
+  ['ALL', 'Albanian Lek', 2, 'L', '🇦🇱'],
+  ['AMD', 'Armenian Dram', 2, '֏', '🇦🇲'],
+  ['ANG', 'Netherlands Antillean Guilder', 2, 'ƒ', '🇨🇼'],
+  ['AOA', 'Angolan Kwanza', 2, 'Kz', '🇦🇴'],
+  ['ARS', 'Argentine Peso', 2, '$', '🇦🇷'],
+  ['AUD', 'Australian Dollar', 2, 'A$', '🇦🇺'],
+  ['AWG', 'Aruban Florin', 2, 'ƒ', '🇦🇼'],
+  ['AZN', 'Azerbaijani Manat', 2, '₼', '🇦🇿'],
+  ['BAM', 'Bosnia and Herzegovina Convertible Mark', 2, 'KM', '🇧🇦'],
+  ['BBD', 'Barbadian Dollar', 2, 'Bds$', '🇧🇧'],
+  ['BDT', 'Bangladeshi Taka', 2, '৳', '🇧🇩'],
+  ['BGN', 'Bulgarian Lev', 2, 'лв', '🇧🇬'],
+  ['BHD', 'Bahraini Dinar', 3, '.د.ب', '🇧🇭'],
+  ['BIF', 'Burundian Franc', 0, 'FBu', '🇧🇮'],
+  ['BMD', 'Bermudian Dollar', 2, '$', '🇧🇲'],
+  ['BND', 'Brunei Dollar', 2, 'B$', '🇧🇳'],
+  ['BOB', 'Bolivian Boliviano', 2, 'Bs', '🇧🇴'],
+  ['BOV', 'Bolivian Mvdol', 2, 'BOV', '🇧🇴'],
+  ['BRL', 'Brazilian Real', 2, 'R$', '🇧🇷'],
+  ['BSD', 'Bahamian Dollar', 2, 'B$', '🇧🇸'],
+  ['BTN', 'Bhutanese Ngultrum', 2, 'Nu.', '🇧🇹'],
+  ['BWP', 'Botswana Pula', 2, 'P', '🇧🇼'],
+  ['BYN', 'Belarusian Ruble', 2, 'Br', '🇧🇾'],
+  ['BZD', 'Belize Dollar', 2, 'BZ$', '🇧🇿'],
+  ['CAD', 'Canadian Dollar', 2, 'C$', '🇨🇦'],
+  ['CDF', 'Congolese Franc', 2, 'FC', '🇨🇩'],
+  ['CHE', 'WIR Euro', 2, 'CHE', '🇨🇭'],
+  ['CHF', 'Swiss Franc', 2, 'CHF', '🇨🇭'],
+  ['CHW', 'WIR Franc', 2, 'CHW', '🇨🇭'],
+  ['CLF', 'Chilean Unit of Account (UF)', 4, 'UF', '🇨🇱'],
+  ['CLP', 'Chilean Peso', 0, '$', '🇨🇱'],
+  ['CNY', 'Chinese Yuan', 2, '¥', '🇨🇳'],
+  ['COP', 'Colombian Peso', 2, '$', '🇨🇴'],
+  ['COU', 'Colombian Unit of Real Value', 2, 'COU', '🇨🇴'],
+  ['CRC', 'Costa Rican Colón', 2, '₡', '🇨🇷'],
+  ['CUP', 'Cuban Peso', 2, '$', '🇨🇺'],
+  ['CVE', 'Cape Verdean Escudo', 2, 'Esc', '🇨🇻'],
+  ['CZK', 'Czech Koruna', 2, 'Kč', '🇨🇿'],
+  ['DJF', 'Djiboutian Franc', 0, 'Fdj', '🇩🇯'],
+  ['DKK', 'Danish Krone', 2, 'kr', '🇩🇰'],
+  ['DOP', 'Dominican Peso', 2, 'RD$', '🇩🇴'],
+  ['DZD', 'Algerian Dinar', 2, 'دج', '🇩🇿'],
+  ['EGP', 'Egyptian Pound', 2, 'E£', '🇪🇬'],
+  ['ERN', 'Eritrean Nakfa', 2, 'Nfk', '🇪🇷'],
+  ['ETB', 'Ethiopian Birr', 2, 'Br', '🇪🇹'],
+  ['EUR', 'Euro', 2, '€', '🇪🇺'],
+  ['FJD', 'Fijian Dollar', 2, 'FJ$', '🇫🇯'],
+  ['FKP', 'Falkland Islands Pound', 2, '£', '🇫🇰'],
+  ['GBP', 'British Pound', 2, '£', '🇬🇧'],
+  ['GEL', 'Georgian Lari', 2, '₾', '🇬🇪'],
+  ['GHS', 'Ghanaian Cedi', 2, '₵', '🇬🇭'],
+  ['GIP', 'Gibraltar Pound', 2, '£', '🇬🇮'],
+  ['GMD', 'Gambian Dalasi', 2, 'D', '🇬🇲'],
+  ['GNF', 'Guinean Franc', 0, 'FG', '🇬🇳'],
+  ['GTQ', 'Guatemalan Quetzal', 2, 'Q', '🇬🇹'],
+  ['GYD', 'Guyanese Dollar', 2, 'G$', '🇬🇾'],
+  ['HKD', 'Hong Kong Dollar', 2, 'HK$', '🇭🇰'],
+  ['HNL', 'Honduran Lempira', 2, 'L', '🇭🇳'],
+  ['HRK', 'Croatian Kuna', 2, 'kn', '🇭🇷'],
+  ['HTG', 'Haitian Gourde', 2, 'G', '🇭🇹'],
+  ['HUF', 'Hungarian Forint', 2, 'Ft', '🇭🇺'],
+  ['IDR', 'Indonesian Rupiah', 2, 'Rp', '🇮🇩'],
+  ['ILS', 'Israeli New Shekel', 2, '₪', '🇮🇱'],
+  ['INR', 'Indian Rupee', 2, '₹', '🇮🇳'],
+  ['IQD', 'Iraqi Dinar', 3, 'ع.د', '🇮🇶'],
+  ['IRR', 'Iranian Rial', 2, '﷼', '🇮🇷'],
+  ['ISK', 'Icelandic Króna', 0, 'kr', '🇮🇸'],
+  ['JMD', 'Jamaican Dollar', 2, 'J$', '🇯🇲'],
+  ['JOD', 'Jordanian Dinar', 3, 'JD', '🇯🇴'],
+  ['JPY', 'Japanese Yen', 0, '¥', '🇯🇵'],
+  ['KES', 'Kenyan Shilling', 2, 'KSh', '🇰🇪'],
+  ['KGS', 'Kyrgyzstani Som', 2, 'сом', '🇰🇬'],
+  ['KHR', 'Cambodian Riel', 2, '៛', '🇰🇭'],
+  ['KMF', 'Comorian Franc', 0, 'CF', '🇰🇲'],
+  ['KPW', 'North Korean Won', 2, '₩', '🇰🇵'],
+  ['KRW', 'South Korean Won', 0, '₩', '🇰🇷'],
+  ['KWD', 'Kuwaiti Dinar', 3, 'KD', '🇰🇼'],
+  ['KYD', 'Cayman Islands Dollar', 2, 'CI$', '🇰🇾'],
+  ['KZT', 'Kazakhstani Tenge', 2, '₸', '🇰🇿'],
+  ['LAK', 'Lao Kip', 2, '₭', '🇱🇦'],
+  ['LBP', 'Lebanese Pound', 2, 'ل.ل', '🇱🇧'],
+  ['LKR', 'Sri Lankan Rupee', 2, 'Rs', '🇱🇰'],
+  ['LRD', 'Liberian Dollar', 2, 'L$', '🇱🇷'],
+  ['LSL', 'Lesotho Loti', 2, 'L', '🇱🇸'],
+  ['LYD', 'Libyan Dinar', 3, 'LD', '🇱🇾'],
+  ['MAD', 'Moroccan Dirham', 2, 'DH', '🇲🇦'],
+  ['MDL', 'Moldovan Leu', 2, 'L', '🇲🇩'],
+  ['MGA', 'Malagasy Ariary', 2, 'Ar', '🇲🇬'],
+  ['MKD', 'Macedonian Denar', 2, 'ден', '🇲🇰'],
+  ['MMK', 'Myanmar Kyat', 2, 'K', '🇲🇲'],
+  ['MNT', 'Mongolian Tögrög', 2, '₮', '🇲🇳'],
+  ['MOP', 'Macanese Pataca', 2, 'MOP$', '🇲🇴'],
+  ['MRU', 'Mauritanian Ouguiya', 2, 'UM', '🇲🇷'],
+  ['MUR', 'Mauritian Rupee', 2, '₨', '🇲🇺'],
+  ['MVR', 'Maldivian Rufiyaa', 2, 'Rf', '🇲🇻'],
+  ['MWK', 'Malawian Kwacha', 2, 'MK', '🇲🇼'],
+  ['MXN', 'Mexican Peso', 2, 'MX$', '🇲🇽'],
+  ['MXV', 'Mexican Unidad de Inversion (UDI)', 2, 'MXV', '🇲🇽'],
+  ['MYR', 'Malaysian Ringgit', 2, 'RM', '🇲🇾'],
+  ['MZN', 'Mozambican Metical', 2, 'MT', '🇲🇿'],
+  ['NAD', 'Namibian Dollar', 2, 'N$', '🇳🇦'],
+  ['NGN', 'Nigerian Naira', 2, '₦', '🇳🇬'],
+  ['NIO', 'Nicaraguan Córdoba', 2, 'C$', '🇳🇮'],
+  ['NOK', 'Norwegian Krone', 2, 'kr', '🇳🇴'],
+  ['NPR', 'Nepalese Rupee', 2, '₨', '🇳🇵'],
+  ['NZD', 'New Zealand Dollar', 2, 'NZ$', '🇳🇿'],
+  ['OMR', 'Omani Rial', 3, 'ر.ع.', '🇴🇲'],
+  ['PAB', 'Panamanian Balboa', 2, 'B/.', '🇵🇦'],
+  ['PEN', 'Peruvian Sol', 2, 'S/', '🇵🇪'],
+  ['PGK', 'Papua New Guinean Kina', 2, 'K', '🇵🇬'],
+  ['PHP', 'Philippine Peso', 2, '₱', '🇵🇭'],
+  ['PKR', 'Pakistani Rupee', 2, '₨', '🇵🇰'],
+  ['PLN', 'Polish Złoty', 2, 'zł', '🇵🇱'],
+  ['PYG', 'Paraguayan Guaraní', 0, '₲', '🇵🇾'],
+  ['QAR', 'Qatari Riyal', 2, 'QR', '🇶🇦'],
+  ['RON', 'Romanian Leu', 2, 'lei', '🇷🇴'],
+  ['RSD', 'Serbian Dinar', 2, 'дин.', '🇷🇸'],
+  ['RUB', 'Russian Ruble', 2, '₽', '🇷🇺'],
+  ['RWF', 'Rwandan Franc', 0, 'FRw', '🇷🇼'],
+  ['SAR', 'Saudi Riyal', 2, 'SR', '🇸🇦'],
+  ['SBD', 'Solomon Islands Dollar', 2, 'SI$', '🇸🇧'],
+  ['SCR', 'Seychellois Rupee', 2, '₨', '🇸🇨'],
+  ['SDG', 'Sudanese Pound', 2, 'ج.س.', '🇸🇩'],
+  ['SEK', 'Swedish Krona', 2, 'kr', '🇸🇪'],
+  ['SGD', 'Singapore Dollar', 2, 'S$', '🇸🇬'],
+  ['SHP', 'Saint Helena Pound', 2, '£', '🇸🇭'],
+  ['SLE', 'Sierra Leonean Leone', 2, 'Le', '🇸🇱'],
+  ['SLL', 'Sierra Leonean Leone (old)', 2, 'Le', '🇸🇱'],
+  ['SOS', 'Somali Shilling', 2, 'Sh', '🇸🇴'],
+  ['SRD', 'Surinamese Dollar', 2, '$', '🇸🇷'],
+  ['SSP', 'South Sudanese Pound', 2, '£', '🇸🇸'],
+  ['STN', 'São Tomé and Príncipe Dobra', 2, 'Db', '🇸🇹'],
+  ['SVC', 'Salvadoran Colón', 2, '₡', '🇸🇻'],
+  ['SYP', 'Syrian Pound', 2, '£S', '🇸🇾'],
+  ['SZL', 'Swazi Lilangeni', 2, 'E', '🇸🇿'],
+  ['THB', 'Thai Baht', 2, '฿', '🇹🇭'],
+  ['TJS', 'Tajikistani Somoni', 2, 'SM', '🇹🇯'],
+  ['TMT', 'Turkmenistani Manat', 2, 'm', '🇹🇲'],
+  ['TND', 'Tunisian Dinar', 3, 'DT', '🇹🇳'],
+  ['TOP', 'Tongan Paʻanga', 2, 'T$', '🇹🇴'],
+  ['TRY', 'Turkish Lira', 2, '₺', '🇹🇷'],
+  ['TTD', 'Trinidad and Tobago Dollar', 2, 'TT$', '🇹🇹'],
+  ['TWD', 'New Taiwan Dollar', 2, 'NT$', '🇹🇼'],
+  ['TZS', 'Tanzanian Shilling', 2, 'TSh', '🇹🇿'],
+  ['UAH', 'Ukrainian Hryvnia', 2, '₴', '🇺🇦'],
+  ['UGX', 'Ugandan Shilling', 0, 'USh', '🇺🇬'],
+  ['USD', 'US Dollar', 2, '$', '🇺🇸'],
+  ['USN', 'US Dollar (Next day)', 2, 'USN', '🇺🇸'],
+  ['UYI', 'Uruguay Peso en Unidades Indexadas (UI)', 0, 'UYI', '🇺🇾'],
+  ['UYU', 'Uruguayan Peso', 2, '$U', '🇺🇾'],
+  ['UYW', 'Uruguayan Unidad Previsional', 4, 'UYW', '🇺🇾'],
+  ['UZS', 'Uzbekistani Som', 2, 'soʻm', '🇺🇿'],
+  ['VED', 'Venezuelan Digital Bolívar', 2, 'Bs.D', '🇻🇪'],
+  ['VES', 'Venezuelan Sovereign Bolívar', 2, 'Bs.S', '🇻🇪'],
+  ['VND', 'Vietnamese Đồng', 0, '₫', '🇻🇳'],
+  ['VUV', 'Vanuatu Vatu', 0, 'VT', '🇻🇺'],
+  ['WST', 'Samoan Tālā', 2, 'WS$', '🇼🇸'],
+  ['XAF', 'Central African CFA Franc', 0, 'FCFA', '🌐'],
+  ['XCD', 'East Caribbean Dollar', 2, 'EC$', '🌐'],
+  ['XCG', 'Caribbean Guilder', 2, 'Cg', '🌐'],
+  ['XOF', 'West African CFA Franc', 0, 'CFA', '🌐'],
+  ['XPF', 'CFP Franc', 0, '₣', '🌐'],
+  ['YER', 'Yemeni Rial', 2, '﷼', '🇾🇪'],
+  ['ZAR', 'South African Rand', 2, 'R', '🇿🇦'],
+  ['ZMW', 'Zambian Kwacha', 2, 'ZK', '🇿🇲'],
+  ['ZWG', 'Zimbabwe Gold', 2, 'ZiG', '🇿🇼'],
+  ['ZWL', 'Zimbabwean Dollar', 2, 'Z$', '🇿🇼']
+].map(([code, name, minorUnits, symbol, flag]) => ({ code, name, minorUnits, symbol, flag }));
+
+const byCode = new Map(ISO_CURRENCIES.map((c) => [c.code, c]));
+
+/** @returns {boolean} Whether the code is in the catalogue */
+export function isKnownCurrency(code) {
+  return byCode.has(code);
+}
+
+/** @returns {number} Decimal places of the code, 2 when it is not in the catalogue */
+export function minorUnits(code) {
+  const currency = byCode.get(code);
+  return currency ? currency.minorUnits : 2;
+}
+
+// Providers without a fixed list have supported whatever they have returned a rate for
+function learnedCurrencies(providerId) {
+  const codes = new Set();
+  for (const record of listStoredRates({ provider: providerId })) {
+    if (typeof record.rate !== 'number') continue;
+    codes.add(record.base);
+    codes.add(record.quote);
+  }
+  return codes;
+}
+
+/**
+ * Per provider, whether it prices a code: true, false, or null when it has no
+ * fixed list and has not returned a rate involving the code yet
+ * @param {import('./providers.js').Provider[]} providers
+ * @returns {(code: string) => Object<string, boolean|null>}
+ */
+function supportLookup(providers) {
+  const learned = new Map(providers.filter((p) => !p.currencies).map((p) => [p.id, learnedCurrencies(p.id)]));
+  return (code) => Object.fromEntries(providers.map((p) => [
+    p.id,
+    p.currencies ? p.currencies.includes(code) : (learned.get(p.id).has(code) || null)
+  ]));
+}
+
+/**
+ * The catalogue for GET /api/currencies
+ * @param {import('./providers.js').Provider[]} providers
+ * @returns {Array<{ code: string, name: string, minorUnits: number, symbol: string, flag: string, providers: Object<string, boolean|null> }>}
+ */
+export function describeCurrencies(providers) {
+  const supports = supportLookup(providers);
+  return ISO_CURRENCIES.map((currency) => ({ ...currency, providers: supports(currency.code) }));
+}
+
+/**
+ * Why these currencies cannot be requested, or null when they can
+ * @param {string[]} codes - Already checked to be three capital letters
+ * @param {import('./providers.js').Provider} [provider] - When given and it has
+ *   a fixed currency list, every code must be on it
+ * @returns {string|null}
+ */
+export function currencyError(codes, provider) {
+  const unknown = codes.filter((code) => !isKnownCurrency(code));
+  if (unknown.length > 0) {
+    return `Unknown currency: ${[...new Set(unknown)].join(', ')}. See GET /api/currencies`;
+  }
+  const unsupported = provider && provider.currencies ? codes.filter((code) => !provider.currencies.includes(code)) : [];
+  if (unsupported.length > 0) {
+    return `${provider.shortName} does not support ${[...new Set(unsupported)].join(', ')}`;
+  }
+  return null;
+}
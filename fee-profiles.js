@@ -0,0 +1,143 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { logger } from './logger.js';
+import { getReferenceProvider, fetchProviderRate } from './providers.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const PROFILES_PATH = process.env.FEE_PROFILES_PATH || path.join(__dirname, 'fee-profiles.json');
+
+/**
+ * Card product fees. The percentage applies to the amount spent; the flat fees
+ * are charged in the card's billing currency.
+ * @typedef {Object} FeeProfile
+ * @property {string} id
+ * @property {string} name
+ * @property {string} network - Provider id the card runs on (mc, visa, amex)
+ * @property {string} currency - Billing currency fixedFee and atmFee are charged in
+ * @property {number} fxFeePct - Issuer foreign transaction fee, in percent
+ * @property {number} [fixedFee] - Flat fee per foreign transaction
+ * @property {number} [atmFee] - Extra flat fee for cash withdrawals
+ */
+
+let profiles = null;
+
+/** @returns {FeeProfile[]} */
+export function getFeeProfiles() {
+  if (!profiles) {
+    try {
+      profiles = JSON.parse(fs.readFileSync(PROFILES_PATH, 'utf8'));
+    } catch (error) {
+      logger.error('fee_profiles_load_error', { path: PROFILES_PATH, message: error.message });
+      profiles = [];
+    }
+  }
+  return profiles;
+}
+
+/** @returns {FeeProfile|null} */
+export function getFeeProfile(id) {
+  return getFeeProfiles().find((p) => p.id === id) || null;
+}
+
+/**
+ * Read `fee`, `profile` and `atm` from a query string.
+ * `fee` is a flat issuer fee in percent applied to every network; `profile`
+ * is a comma-separated list of profile ids, each applied to its own network.
+ * @param {Object} query - req.query
+ * @returns {{ error: string } | { profiles: FeeProfile[], forProvider: (id: string) => { profile: string|null, issuerFeePct: number, fixedFee: number, atmFee: number } }}
+ */
+export function parseFeeOptions(query) {
+  const byNetwork = new Map();
+  let flatPct = 0;
+
+  if (query.fee !== undefined && query.fee !== '') {
+    flatPct = parseFloat(query.fee);
+    if (!Number.isFinite(flatPct) || flatPct < 0 || flatPct > 100) {
+      return { error: 'Invalid fee. Expected a percentage between 0 and 100' };
+    }
+  }
+
+  const atm = query.atm === 'true' || query.atm === '1';
+  const ids = (query.profile || '').split(',').map((id) => id.trim()).filter(Boolean);
+  for (const id of ids) {
+    const profile = getFeeProfile(id);
+    if (!profile) {
+      return { error: `Unknown fee profile: ${id}` };
+    }
+    byNetwork.set(profile.network, profile);
+  }
+
+  return {
+    profiles: [...byNetwork.values()],
+    forProvider(providerId) {
+      const profile = byNetwork.get(providerId);
+      if (profile) {
+        return {
+          profile: profile.id,
+          issuerFeePct: profile.fxFeePct || 0,
+          fixedFee: profile.fixedFee || 0,
+          atmFee: atm ? (profile.atmFee || 0) : 0
+        };
+      }
+      return { profile: null, issuerFeePct: flatPct, fixedFee: 0, atmFee: 0 };
+    }
+  };
+}
+
+/**
+ * Bring the flat fees of the profiles in use into `quote`, the currency the
+ * card bills in, at the reference rate for `date`. Profiles already charging
+ * in `quote` are left as they are.
+ * @param {ReturnType<typeof parseFeeOptions>} feeOptions - From parseFeeOptions
+ * @param {{ date: string, quote: string, policy?: string }} at
+ * @returns {Promise<{ error: string } | ReturnType<typeof parseFeeOptions>>}
+ */
+export async function convertFlatFees(feeOptions, { date, quote, policy }) {
+  const currencies = new Set(feeOptions.profiles
+    .filter((p) => p.currency && p.currency !== quote && (p.fixedFee || p.atmFee))
+    .map((p) => p.currency));
+  if (currencies.size === 0) return feeOptions;
+
+  const reference = getReferenceProvider();
+  const rates = new Map();
+  for (const currency of currencies) {
+    const { rate } = await fetchProviderRate(reference, date, currency, quote, 1, { policy });
+    if (rate === null) return { error: `No ${reference.shortName} rate to convert flat card fees from ${currency} to ${quote}` };
+    rates.set(currency, rate);
+  }
+  return {
+    ...feeOptions,
+    forProvider(providerId) {
+      const fees = feeOptions.forProvider(providerId);
+      const rate = fees.profile ? rates.get(getFeeProfile(fees.profile).currency) : undefined;
+      return rate === undefined ? fees : { ...fees, fixedFee: fees.fixedFee * rate, atmFee: fees.atmFee * rate };
+    }
+  };
+}
+
+/**
+ * Split what a card costs into the network rate and the issuer's fees. Every
+ * route prices fees this way: they are added in the base currency on top of
+ * the amount, so the network's rate × amount is unchanged and only the base
+ * paid grows. The flat fees are charged in quote, the billing currency (see
+ * convertFlatFees), and count in base at the network's rate. effectiveRate is
+ * quote received per unit of base actually paid, which fees only lower. The
+ * trip planner bills feeAmount at the card's rate.
+ * @param {number} rate - Network rate (quote per 1 base)
+ * @param {number} amount - Base amount converted (greater than 0)
+ * @param {{ profile: string|null, issuerFeePct: number, fixedFee: number, atmFee: number }} fees - Flat fees in quote
+ */
+export function applyFees(rate, amount, fees) {
+  const feeAmount = amount * fees.issuerFeePct / 100 + (fees.fixedFee + fees.atmFee) / rate;
+  const totalCost = amount + feeAmount;
+  const effectiveRate = rate * amount / totalCost;
+  return {
+    ...fees,
+    feeAmount,
+    totalCost,
+    effectiveRate,
+    effectiveConverted: effectiveRate * amount
+  };
+}
@@ -0,0 +1,168 @@
+import { logger } from './logger.js';
+
+// Politeness limits per upstream host: parallel requests, token bucket and retries
+const DEFAULT_LIMITS = {
+  concurrency: 2,
+  ratePerSec: 2,
+  burst: 2,
+  retries: 3,
+  baseDelayMs: 500,
+  maxDelayMs: 8000
+};
+
+const HOST_LIMITS = {
+  'api.frankfurter.app': { concurrency: 4, ratePerSec: 10, burst: 10 },
+  'www.mastercard.com': { concurrency: 4, ratePerSec: 4, burst: 4 },
+  'www.visa.co.uk': { concurrency: 3, ratePerSec: 2, burst: 3 },
+  'www.americanexpress.com': { concurrency: 2, ratePerSec: 1, burst: 2 }
+};
+
+// e.g. FETCH_HOST_LIMITS='{"www.visa.co.uk":{"concurrency":1,"ratePerSec":0.5}}'
+function envLimits() {
+  try {
+    return JSON.parse(process.env.FETCH_HOST_LIMITS || '{}');
+  } catch {
+    logger.error('fetch_scheduler_config_error', { message: 'FETCH_HOST_LIMITS is not valid JSON' });
+    return {};
+  }
+}
+
+const overrides = envLimits();
+const limiters = new Map();
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function deadlineError() {
+  const error = new Error('Deadline reached before the request could start');
+  error.code = 'EDEADLINE';
+  return error;
+}
+
+function createHostLimiter(limits) {
+  let active = 0;
+  const waiting = [];
+  let tokens = limits.burst;
+  let lastRefill = Date.now();
+
+  function refill() {
+    const now = Date.now();
+    tokens = Math.min(limits.burst, tokens + ((now - lastRefill) / 1000) * limits.ratePerSec);
+    lastRefill = now;
+  }
+
+  async function takeToken() {
+    refill();
+    while (tokens < 1) {
+      await sleep(Math.ceil(((1 - tokens) / limits.ratePerSec) * 1000));
+      refill();
+    }
+    tokens -= 1;
+  }
+
+  async function acquire() {
+    if (active < limits.concurrency) {
+      active++;
+      return;
+    }
+    await new Promise((resolve) => waiting.push(resolve));
+  }
+
+  function release() {
+    const next = waiting.shift();
+    if (next) {
+      next();
+    } else {
+      active--;
+    }
+  }
+
+  return {
+    limits,
+    async run(task, deadline) {
+      await acquire();
+      try {
+        if (deadline && Date.now() >= deadline) throw deadlineError();
+        await takeToken();
+        if (deadline && Date.now() >= deadline) throw deadlineError();
+        return await task();
+      } finally {
+        release();
+      }
+    }
+  };
+}
+
+function getLimiter(host) {
+  if (!limiters.has(host)) {
+    limiters.set(host, createHostLimiter({ ...DEFAULT_LIMITS, ...HOST_LIMITS[host], ...overrides[host] }));
+  }
+  return limiters.get(host);
+}
+
+/**
+ * Override the limits for a host (mainly for tests and local tuning)
+ * @param {string} host
+ * @param {Partial<typeof DEFAULT_LIMITS>} limits
+ */
+export function configureHost(host, limits) {
+  HOST_LIMITS[host] = { ...HOST_LIMITS[host], ...limits };
+  limiters.delete(host);
+}
+
+/**
+ * HTTP status carried by an axios error or by an error thrown with a `status` field
+ * @param {Error} error
+ * @returns {number|undefined}
+ */
+export function errorStatus(error) {
+  return (error.response && error.response.status) || error.status;
+}
+
+function isRetryable(error) {
+  const status = errorStatus(error);
+  if (status) return status === 429 || status >= 500;
+  return ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN'].includes(error.code);
+}
+
+// Milliseconds to wait before the next attempt, or null when Retry-After (in
+// seconds or as an HTTP date) asks for longer than maxDelayMs
+function retryDelay(error, attempt, limits) {
+  const retryAfter = error.response && error.response.headers && error.response.headers['retry-after'];
+  if (retryAfter) {
+    const wait = Number.isNaN(Number(retryAfter)) ? Date.parse(retryAfter) - Date.now() : Number(retryAfter) * 1000;
+    if (!Number.isNaN(wait)) return wait > limits.maxDelayMs ? null : Math.max(0, wait);
+  }
+  // Full jitter keeps parallel retries from hitting the host in lockstep
+  const ceiling = Math.min(limits.maxDelayMs, limits.baseDelayMs * 2 ** attempt);
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Run a request against an upstream host within its limits, retrying 429/5xx
+ * and transient network errors with jittered backoff, or after Retry-After
+ * when the host sends one within maxDelayMs.
+ * @param {string} host - e.g. 'www.mastercard.com'
+ * @param {() => Promise<T>} task
+ * @param {{ deadline?: number }} [options] - Epoch ms after which queued work is
+ *   dropped with an EDEADLINE error instead of starting
+ * @returns {Promise<T>}
+ * @template T
+ */
+export async function schedule(host, task, { deadline } = {}) {
+  const limiter = getLimiter(host);
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await limiter.run(task, deadline);
+    } catch (error) {
+      if (error.code === 'EDEADLINE' || attempt >= limiter.limits.retries || !isRetryable(error)) {
+        throw error;
+      }
+      const delay = retryDelay(error, attempt, limiter.limits);
+      if (delay === null || (deadline && Date.now() + delay >= deadline)) {
+        throw error;
+      }
+      logger.warn('upstream_retry', { host, attempt: attempt + 1, status: errorStatus(error), code: error.code, delayMs: delay });
+      await sleep(delay);
+    }
+  }
+}
@@ -1,87 +1,175 @@
 import axios from 'axios';
+import { listDates, addDays } from './scraper-utils.js';
+import { createRateCache } from './rate-store.js';
+import { schedule } from './fetch-scheduler.js';
+import { getBreaker } from './circuit-breaker.js';
 
-const FRANKFURTER_API = 'https://api.frankfurter.app';
+// Overridable so tests can point at a local stand-in (see test/upstream-stub.js)
+const FRANKFURTER_API = process.env.FRANKFURTER_API || 'https://api.frankfurter.app';
+const FRANKFURTER_HOST = new URL(FRANKFURTER_API).host;
+
+// Currencies published in the ECB reference rates served by Frankfurter
+const FRANKFURTER_CURRENCIES = [
+  'AUD', 'BGN', 'BRL', 'CAD', 'CHF', 'CNY', 'CZK', 'DKK', 'EUR', 'GBP', 'HKD',
+  'HUF', 'IDR', 'ILS', 'INR', 'ISK', 'JPY', 'KRW', 'MXN', 'MYR', 'NOK', 'NZD',
+  'PHP', 'PLN', 'RON', 'SEK', 'SGD', 'THB', 'TRY', 'USD', 'ZAR'
+];
+
+const breaker = getBreaker('mid');
+
+// Per attempt, so a stalled connection neither outlives the lookup nor keeps the CLI running
+const REQUEST_TIMEOUT_MS = 10000;
+
+function frankfurterGet(url, config) {
+  return breaker.run(() => schedule(FRANKFURTER_HOST, () => axios.get(url, { timeout: REQUEST_TIMEOUT_MS, ...config })));
+}
+
+// Rates actually published on a day (null on weekends/holidays)
+const publishedCache = createRateCache('mid:published');
+
+// How to answer for a day the ECB did not publish
+export const MID_POLICIES = ['previous', 'next', 'strict'];
+
+// Longest stretch without a publication (Easter plus a weekend is 4 days)
+const LOOKAROUND_DAYS = 10;
+
+function lookupWindow(date, policy) {
+  if (policy === 'previous') return [addDays(date, -LOOKAROUND_DAYS), date];
+  if (policy === 'next') return [date, addDays(date, LOOKAROUND_DAYS)];
+  return [date, date];
+}
+
+function pickPublished(published, date, policy) {
+  if (policy === 'strict') return published.has(date) ? date : null;
+  const days = [...published.keys()].sort();
+  if (policy === 'next') return days.find((d) => d >= date) || null;
+  return days.filter((d) => d <= date).pop() || null;
+}
+
+function noRateError(date, policy) {
+  const when = { previous: 'on or before', next: 'on or after', strict: 'on' }[policy];
+  const error = new Error(`No mid-market rate published ${when} ${date}`);
+  error.code = 'ENOMIDRATE';
+  return error;
+}
+
+/**
+ * Get the mid-market rate for a day together with the ECB publication date it comes from
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} base - Base currency (e.g., 'EUR')
+ * @param {string} quote - Quote currency (e.g., 'JPY')
+ * @param {{ policy?: 'previous'|'next'|'strict' }} [options] - For days without a
+ *   publication, use the previous or next business day, or fail (ENOMIDRATE)
+ * @returns {Promise<{ rate: number, asOf: string }>}
+ */
+export async function getMidMarketQuote(date, base, quote, { policy = 'previous' } = {}) {
+  // If both currencies are the same, rate is 1
+  if (base === quote) {
+    return { rate: 1.0, asOf: date };
+  }
+
+  const [start, end] = lookupWindow(date, policy);
+  let published;
+  try {
+    published = await getMidMarketSeries(start, end, base, quote);
+  } catch (error) {
+    if (error.code === 'ECIRCUITOPEN') throw error;
+    throw new Error(`Failed to fetch mid-market rate: ${error.message}`);
+  }
+
+  const asOf = pickPublished(published, date, policy);
+  if (!asOf) {
+    throw noRateError(date, policy);
+  }
+  return { rate: published.get(asOf), asOf };
+}
 
 /**
  * Get mid-market rate from ECB via Frankfurter API
  * @param {string} date - Date in YYYY-MM-DD format
  * @param {string} base - Base currency (e.g., 'EUR')
  * @param {string} quote - Quote currency (e.g., 'JPY')
+ * @param {number} [amount] - Unused; the mid-market rate does not depend on amount
+ * @param {{ policy?: 'previous'|'next'|'strict' }} [options]
  * @returns {Promise<number>} - Exchange rate (quote per 1 base)
  */
-export async function getMidMarketRate(date, base, quote) {
-  try {
-    // If both currencies are the same, rate is 1
-    if (base === quote) {
-      return 1.0;
-    }
+export async function getMidMarketRate(date, base, quote, amount = 1, options = {}) {
+  const { rate } = await getMidMarketQuote(date, base, quote, options);
+  return rate;
+}
 
-    // Frankfurter uses EUR as base, so we need to handle different scenarios
-    if (base === 'EUR') {
-      // Direct: EUR -> quote
-      const url = `${FRANKFURTER_API}/${date}`;
-      const response = await axios.get(url, {
-        params: {
-          from: 'EUR',
-          to: quote
-        }
-      });
-      // Log once per circuit
-      try { console.log(JSON.stringify({ circuit: 'Mid', params: { date, base, quote }, request: `${url}?from=EUR&to=${quote}`, response: response.data }, null, 2)); } catch {}
-      return response.data.rates[quote];
-    } else if (quote === 'EUR') {
-      // Reverse: base -> EUR (get EUR -> base and invert)
-      const url = `${FRANKFURTER_API}/${date}`;
-      const response = await axios.get(url, {
-        params: {
-          from: 'EUR',
-          to: base
-        }
-      });
-      try { console.log(JSON.stringify({ circuit: 'Mid', params: { date, base, quote }, request: `${url}?from=EUR&to=${base}`, response: response.data }, null, 2)); } catch {}
-      return 1 / response.data.rates[base];
-    } else {
-      // Cross-rate: base -> quote (via EUR)
-      // Get both EUR -> base and EUR -> quote, then calculate cross-rate
-      const url = `${FRANKFURTER_API}/${date}`;
-      const response = await axios.get(url, {
-        params: {
-          from: 'EUR',
-          to: `${base},${quote}`
-        }
-      });
+function isMidMarketCached(date, base, quote, amount = 1, { policy = 'previous' } = {}) {
+  const [start, end] = lookupWindow(date, policy);
+  return base === quote || listDates(start, end).every((d) => publishedCache.peek(d, base, quote) !== undefined);
+}
+
+/**
+ * Get mid-market rates from one base into many quotes with a single Frankfurter request
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} base - Base currency (e.g., 'EUR')
+ * @param {string[]} quotes - Quote currencies (e.g., ['USD', 'JPY'])
+ * @param {{ policy?: 'previous'|'next'|'strict' }} [options]
+ * @returns {Promise<{ rates: Object<string, number|null>, asOf: Object<string, string|null> }>}
+ *   Rate and publication date per quote, null when nothing was published
+ */
+export async function getMidMarketRates(date, base, quotes, { policy = 'previous' } = {}) {
+  const [start, end] = lookupWindow(date, policy);
+  const dates = listDates(start, end);
+  const published = {};
+  const missing = [];
 
-      const eurToBase = response.data.rates[base];
-      const eurToQuote = response.data.rates[quote];
-      try { console.log(JSON.stringify({ circuit: 'Mid', params: { date, base, quote }, request: `${url}?from=EUR&to=${base},${quote}`, response: response.data }, null, 2)); } catch {}
+  for (const quote of quotes) {
+    if (quote === base) continue;
+    const stored = dates.map((d) => publishedCache.get(d, base, quote));
+    if (stored.every((rate) => rate !== undefined)) {
+      published[quote] = new Map(dates.map((d, i) => [d, stored[i]]).filter(([, rate]) => rate !== null));
+    } else {
+      missing.push(quote);
+    }
+  }
 
-      // Cross-rate: (EUR -> quote) / (EUR -> base) = base -> quote
-      return eurToQuote / eurToBase;
+  if (missing.length > 0) {
+    // Frankfurter uses EUR as base; ask for every currency at once and cross them locally
+    const symbols = [...new Set([base, ...missing])].filter((c) => c !== 'EUR');
+    const url = `${FRANKFURTER_API}/${start}..${end}`;
+    let ratesByDate;
+    try {
+      const response = await frankfurterGet(url, { params: { from: 'EUR', to: symbols.join(',') } });
+      ratesByDate = response.data.rates || {};
+    } catch (error) {
+      if (error.code === 'ECIRCUITOPEN') throw error;
+      throw new Error(`Failed to fetch mid-market rates: ${error.message}`);
     }
-  } catch (error) {
-    if (error.response?.status === 404) {
-      // Date not available (weekend/holiday), try to get the latest available rate before this date
-      const url = `${FRANKFURTER_API}/latest`;
-      const latestResponse = await axios.get(url, {
-        params: {
-          from: base === 'EUR' ? 'EUR' : 'EUR',
-          to: base === 'EUR' ? quote : `${base},${quote}`
+
+    for (const quote of missing) {
+      const map = new Map();
+      for (const [d, entries] of Object.entries(ratesByDate)) {
+        const eurTo = (c) => (c === 'EUR' ? 1 : entries[c]);
+        const rate = eurTo(quote) / eurTo(base);
+        if (typeof rate === 'number' && Number.isFinite(rate)) {
+          map.set(d, rate);
         }
-      });
-
-      try { console.log(JSON.stringify({ circuit: 'Mid', params: { date, base, quote }, request: `${url}?from=EUR&to=${base === 'EUR' ? quote : `${base},${quote}`}`, response: latestResponse.data }, null, 2)); } catch {}
-      if (base === 'EUR') {
-        return latestResponse.data.rates[quote];
-      } else if (quote === 'EUR') {
-        return 1 / latestResponse.data.rates[base];
-      } else {
-        const eurToBase = latestResponse.data.rates[base];
-        const eurToQuote = latestResponse.data.rates[quote];
-        return eurToQuote / eurToBase;
       }
+      for (const d of dates) {
+        publishedCache.set(d, base, quote, 1, map.has(d) ? map.get(d) : null);
+      }
+      published[quote] = map;
     }
-    throw new Error(`Failed to fetch mid-market rate: ${error.message}`);
   }
+
+  const rates = {};
+  const asOf = {};
+  for (const quote of quotes) {
+    if (quote === base) {
+      rates[quote] = 1.0;
+      asOf[quote] = date;
+      continue;
+    }
+    const day = pickPublished(published[quote], date, policy);
+    rates[quote] = day ? published[quote].get(day) : null;
+    asOf[quote] = day;
+  }
+  return { rates, asOf };
 }
 
 /**
@@ -94,11 +182,29 @@ export async function getMidMarketRate(date, base, quote) {
  * @returns {Promise<Map<string, number>>}
  */
 export async function getMidMarketSeries(startDate, endDate, base, quote) {
+  const dates = listDates(startDate, endDate);
+  const stored = dates.map((d) => publishedCache.get(d, base, quote));
+  if (stored.every((rate) => rate !== undefined)) {
+    const map = new Map();
+    dates.forEach((d, i) => {
+      if (stored[i] !== null) map.set(d, stored[i]);
+    });
+    return map;
+  }
+
+  const map = await fetchMidMarketSeries(startDate, endDate, base, quote);
+  for (const d of dates) {
+    publishedCache.set(d, base, quote, 1, map.has(d) ? map.get(d) : null);
+  }
+  return map;
+}
+
+async function fetchMidMarketSeries(startDate, endDate, base, quote) {
   // Shortcut: identical currencies
   if (base === quote) {
     // Build a synthetic map with 1.0 for each business day
     const url = `${FRANKFURTER_API}/${startDate}..${endDate}`;
-    const resp = await axios.get(url, { params: { from: 'EUR', to: 'EUR' } });
+    const resp = await frankfurterGet(url, { params: { from: 'EUR', to: 'EUR' } });
     const map = new Map();
     Object.keys(resp.data.rates).forEach((d) => map.set(d, 1.0));
     return map;
@@ -108,7 +214,7 @@ export async function getMidMarketSeries(startDate, endDate, base, quote) {
   const params = { from: 'EUR', to: base === 'EUR' || quote === 'EUR' ? (base === 'EUR' ? quote : base) : `${base},${quote}` };
 
   const url = `${FRANKFURTER_API}/${startDate}..${endDate}`;
-  const response = await axios.get(url, { params });
+  const response = await frankfurterGet(url, { params });
   const ratesByDate = response.data.rates || {};
 
   const map = new Map();
@@ -130,3 +236,68 @@ export async function getMidMarketSeries(startDate, endDate, base, quote) {
   }
   return map;
 }
+
+/**
+ * Get mid-market rates aligned to every calendar day between two dates,
+ * with the publication date used for each day. Days without a publication
+ * follow the policy: carry the previous rate forward, take the next one,
+ * or stay null.
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ * @param {string} base
+ * @param {string} quote
+ * @param {{ policy?: 'previous'|'next'|'strict' }} [options]
+ * @returns {Promise<{ series: Array<number|null>, asOf: Array<string|null> }>}
+ */
+export async function getMidMarketDailySeriesAsOf(startDate, endDate, base, quote, { policy = 'previous' } = {}) {
+  const labels = listDates(startDate, endDate);
+  const published = await getMidMarketSeries(
+    policy === 'previous' ? addDays(startDate, -LOOKAROUND_DAYS) : startDate,
+    policy === 'next' ? addDays(endDate, LOOKAROUND_DAYS) : endDate,
+    base,
+    quote
+  );
+
+  const asOf = labels.map((d) => pickPublished(published, d, policy));
+  return { series: asOf.map((d) => (d ? published.get(d) : null)), asOf };
+}
+
+/**
+ * Get mid-market rates aligned to every calendar day between two dates
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ * @param {string} base
+ * @param {string} quote
+ * @param {{ policy?: 'previous'|'next'|'strict', onFill?: (date: string) => void }} [options]
+ *   onFill is called for days answered from another day's publication
+ * @returns {Promise<Array<number|null>>}
+ */
+export async function getMidMarketDailySeries(startDate, endDate, base, quote, { onFill, ...options } = {}) {
+  const { series, asOf } = await getMidMarketDailySeriesAsOf(startDate, endDate, base, quote, options);
+  if (onFill) {
+    listDates(startDate, endDate).forEach((d, i) => {
+      if (asOf[i] !== d) onFill(d);
+    });
+  }
+  return series;
+}
+
+export const provider = {
+  id: 'mid',
+  name: 'ECB Mid-Market',
+  shortName: 'Mid-Market',
+  kind: 'reference',
+  source: 'ECB via Frankfurter',
+  seriesSource: 'ECB via Frankfurter (timeseries)',
+  color: '#667eea',
+  logo: '/logos/mid.svg',
+  currencies: FRANKFURTER_CURRENCIES,
+  capabilities: { history: true, amountDependent: false },
+  timeoutMs: 10000,
+  getRate: getMidMarketRate,
+  getQuote: getMidMarketQuote,
+  getRates: getMidMarketRates,
+  getSeries: getMidMarketDailySeries,
+  getSeriesAsOf: getMidMarketDailySeriesAsOf,
+  isCached: isMidMarketCached
+};
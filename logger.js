@@ -0,0 +1,105 @@
+import fs from 'fs';
+import path from 'path';
+import { AsyncLocalStorage } from 'async_hooks';
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// e.g. LOG_LEVEL=debug to see upstream payloads
+const LEVEL = LOG_LEVELS.includes(process.env.LOG_LEVEL) ? process.env.LOG_LEVEL : 'info';
+
+// Upstream payloads are debug output; they are cut to this many characters and
+// only this fraction of them is logged (0..1)
+const PAYLOAD_MAX_CHARS = parseInt(process.env.LOG_PAYLOAD_MAX_CHARS || '2000', 10) || 2000;
+const PAYLOAD_SAMPLE_RATE = Math.min(1, Math.max(0, parseFloat(process.env.LOG_PAYLOAD_SAMPLE_RATE ?? '1')));
+
+// Lines are also appended here when set (stdout keeps getting them)
+const LOG_FILE = process.env.LOG_FILE || null;
+
+const SENSITIVE_KEY = /authorization|cookie|password|secret|token|api[-_]?key/i;
+
+const context = new AsyncLocalStorage();
+
+let fileStream = null;
+if (LOG_FILE) {
+  try {
+    fs.mkdirSync(path.dirname(LOG_FILE), { recursive: true });
+    fileStream = fs.createWriteStream(LOG_FILE, { flags: 'a' });
+    fileStream.on('error', (error) => {
+      fileStream = null;
+      console.error(JSON.stringify({ time: new Date().toISOString(), level: 'error', event: 'log_file_error', path: LOG_FILE, message: error.message }));
+    });
+  } catch (error) {
+    console.error(JSON.stringify({ time: new Date().toISOString(), level: 'error', event: 'log_file_error', path: LOG_FILE, message: error.message }));
+  }
+}
+
+function redact(key, value) {
+  return key && SENSITIVE_KEY.test(key) ? '[redacted]' : value;
+}
+
+function enabled(level) {
+  return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(LEVEL);
+}
+
+function write(level, event, fields = {}) {
+  if (!enabled(level)) return;
+  const { reqId } = context.getStore() || {};
+  const record = { time: new Date().toISOString(), level, event, ...(reqId ? { reqId } : {}), ...fields };
+  let line;
+  try {
+    line = JSON.stringify(record, redact);
+  } catch (error) {
+    line = JSON.stringify({ time: record.time, level, event, reqId, logError: error.message });
+  }
+  if (level === 'warn' || level === 'error') {
+    console.error(line);
+  } else {
+    console.log(line);
+  }
+  if (fileStream) fileStream.write(line + '\n');
+}
+
+/**
+ * One JSON line per call, tagged with the level and the current request's reqId
+ * @type {{ debug: (event: string, fields?: Object) => void, info: (event: string, fields?: Object) => void, warn: (event: string, fields?: Object) => void, error: (event: string, fields?: Object) => void }}
+ */
+export const logger = Object.fromEntries(LOG_LEVELS.map((level) => [level, (event, fields) => write(level, event, fields)]));
+
+/**
+ * Log an upstream response body at debug level, sampled and size-capped
+ * @param {string} event
+ * @param {Object} fields
+ * @param {any} payload
+ */
+export function logPayload(event, fields, payload) {
+  if (!enabled('debug') || Math.random() >= PAYLOAD_SAMPLE_RATE) return;
+  let text;
+  try {
+    text = JSON.stringify(payload, redact) ?? '';
+  } catch {
+    text = String(payload);
+  }
+  if (text.length <= PAYLOAD_MAX_CHARS) {
+    write('debug', event, { ...fields, payload });
+  } else {
+    write('debug', event, { ...fields, payload: text.slice(0, PAYLOAD_MAX_CHARS), payloadChars: text.length, truncated: true });
+  }
+}
+
+/**
+ * Run `fn` with a request context that log lines made during it pick up
+ * @param {{ reqId: string }} store
+ * @param {() => T} fn
+ * @returns {T}
+ * @template T
+ */
+export function withRequestContext(store, fn) {
+  return context.run(store, fn);
+}
+
+/** A new request id, unless the caller supplied a usable one */
+export function requestId(incoming) {
+  return typeof incoming === 'string' && /^[\w.:-]{1,64}$/.test(incoming)
+    ? incoming
+    : Date.now() + '-' + Math.random().toString(36).slice(2, 7);
+}
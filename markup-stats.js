@@ -0,0 +1,89 @@
+// Days reported per provider as its largest day-to-day markup changes
+export const STATS_TOP_JUMPS = 3;
+
+const isWeekend = (date) => [0, 6].includes(new Date(date + 'T00:00:00Z').getUTCDay());
+
+function mean(values) {
+  return values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null;
+}
+
+// Linear interpolation between the closest ranks; `sorted` is ascending
+function quantile(sorted, q) {
+  if (sorted.length === 0) return null;
+  const pos = (sorted.length - 1) * q;
+  const lower = Math.floor(pos);
+  const upper = Math.ceil(pos);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (pos - lower);
+}
+
+function stdDev(values) {
+  const avg = mean(values);
+  if (avg === null) return null;
+  return Math.sqrt(values.reduce((sum, v) => sum + (v - avg) ** 2, 0) / values.length);
+}
+
+/**
+ * Distribution of each network's markup over the reference rate across a
+ * daily series, as /api/history returns it. A network is cheapest on a day
+ * when it has the best rate (the highest, as the comparison ranks them) of
+ * the networks priced that day; networks tied for best all count.
+ * @param {string[]} labels - Dates of the series
+ * @param {Array<number|null>} midSeries - Reference rate per day
+ * @param {Object<string, Array<number|null>>} networkSeries - Rate per day per network id
+ * @returns {{ comparedDays: number, providers: Object<string, Object> }}
+ */
+export function markupStats(labels, midSeries, networkSeries) {
+  const ids = Object.keys(networkSeries);
+  const markups = Object.fromEntries(ids.map((id) => [id, labels.map((d, i) => {
+    const rate = networkSeries[id][i];
+    const mid = midSeries[i];
+    return rate === null || !mid ? null : ((rate - mid) / mid) * 100;
+  })]));
+
+  const cheapestDays = Object.fromEntries(ids.map((id) => [id, 0]));
+  let comparedDays = 0;
+  labels.forEach((d, i) => {
+    const priced = ids.filter((id) => networkSeries[id][i] !== null);
+    if (priced.length < 2) return;
+    comparedDays++;
+    const best = Math.max(...priced.map((id) => networkSeries[id][i]));
+    priced.filter((id) => networkSeries[id][i] === best).forEach((id) => { cheapestDays[id]++; });
+  });
+
+  const providers = {};
+  for (const id of ids) {
+    const values = markups[id].filter((v) => v !== null);
+    const sorted = values.slice().sort((a, b) => a - b);
+    const weekday = markups[id].filter((v, i) => v !== null && !isWeekend(labels[i]));
+    const weekend = markups[id].filter((v, i) => v !== null && isWeekend(labels[i]));
+
+    const jumps = [];
+    for (let i = 1; i < labels.length; i++) {
+      const from = markups[id][i - 1];
+      const to = markups[id][i];
+      if (from === null || to === null) continue;
+      jumps.push({ date: labels[i], fromPct: from, toPct: to, changePct: to - from });
+    }
+    jumps.sort((a, b) => Math.abs(b.changePct) - Math.abs(a.changePct));
+
+    const weekdayMean = mean(weekday);
+    const weekendMean = mean(weekend);
+    providers[id] = {
+      days: values.length,
+      minPct: sorted.length > 0 ? sorted[0] : null,
+      medianPct: quantile(sorted, 0.5),
+      p90Pct: quantile(sorted, 0.9),
+      maxPct: sorted.length > 0 ? sorted[sorted.length - 1] : null,
+      meanPct: mean(values),
+      stdDevPct: stdDev(values),
+      cheapestDays: cheapestDays[id],
+      cheapestShare: comparedDays > 0 ? cheapestDays[id] / comparedDays : null,
+      weekday: { days: weekday.length, meanPct: weekdayMean },
+      weekend: { days: weekend.length, meanPct: weekendMean },
+      // Positive when weekends cost more than weekdays, in percentage points
+      weekendPremiumPct: weekdayMean !== null && weekendMean !== null ? weekendMean - weekdayMean : null,
+      jumps: jumps.slice(0, STATS_TOP_JUMPS)
+    };
+  }
+  return { comparedDays, providers };
+}
@@ -1,136 +1,111 @@
 import axios from 'axios';
+import { createRateCache } from './rate-store.js';
+import { fillForwardSeries } from './scraper-utils.js';
+import { schedule } from './fetch-scheduler.js';
+import { getBreaker } from './circuit-breaker.js';
+import { logger, logPayload } from './logger.js';
 
 const MASTERCARD_URL = 'https://www.mastercard.com/global/en/personal/get-support/currency-exchange-rate-converter.html';
-const MASTERCARD_API_BASE = 'https://www.mastercard.com/marketingservices/public/mccom-services/currency-conversions';
+const MASTERCARD_API_BASE = process.env.MASTERCARD_API_BASE || 'https://www.mastercard.com/marketingservices/public/mccom-services/currency-conversions';
 
-const cache = new Map();
-const CACHE_TTL = 1000 * 60 * 60;
+const MASTERCARD_HOST = new URL(MASTERCARD_API_BASE).host;
 
-function getCacheKey(date, base, quote, amount = 1) {
-  return `${date}|${base}|${quote}|${amount}`;
-}
+const cache = createRateCache('mc');
+const breaker = getBreaker('mc');
 
-function logCircuit(name, params, url, json) {
-  try {
-    const payload = {
-      circuit: name,
-      params,
-      request: url,
-      response: json
-    };
-    // Single structured log per circuit
-    console.log(JSON.stringify(payload, null, 2));
-  } catch {}
+// Per attempt, so a stalled connection neither outlives the lookup nor keeps the CLI running
+const REQUEST_TIMEOUT_MS = 10000;
+
+// The rate in an API answer: the converted amount when present, as it reflects rounding by amount
+function parseRate(body, amount) {
+  const data = body && body.data;
+  if (data && data.crdhldBillAmt) {
+    const converted = parseFloat(data.crdhldBillAmt);
+    if (!Number.isNaN(converted) && amount > 0) {
+      return converted / amount;
+    }
+  }
+  if (data && data.conversionRate) {
+    const perUnit = parseFloat(data.conversionRate);
+    if (!Number.isNaN(perUnit)) return perUnit;
+  }
+  throw new Error('Could not parse API response');
 }
 
-async function getMastercardRateViaAPI(date, base, quote, amount = 1) {
+async function getMastercardRateViaAPI(date, base, quote, amount = 1, { deadline } = {}) {
   try {
     const url = `${MASTERCARD_API_BASE}/conversion-rates?exchange_date=${date}&transaction_currency=${base}&cardholder_billing_currency=${quote}&bank_fee=0&transaction_amount=${amount}`;
 
-    const response = await axios.get(url, {
-      headers: {
-        'Accept': 'application/json',
-        'Accept-Language': 'en-US,en;q=0.9',
-        'Accept-Encoding': 'gzip, deflate, br',
-        'Referer': MASTERCARD_URL,
-        'Origin': 'https://www.mastercard.com',
-        'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-        'sec-ch-ua': '"Not_A Brand";v="8", "Chromium";v="120", "Google Chrome";v="120"',
-        'sec-ch-ua-mobile': '?0',
-        'sec-ch-ua-platform': '"macOS"',
-        'Sec-Fetch-Dest': 'empty',
-        'Sec-Fetch-Mode': 'cors',
-        'Sec-Fetch-Site': 'same-origin'
-      }
-    });
-
-    if (response.data && response.data.data) {
-      // Prefer converted amount when available to reflect rounding by amount
-      const data = response.data.data;
-      // Log once per circuit with request/response
-      logCircuit('Mastercard', { date, base, quote, amount }, url, response.data);
-      if (data.crdhldBillAmt) {
-        const converted = parseFloat(data.crdhldBillAmt);
-        if (!Number.isNaN(converted) && amount > 0) {
-          return converted / amount;
+    // Parsed inside the breaker, so a run of unreadable answers opens it too
+    return await breaker.run(async () => {
+      const response = await schedule(MASTERCARD_HOST, () => axios.get(url, {
+        timeout: REQUEST_TIMEOUT_MS,
+        headers: {
+          'Accept': 'application/json',
+          'Accept-Language': 'en-US,en;q=0.9',
+          'Accept-Encoding': 'gzip, deflate, br',
+          'Referer': MASTERCARD_URL,
+          'Origin': 'https://www.mastercard.com',
+          'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+          'sec-ch-ua': '"Not_A Brand";v="8", "Chromium";v="120", "Google Chrome";v="120"',
+          'sec-ch-ua-mobile': '?0',
+          'sec-ch-ua-platform': '"macOS"',
+          'Sec-Fetch-Dest': 'empty',
+          'Sec-Fetch-Mode': 'cors',
+          'Sec-Fetch-Site': 'same-origin'
         }
-      }
-      if (data.conversionRate) {
-        const perUnit = parseFloat(data.conversionRate);
-        if (!Number.isNaN(perUnit)) return perUnit;
-      }
-    }
-
-    throw new Error('Could not parse API response');
+      }), { deadline });
+      logPayload('upstream_response', { provider: 'mc', date, base, quote, amount, url }, response.data);
+      return parseRate(response.data, amount);
+    });
   } catch (error) {
-    try {
-      const payload = {
-        circuit: 'Mastercard',
-        error: error.message,
-        code: error.code,
-        status: error.response && error.response.status,
-        dataSnippet: error.response && error.response.data ? String(error.response.data).slice(0, 500) : null
-      };
-      console.error(JSON.stringify(payload));
-    } catch {}
+    if (error.code === 'EDEADLINE' || error.code === 'ECIRCUITOPEN') throw error;
+    logger.warn('upstream_error', {
+      provider: 'mc',
+      date,
+      base,
+      quote,
+      message: error.message,
+      code: error.code,
+      status: error.response && error.response.status,
+      dataSnippet: error.response && error.response.data ? String(error.response.data).slice(0, 500) : null
+    });
     return null;
   }
 }
 
-export async function getMastercardRate(date, base, quote, amount = 1) {
-  const cacheKey = getCacheKey(date, base, quote, amount);
-
-  if (cache.has(cacheKey)) {
-    const { value, timestamp } = cache.get(cacheKey);
-    if (Date.now() - timestamp < CACHE_TTL) {
-      return value;
-    }
-    cache.delete(cacheKey);
+export async function getMastercardRate(date, base, quote, amount = 1, options = {}) {
+  const cached = cache.get(date, base, quote, amount);
+  if (typeof cached === 'number') {
+    return cached;
   }
 
-  const apiRate = await getMastercardRateViaAPI(date, base, quote, amount);
+  const apiRate = await getMastercardRateViaAPI(date, base, quote, amount, options);
   if (apiRate !== null) {
-    cache.set(cacheKey, { value: apiRate, timestamp: Date.now() });
+    cache.set(date, base, quote, amount, apiRate);
     return apiRate;
   }
 
   throw new Error('Failed to fetch Mastercard rate from API');
 }
 
-export async function getMastercardSeries(startDate, endDate, base, quote) {
-  function toDate(s) {
-    return new Date(s + 'T00:00:00Z');
-  }
-  function fmt(d) {
-    const y = d.getUTCFullYear();
-    const m = String(d.getUTCMonth() + 1).padStart(2, '0');
-    const day = String(d.getUTCDate()).padStart(2, '0');
-    return `${y}-${m}-${day}`;
-  }
-
-  const start = toDate(startDate);
-  const end = toDate(endDate);
-  const dates = [];
-  const cursor = new Date(start);
-  while (cursor <= end) {
-    dates.push(fmt(cursor));
-    cursor.setUTCDate(cursor.getUTCDate() + 1);
-  }
-
-  const series = [];
-  let lastGood = null;
-  for (const d of dates) {
-    try {
-      const r = await getMastercardRate(d, base, quote);
-      if (typeof r === 'number' && !Number.isNaN(r)) {
-        lastGood = r;
-        series.push(r);
-      } else {
-        series.push(lastGood);
-      }
-    } catch (e) {
-      series.push(lastGood);
-    }
-  }
-  return series;
+export async function getMastercardSeries(startDate, endDate, base, quote, { deadline, onSkip, onFill } = {}) {
+  return fillForwardSeries(startDate, endDate, (d) => getMastercardRate(d, base, quote, 1, { deadline }), { onSkip, onFill });
 }
+
+export const provider = {
+  id: 'mc',
+  name: 'Mastercard',
+  shortName: 'Mastercard',
+  kind: 'network',
+  source: 'Mastercard',
+  color: '#f79e1b',
+  logo: '/logos/mastercard.svg',
+  // Mastercard converts between any ISO currencies it settles; no fixed list
+  currencies: null,
+  capabilities: { history: true, amountDependent: true },
+  timeoutMs: 10000,
+  getRate: getMastercardRate,
+  getSeries: getMastercardSeries,
+  isCached: (date, base, quote, amount) => typeof cache.peek(date, base, quote, amount) === 'number'
+};
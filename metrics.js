@@ -0,0 +1,102 @@
+// In-process counters and histograms, rendered in the Prometheus text format by GET /metrics
+
+// Seconds; covers cache hits through a cold browser launch
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const metrics = [];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function labelKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map((name) => String(labels[name] ?? '')));
+}
+
+function pickLabels(labelNames, labels) {
+  return Object.fromEntries(labelNames.map((name) => [name, labels[name] ?? '']));
+}
+
+/**
+ * Register a counter
+ * @param {string} name
+ * @param {string} help
+ * @param {string[]} [labelNames]
+ * @returns {{ inc: (labels?: Object<string, string>, value?: number) => void }}
+ */
+export function counter(name, help, labelNames = []) {
+  const values = new Map();
+  metrics.push({
+    name,
+    help,
+    type: 'counter',
+    lines: () => [...values.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`)
+  });
+  return {
+    inc(labels = {}, value = 1) {
+      const key = labelKey(labelNames, labels);
+      const entry = values.get(key) || { labels: pickLabels(labelNames, labels), value: 0 };
+      entry.value += value;
+      values.set(key, entry);
+    }
+  };
+}
+
+/**
+ * Register a histogram
+ * @param {string} name
+ * @param {string} help
+ * @param {string[]} [labelNames]
+ * @param {number[]} [buckets] - Upper bounds, ascending
+ * @returns {{ observe: (labels: Object<string, string>, value: number) => void }}
+ */
+export function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+  const values = new Map();
+  metrics.push({
+    name,
+    help,
+    type: 'histogram',
+    lines: () => [...values.values()].flatMap(({ labels, counts, sum, count }) => [
+      ...buckets.map((le, i) => `${name}_bucket${formatLabels({ ...labels, le })} ${counts[i]}`),
+      `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+      `${name}_sum${formatLabels(labels)} ${sum}`,
+      `${name}_count${formatLabels(labels)} ${count}`
+    ])
+  });
+  return {
+    observe(labels, value) {
+      const key = labelKey(labelNames, labels);
+      const entry = values.get(key) || { labels: pickLabels(labelNames, labels), counts: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((le, i) => { if (value <= le) entry.counts[i]++; });
+      entry.sum += value;
+      entry.count++;
+      values.set(key, entry);
+    }
+  };
+}
+
+/**
+ * Every registered metric in the Prometheus text exposition format
+ * @returns {string}
+ */
+export function renderMetrics() {
+  return metrics.map(({ name, help, type, lines }) =>
+    [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...lines()].join('\n')
+  ).join('\n') + '\n';
+}
+
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+export const httpRequestDuration = histogram('fx_http_request_duration_seconds', 'API request latency by route', ['method', 'route', 'status']);
+export const upstreamRequests = counter('fx_upstream_requests_total', 'Upstream calls by provider and outcome', ['provider', 'outcome']);
+export const upstreamDuration = histogram('fx_upstream_request_duration_seconds', 'Upstream call latency by provider and outcome', ['provider', 'outcome']);
+export const cacheLookups = counter('fx_rate_cache_lookups_total', 'Rate cache lookups by cache and result', ['cache', 'result']);
+export const browserLaunches = counter('fx_browser_launches_total', 'Playwright browser launches');
+export const pageLoads = counter('fx_browser_page_loads_total', 'Scraper page loads', ['provider']);
+export const historyDays = counter('fx_history_days_total', 'Days served in /api/history series', ['provider']);
+export const historyFilledDays = counter('fx_history_filled_days_total', 'History days filled forward from an earlier rate', ['provider']);
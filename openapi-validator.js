@@ -0,0 +1,165 @@
+import { logger } from './logger.js';
+import { counter } from './metrics.js';
+
+// Responses are checked too when set (tests do); off by default since it walks every body
+const VALIDATE_RESPONSES = process.env.OPENAPI_VALIDATE_RESPONSES === '1';
+
+const responseMismatches = counter('fx_openapi_response_mismatches_total', 'Responses that did not match the OpenAPI document', ['route', 'status']);
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function resolve(document, schema) {
+  if (!schema || !schema.$ref) return schema;
+  const name = schema.$ref.replace('#/components/schemas/', '');
+  const { $ref, ...rest } = schema;
+  return { ...resolve(document, document.components.schemas[name]), ...rest };
+}
+
+/**
+ * Check a value against a schema of the OpenAPI document. Covers the JSON
+ * Schema keywords the document uses: type, enum, pattern, minimum,
+ * exclusiveMinimum, maximum, required, properties, additionalProperties, items, maxItems and oneOf.
+ * @param {Object} document - The OpenAPI document (for $ref lookups)
+ * @param {Object} schema
+ * @param {any} value
+ * @param {string} [at] - Where the value sits, for messages
+ * @returns {string[]} - One message per violation; empty when the value matches
+ */
+export function validateSchema(document, schema, value, at = 'value') {
+  schema = resolve(document, schema);
+  if (!schema) return [];
+
+  if (schema.oneOf) {
+    const matching = schema.oneOf.filter((option) => validateSchema(document, option, value, at).length === 0);
+    return matching.length === 1 ? [] : [`${at} must match exactly one of its allowed shapes`];
+  }
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some((type) => matchesType(value, type))) {
+      return [`${at} must be ${types.join(' or ')}`];
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${at} must be one of: ${schema.enum.join(', ')}`];
+  }
+
+  const errors = [];
+  if (typeof value === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    errors.push(`${at} must match ${schema.pattern}`);
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at} must be at least ${schema.minimum}`);
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) errors.push(`${at} must be above ${schema.exclusiveMinimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at} must be at most ${schema.maximum}`);
+  }
+  if (Array.isArray(value) && schema.maxItems !== undefined && value.length > schema.maxItems) {
+    errors.push(`${at} must have at most ${schema.maxItems} items`);
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => errors.push(...validateSchema(document, schema.items, item, `${at}[${i}]`)));
+  }
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${at}.${key} is required`);
+    }
+    for (const [key, item] of Object.entries(value)) {
+      if (item === undefined) continue;
+      if (schema.properties && schema.properties[key]) {
+        errors.push(...validateSchema(document, schema.properties[key], item, `${at}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${at}.${key} is not allowed`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(document, schema.additionalProperties, item, `${at}.${key}`));
+      }
+    }
+  }
+  return errors;
+}
+
+// Query and path values arrive as strings; numbers are compared as numbers
+function coerce(document, schema, raw) {
+  const types = [].concat(resolve(document, schema).type || []);
+  if ((types.includes('number') || types.includes('integer')) && raw.trim() !== '' && !Number.isNaN(Number(raw))) {
+    return Number(raw);
+  }
+  return raw;
+}
+
+function validateRequest(document, operation, req) {
+  const errors = [];
+  for (const param of operation.parameters || []) {
+    const source = param.in === 'path' ? req.params : req.query;
+    const raw = source[param.name];
+    // Empty query values are treated as absent, as the routes do
+    if (raw === undefined || raw === '') {
+      if (param.required) errors.push(`${param.in} parameter ${param.name} is required`);
+      continue;
+    }
+    if (typeof raw !== 'string') {
+      errors.push(`${param.in} parameter ${param.name} must be given once`);
+      continue;
+    }
+    errors.push(...validateSchema(document, param.schema, coerce(document, param.schema, raw), `${param.in} parameter ${param.name}`));
+  }
+
+  const body = operation.requestBody;
+  if (body) {
+    const type = Object.keys(body.content).find((t) => req.is(t));
+    const empty = req.body === undefined || (typeof req.body === 'object' && Object.keys(req.body).length === 0);
+    if (!type || empty) {
+      if (body.required) errors.push(`request body (${Object.keys(body.content).join(', ')}) is required`);
+    } else {
+      errors.push(...validateSchema(document, body.content[type].schema, req.body, 'body'));
+    }
+  }
+  return errors;
+}
+
+/**
+ * Route middleware checking the request against the document's operation for
+ * the route it is mounted on (answering 400 on a mismatch), and, with
+ * OPENAPI_VALIDATE_RESPONSES=1, logging JSON responses that do not match.
+ * Mount it after the route's body parsers.
+ * @param {Object} document - The OpenAPI document
+ * @returns {import('express').RequestHandler}
+ */
+export function openapiValidator(document) {
+  return (req, res, next) => {
+    const specPath = req.route.path.replace(/:(\w+)/g, '{$1}');
+    const operation = document.paths[specPath] && document.paths[specPath][req.method.toLowerCase()];
+    if (!operation) return next();
+
+    const errors = validateRequest(document, operation, req);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: `Invalid request: ${errors[0]}`, details: errors });
+    }
+
+    if (VALIDATE_RESPONSES) {
+      const send = res.json.bind(res);
+      res.json = (body) => {
+        const response = operation.responses[res.statusCode];
+        const schema = response && response.content && response.content['application/json'] && response.content['application/json'].schema;
+        const problems = schema
+          ? validateSchema(document, schema, JSON.parse(JSON.stringify(body)), 'response')
+          : [`status ${res.statusCode} is not documented`];
+        if (problems.length > 0) {
+          responseMismatches.inc({ route: specPath, status: res.statusCode });
+          logger.warn('response_schema_mismatch', { route: specPath, status: res.statusCode, problems: problems.slice(0, 10) });
+        }
+        return send(body);
+      };
+    }
+    next();
+  };
+}
@@ -0,0 +1,972 @@
+import { getProviders, getNetworkProviders } from './providers.js';
+import { MID_POLICIES } from './frankfurter.js';
+import { EXPORT_FORMATS } from './export-formats.js';
+import { DATE_FORMATS, STATEMENT_FIELDS } from './statement-reconciler.js';
+import { WATCH_METRICS, WATCH_OPS } from './watchlist.js';
+import { MAX_PLAN_EXPENSES, MAX_PLAN_CARDS, CASH_CATEGORY } from './trip-planner.js';
+import { DIRECTIONS } from './reverse-conversion.js';
+import { API_AUTH_MODES } from './api-access.js';
+
+// OpenAPI 3.1 description of every /api route, served at /api/openapi.json and
+// used by openapi-validator.js to check requests (and, when enabled, responses).
+// Keys that exist once per provider (mcDeltaPct, amexUnavailable, ...) are
+// listed for the providers enabled in this deployment.
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const nullable = (type) => ({ type: [type, 'null'] });
+const perProvider = (schema, ids = getProviders().map((p) => p.id)) => ({
+  type: 'object',
+  properties: Object.fromEntries(ids.map((id) => [id, schema])),
+  additionalProperties: false
+});
+const json = (schema, description = 'OK') => ({ description, content: { 'application/json': { schema } } });
+const error = (description) => json(ref('Error'), description);
+
+const query = (name, schema, description, required = false) => ({ name, in: 'query', required, schema, description });
+const path = (name, schema, description) => ({ name, in: 'path', required: true, schema, description });
+
+const dateParam = query('date', ref('Date'), 'Day to price (YYYY-MM-DD)', true);
+const baseParam = query('base', ref('CurrencyCode'), 'Currency paid in (e.g. EUR)', true);
+const quoteParam = query('quote', ref('CurrencyCode'), 'Currency received (e.g. JPY)', true);
+const amountParam = query('amount', { type: 'number', exclusiveMinimum: 0 }, 'Base amount converted (default 1)');
+const midPolicyParam = query('midPolicy', { type: 'string', enum: MID_POLICIES }, 'Reference rate for days the ECB did not publish: previous or next business day, or strict (default previous)');
+const marketParam = query('market', { type: 'string' }, 'Card market for providers that list markets (see GET /api/providers)');
+const feeParams = [
+  query('fee', { type: 'number', minimum: 0, maximum: 100 }, 'Flat issuer fee in percent applied to every network, charged in base on top of amount (see Fees)'),
+  query('profile', { type: 'string' }, 'Comma-separated fee profile ids (see GET /api/fee-profiles), each applied to its own network'),
+  query('atm', { type: 'string', enum: ['true', 'false', '1', '0'] }, 'Add the profiles\' ATM fee')
+];
+const directionParams = [
+  query('direction', { type: 'string', enum: DIRECTIONS }, 'reverse solves each provider\'s base amount for target instead of converting amount (default forward)'),
+  query('target', { type: 'number', minimum: 0 }, 'Quote amount wanted, required with direction=reverse')
+];
+const formatParam = query('format', { type: 'string', enum: EXPORT_FORMATS }, 'Download as a file instead of JSON');
+const watchIdParam = path('id', { type: 'string' }, 'Watch id');
+
+const exportContent = {
+  'text/csv': { schema: { type: 'string' } },
+  'application/x-ndjson': { schema: { type: 'string' } },
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': { schema: { type: 'string', format: 'binary' } }
+};
+
+function ratesSchema() {
+  const properties = {
+    date: ref('Date'),
+    base: ref('CurrencyCode'),
+    quote: ref('CurrencyCode'),
+    amount: { ...nullable('number'), description: 'Base amount converted; in reverse mode what the reference rate needs for target, null without one' },
+    direction: { type: 'string', enum: ['reverse'], description: 'Only set in reverse mode' },
+    target: { type: 'number' },
+    amounts: { ...perProvider(nullable('number')), description: 'Reverse mode: base amount each provider needs for target' },
+    midAsOf: { ...nullable('string'), description: 'ECB publication day behind the reference rate' },
+    converted: perProvider(nullable('number')),
+    effective: perProvider(nullable('number')),
+    fees: perProvider({ oneOf: [ref('Fees'), { type: 'null' }] }, getNetworkProviders().map((p) => p.id)),
+    sources: perProvider({ type: 'string' }),
+    status: perProvider(ref('ProviderStatus')),
+    details: { type: 'object', additionalProperties: ref('RateDetails') }
+  };
+  for (const p of getProviders()) {
+    properties[p.id] = { ...nullable('number'), description: `${p.name} rate, quote per 1 base` };
+    properties[`${p.id}DeltaPct`] = p.kind === 'reference'
+      ? { ...nullable('number'), description: 'Change since the previous day in percent' }
+      : { ...nullable('number'), description: `${p.shortName} markup over the reference rate in percent` };
+    if (p.kind === 'network') {
+      properties[`${p.id}Unavailable`] = { type: 'boolean' };
+      properties[`${p.id}EffectiveDeltaPct`] = { ...nullable('number'), description: 'Markup including issuer fees in percent' };
+      properties[`${p.id}DayDeltaPct`] = { ...nullable('number'), description: 'Change since the previous day in percent' };
+    }
+  }
+  return {
+    type: 'object',
+    required: ['date', 'base', 'quote', 'amount', 'converted', 'effective', 'sources', 'status'],
+    properties,
+    additionalProperties: false
+  };
+}
+
+// Providers whose currency list lacks the pair, with the reason; their series are empty
+const UNSUPPORTED = { type: 'object', additionalProperties: { type: 'string' }, description: 'Why a provider has no rates for the pair, per provider id' };
+
+function historySchema() {
+  const series = (item) => perProvider({ type: 'array', items: item });
+  const properties = {
+    base: ref('CurrencyCode'),
+    quote: ref('CurrencyCode'),
+    start: ref('Date'),
+    end: ref('Date'),
+    labels: { type: 'array', items: ref('Date') },
+    series: series(nullable('number')),
+    effectiveSeries: series(nullable('number')),
+    midAsOf: { type: 'array', items: nullable('string') },
+    filled: series({ type: 'boolean' }),
+    estimated: series({ type: 'boolean' }),
+    partial: { type: 'boolean', description: 'Some days were not fetched within the time budget' },
+    missing: perProvider({ type: 'integer' }),
+    unsupported: UNSUPPORTED,
+    sources: perProvider({ type: 'string' })
+  };
+  for (const p of getNetworkProviders()) {
+    properties[`${p.id}AvgDeltaPct`] = nullable('number');
+    properties[`${p.id}AvgEffectiveDeltaPct`] = nullable('number');
+  }
+  return {
+    type: 'object',
+    required: ['base', 'quote', 'start', 'end', 'labels', 'series', 'effectiveSeries', 'partial', 'sources'],
+    properties,
+    additionalProperties: false
+  };
+}
+
+export const openapiDocument = {
+  openapi: '3.1.0',
+  info: {
+    title: 'Card FX rate comparison API',
+    version: '1.0.0',
+    description: 'Compares what card networks charge for a currency conversion against the ECB mid-market reference rate.'
+  },
+  // A key is optional unless the deployment sets API_AUTH=required
+  security: [{ apiKey: [] }, { bearer: [] }, {}],
+  paths: {
+    '/api/openapi.json': {
+      get: {
+        operationId: 'getOpenApiDocument',
+        summary: 'This document',
+        responses: { 200: json({ type: 'object', required: ['openapi', 'paths'] }) }
+      }
+    },
+    '/api/usage': {
+      get: {
+        operationId: 'getUsage',
+        summary: 'The caller\'s request budget per route class and what it has used',
+        responses: { 200: json(ref('Usage')) }
+      }
+    },
+    '/api/providers': {
+      get: {
+        operationId: 'listProviders',
+        summary: 'Enabled rate providers, reference first',
+        responses: { 200: json({ type: 'object', required: ['providers'], properties: { providers: { type: 'array', items: ref('Provider') } } }) }
+      }
+    },
+    '/api/health': {
+      get: {
+        operationId: 'getHealth',
+        summary: 'Circuit breaker state per provider and the scrapers\' browser pool',
+        responses: {
+          200: json({
+            type: 'object',
+            required: ['status', 'providers'],
+            properties: {
+              status: { type: 'string', enum: ['ok', 'degraded'] },
+              providers: perProvider(ref('BreakerHealth')),
+              browser: { type: 'object' }
+            }
+          })
+        }
+      }
+    },
+    '/api/currencies': {
+      get: {
+        operationId: 'listCurrencies',
+        summary: 'ISO 4217 currencies and which providers price them',
+        responses: { 200: json({ type: 'object', required: ['currencies'], properties: { currencies: { type: 'array', items: ref('Currency') } } }) }
+      }
+    },
+    '/api/fee-profiles': {
+      get: {
+        operationId: 'listFeeProfiles',
+        summary: 'Card fee profiles usable with ?profile=',
+        responses: { 200: json({ type: 'object', required: ['profiles'], properties: { profiles: { type: 'array', items: ref('FeeProfile') } } }) }
+      }
+    },
+    '/api/rate/{provider}': {
+      get: {
+        operationId: 'getRate',
+        summary: 'One provider\'s rate for a day',
+        parameters: [
+          path('provider', { type: 'string', enum: getProviders().map((p) => p.id) }, 'Provider id'),
+          dateParam, baseParam, quoteParam, amountParam, ...directionParams, ...feeParams, midPolicyParam, marketParam
+        ],
+        responses: {
+          200: json(ref('ProviderRate')),
+          400: error('Malformed parameters'),
+          422: error('Unknown currency, one the provider does not support, or no reference rate under a strict midPolicy'),
+          500: error('Unexpected failure'),
+          502: error('No reference rate to convert a profile\'s flat fees into quote')
+        }
+      }
+    },
+    '/api/rates': {
+      get: {
+        operationId: 'compareRates',
+        summary: 'Every provider\'s rate for a day, with markups against the reference',
+        parameters: [dateParam, baseParam, quoteParam, amountParam, ...directionParams, ...feeParams, midPolicyParam, marketParam, formatParam],
+        responses: {
+          200: { description: 'OK', content: { 'application/json': { schema: ratesSchema() }, ...exportContent } },
+          400: error('Malformed parameters'),
+          422: error('Unknown currency'),
+          500: error('Unexpected failure'),
+          502: error('No provider returned a rate, or no reference rate to convert a profile\'s flat fees into quote')
+        }
+      }
+    },
+    '/api/rates/stream': {
+      get: {
+        operationId: 'streamRates',
+        summary: 'Every provider\'s rate for a day as Server-Sent Events, as each resolves',
+        description: 'Sends a `rate` event (StreamedRate) per provider as soon as its lookups finish, then a `summary` event (StreamSummary) and closes. '
+          + 'An `error` event (Error) replaces the summary on an unexpected failure.',
+        parameters: [dateParam, baseParam, quoteParam, amountParam, ...directionParams, ...feeParams, midPolicyParam, marketParam],
+        responses: {
+          200: { description: 'OK', content: { 'text/event-stream': { schema: { type: 'string' } } } },
+          400: error('Malformed parameters'),
+          422: error('Unknown currency'),
+          502: error('No reference rate to convert a profile\'s flat fees into quote')
+        }
+      }
+    },
+    '/api/history': {
+      get: {
+        operationId: 'getHistory',
+        summary: 'Daily series per provider up to a date',
+        parameters: [
+          dateParam, baseParam, quoteParam,
+          query('days', { type: 'integer', minimum: 1 }, 'Days up to and including date (2 to 60, default 30)'),
+          amountParam, ...feeParams, midPolicyParam, marketParam, formatParam
+        ],
+        responses: {
+          200: { description: 'OK', content: { 'application/json': { schema: historySchema() }, ...exportContent } },
+          400: error('Malformed parameters'),
+          422: error('Unknown currency'),
+          500: error('Unexpected failure'),
+          502: error('No reference rate to convert a profile\'s flat fees into quote')
+        }
+      }
+    },
+    '/api/stats': {
+      get: {
+        operationId: 'getStats',
+        summary: 'Distribution of each network\'s markup over the reference rate up to a date',
+        parameters: [
+          dateParam, baseParam, quoteParam,
+          query('days', { type: 'integer', minimum: 1 }, 'Days up to and including date (2 to 60, default 30)'),
+          amountParam, ...feeParams, midPolicyParam, marketParam
+        ],
+        responses: {
+          200: json({
+            type: 'object',
+            required: ['base', 'quote', 'start', 'end', 'days', 'comparedDays', 'providers', 'partial', 'missing', 'sources'],
+            properties: {
+              base: ref('CurrencyCode'),
+              quote: ref('CurrencyCode'),
+              start: ref('Date'),
+              end: ref('Date'),
+              days: { type: 'integer' },
+              comparedDays: { type: 'integer', description: 'Days at least two networks were priced' },
+              providers: perProvider(ref('MarkupStats'), getNetworkProviders().map((p) => p.id)),
+              partial: { type: 'boolean', description: 'Some days were not fetched within the time budget' },
+              missing: perProvider({ type: 'integer' }),
+              unsupported: UNSUPPORTED,
+              sources: perProvider({ type: 'string' })
+            },
+            additionalProperties: false
+          }),
+          400: error('Malformed parameters'),
+          422: error('Unknown currency'),
+          500: error('Unexpected failure'),
+          502: error('No reference rate to convert a profile\'s flat fees into quote')
+        }
+      }
+    },
+    '/api/matrix': {
+      get: {
+        operationId: 'getMatrix',
+        summary: 'One base against many quotes across providers',
+        parameters: [
+          dateParam, baseParam,
+          query('quotes', { type: 'string', pattern: '^[A-Z]{3}(,[A-Z]{3})*$' }, 'Comma-separated quote currencies (at most 20)', true),
+          query('providers', { type: 'string' }, 'Comma-separated network ids (default every network)'),
+          amountParam, midPolicyParam, marketParam
+        ],
+        responses: {
+          200: json({
+            type: 'object',
+            required: ['date', 'base', 'amount', 'quotes', 'providers', 'rows', 'sources'],
+            properties: {
+              date: ref('Date'),
+              base: ref('CurrencyCode'),
+              amount: { type: 'number' },
+              quotes: { type: 'array', items: ref('CurrencyCode') },
+              providers: { type: 'array', items: { type: 'string' } },
+              rows: { type: 'array', items: ref('MatrixRow') },
+              sources: { type: 'object', additionalProperties: { type: 'string' } }
+            },
+            additionalProperties: false
+          }),
+          400: error('Malformed parameters'),
+          422: error('Unknown currency'),
+          500: error('Unexpected failure')
+        }
+      }
+    },
+    '/api/reconcile': {
+      post: {
+        operationId: 'reconcileStatement',
+        summary: 'Check a card statement\'s conversions against network and reference rates',
+        parameters: [
+          midPolicyParam, marketParam,
+          query('dateFormat', { type: 'string', enum: DATE_FORMATS }, 'Date format of the CSV (text/csv body only)'),
+          query('decimal', { type: 'string', enum: ['.', ','] }, 'Decimal separator (text/csv body only)'),
+          query('delimiter', { type: 'string' }, 'Column delimiter (text/csv body only)')
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': { schema: ref('ReconcileRequest') },
+            'text/csv': { schema: { type: 'string' } },
+            'text/plain': { schema: { type: 'string' } }
+          }
+        },
+        responses: {
+          200: json({
+            type: 'object',
+            required: ['midPolicy', 'transactions', 'totals', 'sources'],
+            properties: {
+              midPolicy: { type: 'string', enum: MID_POLICIES },
+              transactions: { type: 'array', items: ref('ReconciledTransaction') },
+              totals: { type: 'object', additionalProperties: ref('ReconcileTotals') },
+              sources: perProvider({ type: 'string' })
+            },
+            additionalProperties: false
+          }),
+          400: error('Missing or unreadable statement'),
+          500: error('Unexpected failure')
+        }
+      }
+    },
+    '/api/plan': {
+      post: {
+        operationId: 'planTrip',
+        summary: 'Price expected trip expenses with each card and find the cheapest split',
+        requestBody: { required: true, content: { 'application/json': { schema: ref('PlanRequest') } } },
+        responses: {
+          200: json({
+            type: 'object',
+            required: ['midPolicy', 'homeCurrency', 'mid', 'cards', 'expenses', 'optimal', 'sources'],
+            properties: {
+              midPolicy: { type: 'string', enum: MID_POLICIES },
+              homeCurrency: ref('CurrencyCode'),
+              mid: {
+                type: 'object',
+                required: ['total', 'priced', 'unpriced'],
+                properties: { total: { type: 'number' }, priced: { type: 'integer' }, unpriced: { type: 'integer' } },
+                description: 'The expenses at the reference rate, without fees'
+              },
+              cards: { type: 'array', items: ref('PlanCardTotal') },
+              expenses: { type: 'array', items: ref('PlannedExpense') },
+              optimal: ref('PlanSplit'),
+              sources: perProvider({ type: 'string' })
+            },
+            additionalProperties: false
+          }),
+          400: error('Malformed plan'),
+          422: error('Unknown currency'),
+          500: error('Unexpected failure')
+        }
+      }
+    },
+    '/api/amex/snapshots': {
+      get: {
+        operationId: 'listAmexSnapshots',
+        summary: 'Days of Amex variance tables recorded per card market',
+        responses: {
+          200: json({
+            type: 'object',
+            required: ['markets'],
+            properties: {
+              markets: {
+                type: 'object',
+                additionalProperties: {
+                  type: 'object',
+                  required: ['first', 'last', 'days'],
+                  properties: { first: ref('Date'), last: ref('Date'), days: { type: 'integer' } }
+                }
+              }
+            }
+          })
+        }
+      },
+      post: {
+        operationId: 'takeAmexSnapshots',
+        summary: 'Record today\'s Amex variance tables for markets not snapshotted yet',
+        responses: {
+          200: json({
+            type: 'object',
+            required: ['taken', 'failed'],
+            properties: { taken: { type: 'array', items: { type: 'string' } }, failed: { type: 'array', items: { type: 'string' } } }
+          }),
+          500: error('Unexpected failure')
+        }
+      }
+    },
+    '/api/watches': {
+      get: {
+        operationId: 'listWatches',
+        summary: 'Saved rate watches',
+        responses: { 200: json({ type: 'object', required: ['watches'], properties: { watches: { type: 'array', items: ref('Watch') } } }) }
+      },
+      post: {
+        operationId: 'createWatch',
+        summary: 'Save a watch that calls a webhook when its condition starts to hold',
+        requestBody: { required: true, content: { 'application/json': { schema: { ...ref('WatchInput'), required: ['provider', 'base', 'quote', 'metric', 'op', 'threshold', 'webhookUrl'] } } } },
+        responses: { 201: json(ref('Watch'), 'Created'), 400: error('Invalid watch'), 500: error('Unexpected failure') }
+      }
+    },
+    '/api/watches/check': {
+      post: {
+        operationId: 'checkWatches',
+        summary: 'Check every watch against today\'s rates now',
+        responses: {
+          200: json({ type: 'object', required: ['checked', 'fired'], properties: { checked: { type: 'integer' }, fired: { type: 'integer' } } }),
+          500: error('Unexpected failure')
+        }
+      }
+    },
+    '/api/watches/{id}': {
+      get: {
+        operationId: 'getWatch',
+        parameters: [watchIdParam],
+        responses: { 200: json(ref('Watch')), 404: error('Watch not found') }
+      },
+      patch: {
+        operationId: 'updateWatch',
+        parameters: [watchIdParam],
+        requestBody: { required: true, content: { 'application/json': { schema: ref('WatchInput') } } },
+        responses: { 200: json(ref('Watch')), 400: error('Invalid watch'), 404: error('Watch not found'), 500: error('Unexpected failure') }
+      },
+      delete: {
+        operationId: 'deleteWatch',
+        parameters: [watchIdParam],
+        responses: { 204: { description: 'Deleted' }, 404: error('Watch not found') }
+      }
+    }
+  },
+  components: {
+    securitySchemes: {
+      apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+      bearer: { type: 'http', scheme: 'bearer', description: 'The same key as X-API-Key' }
+    },
+    schemas: {
+      Date: { type: 'string', format: 'date', pattern: '^\\d{4}-\\d{2}-\\d{2}$' },
+      CurrencyCode: { type: 'string', pattern: '^[A-Z]{3}$', description: 'ISO 4217 code (see GET /api/currencies)' },
+      Error: {
+        type: 'object',
+        required: ['error'],
+        properties: {
+          error: { type: 'string' },
+          details: { description: 'Underlying error message, or the list of schema violations for an invalid request' }
+        }
+      },
+      Provider: {
+        type: 'object',
+        required: ['id', 'name', 'shortName', 'kind', 'source', 'color', 'logo', 'currencies', 'capabilities'],
+        properties: {
+          id: { type: 'string' },
+          name: { type: 'string' },
+          shortName: { type: 'string' },
+          kind: { type: 'string', enum: ['reference', 'network'] },
+          source: { type: 'string' },
+          color: { type: 'string' },
+          logo: { type: 'string' },
+          currencies: { type: ['array', 'null'], items: ref('CurrencyCode'), description: 'Supported codes, or null when not restricted' },
+          markets: { type: 'array', items: { type: 'string' } },
+          capabilities: {
+            type: 'object',
+            required: ['history', 'amountDependent'],
+            properties: { history: { type: 'boolean' }, amountDependent: { type: 'boolean' } }
+          }
+        },
+        additionalProperties: false
+      },
+      BreakerHealth: {
+        type: 'object',
+        required: ['state', 'failures', 'latency'],
+        properties: {
+          state: { type: 'string', enum: ['closed', 'open', 'half-open'] },
+          failures: { type: 'integer' },
+          openedAt: nullable('string'),
+          retryAt: nullable('string'),
+          lastSuccessAt: nullable('string'),
+          lastError: { type: ['object', 'null'] },
+          latency: {
+            type: 'object',
+            properties: { p50: nullable('number'), p95: nullable('number'), samples: { type: 'integer' } }
+          }
+        }
+      },
+      Currency: {
+        type: 'object',
+        required: ['code', 'name', 'minorUnits', 'symbol', 'flag', 'providers'],
+        properties: {
+          code: ref('CurrencyCode'),
+          name: { type: 'string' },
+          minorUnits: { type: 'integer', minimum: 0 },
+          symbol: { type: 'string' },
+          flag: { type: 'string' },
+          providers: {
+            type: 'object',
+            additionalProperties: { type: ['boolean', 'null'] },
+            description: 'Per provider id: supported, not supported, or null when not yet known'
+          }
+        },
+        additionalProperties: false
+      },
+      FeeProfile: {
+        type: 'object',
+        required: ['id', 'name', 'network', 'currency', 'fxFeePct'],
+        properties: {
+          id: { type: 'string' },
+          name: { type: 'string' },
+          network: { type: 'string' },
+          currency: { ...ref('CurrencyCode'), description: 'Billing currency fixedFee and atmFee are charged in' },
+          fxFeePct: { type: 'number' },
+          fixedFee: { type: 'number' },
+          atmFee: { type: 'number' }
+        }
+      },
+      Fees: {
+        type: 'object',
+        description: 'Issuer fees on a network conversion. They are added in base on top of amount, so rate and converted stay the network\'s and only the base paid grows. /api/plan and /api/reconcile report the same fees billed in the cardholder\'s currency',
+        required: ['issuerFeePct', 'fixedFee', 'atmFee', 'feeAmount', 'totalCost', 'effectiveRate', 'effectiveConverted'],
+        properties: {
+          profile: nullable('string'),
+          issuerFeePct: { type: 'number' },
+          fixedFee: { type: 'number', description: 'In quote, the billing currency, converted from the profile\'s currency at the reference rate' },
+          atmFee: { type: 'number', description: 'In quote, as fixedFee' },
+          feeAmount: { type: 'number', description: 'In base: amount × issuerFeePct / 100 + (fixedFee + atmFee) / rate' },
+          totalCost: { type: 'number', description: 'Base currency paid, fees included: amount + feeAmount' },
+          effectiveRate: { type: 'number', description: 'Quote received per unit of base paid: rate × amount / totalCost. Fees only lower it, so higher is better, as for rate' },
+          effectiveConverted: { type: 'number' }
+        },
+        additionalProperties: false
+      },
+      ProviderStatus: {
+        type: 'object',
+        required: ['status', 'reason', 'latencyMs', 'cached'],
+        properties: {
+          status: { type: 'string', enum: ['ok', 'unavailable', 'timeout', 'error'] },
+          reason: nullable('string'),
+          latencyMs: { type: 'number' },
+          cached: { type: 'boolean' }
+        },
+        additionalProperties: false
+      },
+      RateDetails: {
+        type: 'object',
+        description: 'How a network rate was obtained, for providers that report it',
+        properties: {
+          market: { type: 'string' },
+          derived: { type: 'boolean', description: 'Priced through a settlement currency' },
+          route: { type: 'array', items: ref('CurrencyCode') },
+          varianceAsOf: ref('Date'),
+          estimated: { type: 'boolean', description: 'Priced from data newer than the day itself' }
+        }
+      },
+      ProviderRate: {
+        type: 'object',
+        required: ['provider', 'date', 'base', 'quote', 'source'],
+        properties: {
+          provider: { type: 'string' },
+          date: ref('Date'),
+          base: ref('CurrencyCode'),
+          quote: ref('CurrencyCode'),
+          unavailable: { type: 'boolean' },
+          reason: { type: 'string', description: 'Why no rate was returned' },
+          rate: { type: 'number' },
+          amount: { type: 'number', description: 'Base amount converted; in reverse mode, solved for target' },
+          direction: { type: 'string', enum: ['reverse'], description: 'Only set in reverse mode' },
+          target: { type: 'number' },
+          converted: { type: 'number' },
+          effectiveRate: { type: 'number' },
+          effectiveConverted: { type: 'number' },
+          fees: { oneOf: [ref('Fees'), { type: 'null' }] },
+          dayDeltaPct: nullable('number'),
+          midAsOf: ref('Date'),
+          market: { type: 'string' },
+          derived: { type: 'boolean' },
+          route: { type: 'array', items: ref('CurrencyCode') },
+          varianceAsOf: ref('Date'),
+          estimated: { type: 'boolean' },
+          source: { type: 'string' }
+        },
+        additionalProperties: false
+      },
+      StreamedRate: {
+        type: 'object',
+        description: 'Data of a `rate` event from /api/rates/stream',
+        required: ['provider', 'date', 'base', 'quote', 'amount', 'status', 'reason', 'latencyMs', 'cached', 'source'],
+        properties: {
+          provider: { type: 'string' },
+          date: ref('Date'),
+          base: ref('CurrencyCode'),
+          quote: ref('CurrencyCode'),
+          amount: { ...nullable('number'), description: 'Base amount converted; in reverse mode solved for target, null without a rate' },
+          direction: { type: 'string', enum: ['reverse'], description: 'Only set in reverse mode' },
+          target: { type: 'number' },
+          status: { type: 'string', enum: ['ok', 'unavailable', 'timeout', 'error'] },
+          reason: nullable('string'),
+          latencyMs: { type: 'number' },
+          cached: { type: 'boolean' },
+          source: { type: 'string' },
+          unavailable: { type: 'boolean' },
+          rate: { type: 'number' },
+          converted: { type: 'number' },
+          effectiveRate: { type: 'number' },
+          effectiveConverted: { type: 'number' },
+          fees: { oneOf: [ref('Fees'), { type: 'null' }] },
+          dayDeltaPct: nullable('number'),
+          markupPct: { ...nullable('number'), description: 'Over the reference rate in percent; null for the reference itself' },
+          effectiveMarkupPct: nullable('number'),
+          midAsOf: ref('Date'),
+          market: { type: 'string' },
+          derived: { type: 'boolean' },
+          route: { type: 'array', items: ref('CurrencyCode') },
+          varianceAsOf: ref('Date'),
+          estimated: { type: 'boolean' }
+        },
+        additionalProperties: false
+      },
+      StreamSummary: {
+        type: 'object',
+        description: 'Data of the final `summary` event from /api/rates/stream',
+        required: ['date', 'base', 'quote', 'amount', 'midAsOf', 'winner', 'ranking', 'unavailable', 'durationMs'],
+        properties: {
+          date: ref('Date'),
+          base: ref('CurrencyCode'),
+          quote: ref('CurrencyCode'),
+          amount: { ...nullable('number'), description: 'In reverse mode, what the reference rate needs for target' },
+          direction: { type: 'string', enum: ['reverse'] },
+          target: { type: 'number' },
+          midAsOf: nullable('string'),
+          winner: { ...nullable('string'), description: 'Provider with the best rate, fees included' },
+          ranking: { type: 'array', items: { type: 'string' }, description: 'Providers with a rate, best first' },
+          unavailable: { type: 'array', items: { type: 'string' } },
+          durationMs: { type: 'number' }
+        },
+        additionalProperties: false
+      },
+      MatrixRow: {
+        type: 'object',
+        required: ['quote', 'provider', 'rate', 'converted', 'markupPct', 'dayDeltaPct', 'status', 'reason'],
+        properties: {
+          quote: ref('CurrencyCode'),
+          provider: { type: 'string' },
+          rate: nullable('number'),
+          converted: nullable('number'),
+          markupPct: nullable('number'),
+          dayDeltaPct: nullable('number'),
+          status: { type: 'string', enum: ['ok', 'unavailable', 'timeout', 'error'] },
+          reason: nullable('string'),
+          midAsOf: nullable('string'),
+          market: { type: 'string' },
+          derived: { type: 'boolean' },
+          route: { type: 'array', items: ref('CurrencyCode') },
+          varianceAsOf: ref('Date'),
+          estimated: { type: 'boolean' }
+        },
+        additionalProperties: false
+      },
+      ReconcileRequest: {
+        type: 'object',
+        required: ['csv'],
+        properties: {
+          csv: { type: 'string', description: 'Statement with a header line' },
+          mapping: {
+            type: 'object',
+            properties: Object.fromEntries(STATEMENT_FIELDS.map((field) => [field, { type: 'string' }])),
+            additionalProperties: false,
+            description: 'Header used for each field, when not one of the usual names'
+          },
+          dateFormat: { type: 'string', enum: DATE_FORMATS },
+          decimal: { type: 'string', enum: ['.', ','] },
+          delimiter: { type: 'string' },
+          midPolicy: { type: 'string', enum: MID_POLICIES },
+          market: { type: 'string' }
+        }
+      },
+      ReconciledTransaction: {
+        type: 'object',
+        required: ['line', 'status'],
+        properties: {
+          line: { type: 'integer' },
+          date: nullable('string'),
+          originalAmount: nullable('number'),
+          originalCurrency: { type: 'string' },
+          billedAmount: nullable('number'),
+          billedCurrency: { type: 'string' },
+          network: nullable('string'),
+          error: { type: 'string' },
+          impliedRate: { type: 'number' },
+          midRate: nullable('number'),
+          midAsOf: nullable('string'),
+          midMarkupPct: nullable('number'),
+          networkRate: nullable('number'),
+          expectedBilled: nullable('number'),
+          discrepancyPct: nullable('number'),
+          hiddenFee: { ...nullable('number'), description: 'billedAmount - expectedBilled, in the billed currency, or 0 within half of its minor unit (the rounding of billedAmount). Positive when the line cost more than the network rate explains, like fees charged on top (see Fees)' },
+          status: { type: 'string', enum: ['ok', 'unavailable', 'timeout', 'error', 'no-network', 'invalid'] },
+          reason: nullable('string')
+        }
+      },
+      ReconcileTotals: {
+        type: 'object',
+        properties: {
+          lines: { type: 'integer' },
+          billed: { type: 'number' },
+          checked: { type: 'integer' },
+          checkedBilled: { type: 'number' },
+          expectedBilled: { type: 'number' },
+          hiddenFee: { type: 'number' },
+          hiddenFeePct: nullable('number')
+        }
+      },
+      PlanRequest: {
+        type: 'object',
+        required: ['homeCurrency', 'expenses', 'cards'],
+        properties: {
+          homeCurrency: { type: 'string', description: 'Currency the cards bill in' },
+          expenses: {
+            type: 'array',
+            maxItems: MAX_PLAN_EXPENSES,
+            items: {
+              type: 'object',
+              required: ['date', 'amount', 'currency'],
+              properties: {
+                date: { ...ref('Date'), description: 'Future dates are priced with the latest rates' },
+                amount: { type: ['number', 'string'], description: 'In the expense currency' },
+                currency: { type: 'string' },
+                category: { type: 'string', description: `"${CASH_CATEGORY}" for withdrawals, which pay the card's ATM fee` }
+              }
+            }
+          },
+          cards: {
+            type: 'array',
+            maxItems: MAX_PLAN_CARDS,
+            items: {
+              type: 'object',
+              description: 'A network with its fees, or a fee profile (whose fees can be overridden)',
+              properties: {
+                id: { type: 'string' },
+                name: { type: 'string' },
+                network: { type: 'string', enum: getNetworkProviders().map((p) => p.id) },
+                profile: { type: 'string', description: 'Fee profile id (see GET /api/fee-profiles)' },
+                feePct: { type: ['number', 'string'] },
+                fixedFee: { type: ['number', 'string'], description: 'Per foreign expense, in feeCurrency' },
+                atmFee: { type: ['number', 'string'], description: 'Per foreign cash withdrawal, in feeCurrency' },
+                feeCurrency: { type: 'string', description: 'Currency fixedFee and atmFee are charged in (default the profile\'s, else homeCurrency)' }
+              }
+            }
+          },
+          midPolicy: { type: 'string', enum: MID_POLICIES },
+          market: { type: 'string' }
+        }
+      },
+      PlanCardTotal: {
+        type: 'object',
+        required: ['id', 'name', 'network', 'feePct', 'fixedFee', 'atmFee', 'feeCurrency', 'total', 'fees', 'markupPct', 'priced', 'unpriced', 'complete'],
+        properties: {
+          id: { type: 'string' },
+          name: { type: 'string' },
+          network: { type: 'string' },
+          profile: nullable('string'),
+          feePct: { type: 'number' },
+          fixedFee: { type: 'number' },
+          atmFee: { type: 'number' },
+          feeCurrency: ref('CurrencyCode'),
+          total: { type: 'number', description: 'Home currency, fees included, over the priced expenses' },
+          fees: { type: 'number', description: 'Home currency: the fees of each priced expense' },
+          markupPct: { ...nullable('number'), description: 'Cost over the same expenses at the reference rate in percent' },
+          priced: { type: 'integer' },
+          unpriced: { type: 'integer' },
+          complete: { type: 'boolean', description: 'Every expense was priced' }
+        },
+        additionalProperties: false
+      },
+      PlannedExpense: {
+        type: 'object',
+        required: ['date', 'amount', 'currency', 'category', 'pricedOn', 'estimated', 'mid', 'costs', 'bestCard', 'bestTotal'],
+        properties: {
+          date: ref('Date'),
+          amount: { type: 'number' },
+          currency: ref('CurrencyCode'),
+          category: { type: 'string' },
+          pricedOn: ref('Date'),
+          estimated: { type: 'boolean' },
+          mid: { type: 'object', properties: { rate: nullable('number'), cost: nullable('number') } },
+          costs: {
+            type: 'object',
+            description: 'Per card id',
+            additionalProperties: {
+              type: 'object',
+              required: ['rate', 'cost', 'fee', 'total', 'status', 'reason'],
+              properties: {
+                rate: nullable('number'),
+                cost: { ...nullable('number'), description: 'Home currency at the card network\'s rate, without fees' },
+                fee: { ...nullable('number'), description: 'Fees.feeAmount for the expense, billed at the card network\'s rate. 0 in the home currency' },
+                total: { ...nullable('number'), description: 'cost + fee. Lower is better' },
+                status: { type: 'string', enum: ['ok', 'unavailable', 'timeout', 'error'] },
+                reason: nullable('string')
+              },
+              additionalProperties: false
+            }
+          },
+          bestCard: nullable('string'),
+          bestTotal: nullable('number')
+        },
+        additionalProperties: false
+      },
+      PlanSplit: {
+        type: 'object',
+        required: ['total', 'complete', 'split', 'bestSingleCard', 'bestSingleTotal', 'savings', 'savingsPct'],
+        properties: {
+          total: { type: 'number', description: 'Every expense on its cheapest card' },
+          complete: { type: 'boolean' },
+          split: { type: 'object', additionalProperties: { type: 'integer' }, description: 'Expenses per card id' },
+          bestSingleCard: nullable('string'),
+          bestSingleTotal: nullable('number'),
+          savings: { ...nullable('number'), description: 'Saved by splitting instead of using the best single card' },
+          savingsPct: nullable('number')
+        },
+        additionalProperties: false
+      },
+      MarkupStats: {
+        type: 'object',
+        description: 'Markups include issuer fees when fee or profile is given; in percent over the reference rate',
+        required: ['days', 'minPct', 'medianPct', 'p90Pct', 'maxPct', 'meanPct', 'stdDevPct', 'cheapestDays', 'cheapestShare', 'weekday', 'weekend', 'weekendPremiumPct', 'jumps'],
+        properties: {
+          days: { type: 'integer', description: 'Days priced' },
+          minPct: nullable('number'),
+          medianPct: nullable('number'),
+          p90Pct: nullable('number'),
+          maxPct: nullable('number'),
+          meanPct: nullable('number'),
+          stdDevPct: nullable('number'),
+          cheapestDays: { type: 'integer', description: 'Compared days this network had the best rate (ties count for each)' },
+          cheapestShare: { ...nullable('number'), description: 'cheapestDays over comparedDays, 0 to 1' },
+          weekday: ref('MarkupMean'),
+          weekend: ref('MarkupMean'),
+          weekendPremiumPct: { ...nullable('number'), description: 'Weekend minus weekday mean markup, in percentage points' },
+          jumps: {
+            type: 'array',
+            description: 'Largest changes in markup from one day to the next',
+            items: {
+              type: 'object',
+              required: ['date', 'fromPct', 'toPct', 'changePct'],
+              properties: {
+                date: ref('Date'),
+                fromPct: { type: 'number' },
+                toPct: { type: 'number' },
+                changePct: { type: 'number', description: 'In percentage points' }
+              },
+              additionalProperties: false
+            }
+          }
+        },
+        additionalProperties: false
+      },
+      MarkupMean: {
+        type: 'object',
+        required: ['days', 'meanPct'],
+        properties: {
+          days: { type: 'integer' },
+          meanPct: nullable('number')
+        },
+        additionalProperties: false
+      },
+      Usage: {
+        type: 'object',
+        required: ['mode', 'client', 'limits', 'remaining', 'usage'],
+        properties: {
+          mode: { type: 'string', enum: API_AUTH_MODES },
+          client: {
+            oneOf: [{ type: 'object', required: ['id', 'name'], properties: { id: { type: 'string' }, name: { type: 'string' } } }, { type: 'null' }],
+            description: 'The key used, or null for an anonymous caller (limited per IP)'
+          },
+          limits: { oneOf: [ref('RouteClassCounts'), { type: 'null' }], description: 'Requests per minute; null with API_AUTH=off' },
+          remaining: { oneOf: [ref('RouteClassCounts'), { type: 'null' }] },
+          usage: {
+            oneOf: [{
+              type: 'object',
+              required: ['cheap', 'expensive', 'throttled', 'lastUsedAt'],
+              properties: {
+                cheap: { type: 'integer' },
+                expensive: { type: 'integer' },
+                throttled: { type: 'integer', description: 'Requests answered 429' },
+                lastUsedAt: nullable('string')
+              },
+              additionalProperties: false
+            }, { type: 'null' }],
+            description: 'Since the server started'
+          }
+        },
+        additionalProperties: false
+      },
+      RouteClassCounts: {
+        type: 'object',
+        description: 'expensive routes reach the card networks or scrape many days or pairs per request (card rates and comparisons, history, stats, matrix, plan, reconcile, watch checks, Amex snapshots); the reference rate alone is cheap',
+        required: ['cheap', 'expensive'],
+        properties: {
+          cheap: { type: 'number' },
+          expensive: { type: 'number' }
+        },
+        additionalProperties: false
+      },
+      WatchInput: {
+        type: 'object',
+        properties: {
+          provider: { type: 'string' },
+          base: { type: 'string' },
+          quote: { type: 'string' },
+          amount: { type: ['number', 'string'] },
+          metric: { type: 'string', enum: WATCH_METRICS },
+          op: { type: 'string', enum: WATCH_OPS },
+          threshold: { type: ['number', 'string'] },
+          webhookUrl: { type: 'string', description: 'http(s) URL; must not resolve to a loopback, private or link-local address unless its host is in WEBHOOK_ALLOWED_HOSTS' }
+        }
+      },
+      Watch: {
+        type: 'object',
+        required: ['id', 'provider', 'base', 'quote', 'amount', 'metric', 'op', 'threshold', 'webhookUrl', 'triggered', 'createdAt'],
+        properties: {
+          id: { type: 'string' },
+          provider: { type: 'string' },
+          base: ref('CurrencyCode'),
+          quote: ref('CurrencyCode'),
+          amount: { type: 'number' },
+          metric: { type: 'string', enum: WATCH_METRICS },
+          op: { type: 'string', enum: WATCH_OPS },
+          threshold: { type: 'number' },
+          webhookUrl: { type: 'string' },
+          triggered: { type: 'boolean' },
+          createdAt: { type: 'string' },
+          lastCheckedAt: nullable('string'),
+          lastValue: nullable('number'),
+          lastFiredAt: nullable('string'),
+          lastError: nullable('string')
+        }
+      }
+    }
+  }
+};
+
+// Answered by api-access.js before any route runs
+for (const item of Object.values(openapiDocument.paths)) {
+  for (const operation of Object.values(item)) {
+    operation.responses[401] = error('Missing API key (API_AUTH=required), or one that is unknown or revoked');
+    operation.responses[429] = {
+      ...error('Request budget for the route class spent'),
+      headers: { 'Retry-After': { schema: { type: 'integer' }, description: 'Seconds until a request is allowed again' } }
+    };
+  }
+}
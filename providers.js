@@ -0,0 +1,166 @@
+import { provider as midMarket } from './frankfurter.js';
+import { provider as mastercard } from './mastercard-scraper.js';
+import { provider as visa } from './visa-scraper.js';
+import { provider as amex } from './amex-scraper.js';
+import { withTimeout } from './scraper-utils.js';
+
+/**
+ * Provider interface
+ * @typedef {Object} Provider
+ * @property {string} id - Short identifier used in routes and response keys (e.g. 'mc')
+ * @property {string} name - Display name (e.g. 'American Express')
+ * @property {string} shortName - Compact display name (e.g. 'Amex')
+ * @property {'reference'|'network'} kind - The reference rate markups are measured against, or a card network
+ * @property {string} source - Attribution shown next to rates
+ * @property {string} [seriesSource] - Attribution for history, when it differs from `source`
+ * @property {string} color - Chart and card accent colour
+ * @property {string} logo - Logo URL for the frontend card
+ * @property {string[]|null} currencies - Supported ISO codes, or null when not restricted
+ * @property {string[]} [markets] - Card markets selectable per request through `options.market`
+ * @property {{ history: boolean, amountDependent: boolean }} capabilities
+ * @property {number} timeoutMs - Budget for a single rate lookup in /api/rates
+ * @property {(date: string, base: string, quote: string, amount?: number, options?: { market?: string }) => Promise<number|null>} getRate
+ *   Resolves to null when the pair is not supported, rejects when the upstream fails
+ *   (with code ECIRCUITOPEN, without calling it, while its circuit breaker is open)
+ * @property {(startDate: string, endDate: string, base: string, quote: string, options?: { deadline?: number, market?: string, onSkip?: (date: string) => void, onFill?: (date: string) => void, onEstimate?: (date: string) => void }) => Promise<Array<number|null>>} getSeries
+ *   One value per calendar day between the two dates (inclusive); days not fetched
+ *   by `deadline` are reported through `onSkip`, every day without its own
+ *   rate is filled forward and reported through `onFill`, and days priced from
+ *   data newer than the day itself are reported through `onEstimate`
+ * @property {(date: string, base: string, quote: string, options?: { policy?: string }) => Promise<{ rate: number, asOf: string }>} [getQuote]
+ *   Rate plus the date it was actually published for, when the source skips
+ *   non-business days; `policy` picks the previous or next business day, or
+ *   'strict' to reject with code ENOMIDRATE
+ * @property {(date: string, base: string, quotes: string[], options?: { policy?: string }) => Promise<{ rates: Object<string, number|null>, asOf: Object<string, string|null> }>} [getRates]
+ *   Batch lookup of many quotes in one upstream call
+ * @property {(startDate: string, endDate: string, base: string, quote: string, options?: { policy?: string }) => Promise<{ series: Array<number|null>, asOf: Array<string|null> }>} [getSeriesAsOf]
+ *   getSeries with the publication date behind each day
+ * @property {(date: string, base: string, quote: string, amount?: number, options?: { market?: string }) => Promise<{ rate: number, market?: string, derived?: boolean, route?: string[] }|null>} [getRateDetails]
+ *   getRate plus how the rate was obtained, e.g. derived through another currency
+ * @property {(date: string, base: string, quote: string, amount?: number, options?: { policy?: string, market?: string }) => boolean} [isCached]
+ *   Whether getRate would be answered from the rate store
+ */
+
+const BUILT_IN_PROVIDERS = [midMarket, mastercard, visa, amex];
+
+// Comma-separated network ids to switch off without code changes, e.g. DISABLED_PROVIDERS=amex
+const disabled = new Set(
+  (process.env.DISABLED_PROVIDERS || '').split(',').map((id) => id.trim()).filter(Boolean)
+);
+
+// Overrides every provider's own timeoutMs when set
+const TIMEOUT_OVERRIDE_MS = parseInt(process.env.PROVIDER_TIMEOUT_MS || '', 10) || null;
+
+const registry = new Map();
+
+/**
+ * Add a provider to the registry
+ * @param {Provider} provider
+ */
+export function registerProvider(provider) {
+  for (const field of ['id', 'name', 'kind', 'getRate', 'getSeries']) {
+    if (!provider[field]) {
+      throw new Error(`Provider ${provider.id || '(unknown)'} is missing "${field}"`);
+    }
+  }
+  if (provider.kind === 'reference' && getReferenceProvider()) {
+    throw new Error(`Only one reference provider is allowed (got ${provider.id})`);
+  }
+  registry.set(provider.id, provider);
+}
+
+for (const provider of BUILT_IN_PROVIDERS) {
+  // The reference rate is needed for every markup, so it cannot be disabled
+  if (provider.kind === 'network' && disabled.has(provider.id)) continue;
+  registerProvider(provider);
+}
+
+/** @returns {Provider[]} Enabled providers, reference first */
+export function getProviders() {
+  return [...registry.values()];
+}
+
+/** @returns {Provider|null} */
+export function getProvider(id) {
+  return registry.get(id) || null;
+}
+
+/** @returns {Provider|undefined} */
+export function getReferenceProvider() {
+  return getProviders().find((p) => p.kind === 'reference');
+}
+
+/** @returns {Provider[]} */
+export function getNetworkProviders() {
+  return getProviders().filter((p) => p.kind === 'network');
+}
+
+/**
+ * Public description of a provider (no functions) for GET /api/providers
+ * @param {Provider} provider
+ */
+export function describeProvider(provider) {
+  const { id, name, shortName, kind, source, color, logo, currencies, markets, capabilities } = provider;
+  return { id, name, shortName, kind, source, color, logo, currencies, ...(markets ? { markets } : {}), capabilities };
+}
+
+/**
+ * Why a provider cannot price these currencies, or null when it may. Providers
+ * with a fixed currency list are not asked about anything else.
+ * @param {Provider} provider
+ * @param {string[]} codes
+ * @returns {string|null}
+ */
+export function unsupportedReason(provider, codes) {
+  const missing = provider.currencies ? [...new Set(codes)].filter((code) => !provider.currencies.includes(code)) : [];
+  return missing.length > 0 ? `${provider.shortName} does not support ${missing.join(', ')}` : null;
+}
+
+/**
+ * Fetch a rate without throwing, reporting how the lookup went
+ * @param {Provider} provider
+ * @param {string} date
+ * @param {string} base
+ * @param {string} quote
+ * @param {number} [amount]
+ * @param {{ policy?: string, market?: string }} [options] - Passed on to the provider
+ * @returns {Promise<{ rate: number|null, asOf: string|null, details: Object|null, status: 'ok'|'unavailable'|'timeout'|'error', reason: string|null, latencyMs: number, cached: boolean }>}
+ */
+export async function fetchProviderRate(provider, date, base, quote, amount = 1, options = {}) {
+  const t0 = Date.now();
+  const cached = provider.isCached ? provider.isCached(date, base, quote, amount, options) : false;
+  const timeoutMs = TIMEOUT_OVERRIDE_MS || provider.timeoutMs;
+  const result = (status, rate, reason, asOf = null, details = null) => ({ rate, asOf, details, status, reason, latencyMs: Date.now() - t0, cached });
+
+  const unsupported = unsupportedReason(provider, [base, quote]);
+  if (unsupported) return result('unavailable', null, unsupported);
+
+  try {
+    let lookup;
+    if (provider.getQuote) {
+      lookup = provider.getQuote(date, base, quote, options);
+    } else if (provider.getRateDetails) {
+      lookup = provider.getRateDetails(date, base, quote, amount, options).then((found) => {
+        if (!found) return { rate: null };
+        const { rate, ...details } = found;
+        return { rate, asOf: date, details };
+      });
+    } else {
+      lookup = provider.getRate(date, base, quote, amount, options).then((rate) => ({ rate, asOf: date }));
+    }
+    const { rate, asOf, details } = await withTimeout(
+      lookup,
+      timeoutMs,
+      `${provider.shortName} did not respond within ${timeoutMs}ms`
+    );
+    if (rate === null || rate === undefined) {
+      return result('unavailable', null, `Currency pair not supported by ${provider.shortName} API`);
+    }
+    return result('ok', rate, null, asOf, details);
+  } catch (error) {
+    if (error.code === 'ENOMIDRATE') {
+      return result('unavailable', null, error.message);
+    }
+    return result(error.code === 'ETIMEDOUT' ? 'timeout' : 'error', null, error.message);
+  }
+}
@@ -0,0 +1,129 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { formatDate } from './scraper-utils.js';
+import { cacheLookups } from './metrics.js';
+import { logger } from './logger.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Serverless filesystems are read-only outside /tmp
+const DEFAULT_STORE_PATH = process.env.VERCEL || process.env.AWS_LAMBDA_FUNCTION_NAME
+  ? '/tmp/rates.jsonl'
+  : path.join(__dirname, 'data', 'rates.jsonl');
+
+const STORE_PATH = process.env.RATE_STORE_PATH || DEFAULT_STORE_PATH;
+
+// Rates for today (or later) can still move, so they expire like the old in-memory cache
+const TODAY_TTL = 1000 * 60 * 60;
+
+let entries = null;
+let writable = true;
+
+function storeKey(provider, date, base, quote, amount) {
+  return `${provider}|${date}|${base}|${quote}|${amount}`;
+}
+
+function load() {
+  if (entries) return entries;
+  entries = new Map();
+  try {
+    const text = fs.readFileSync(STORE_PATH, 'utf8');
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const record = JSON.parse(line);
+        entries.set(storeKey(record.provider, record.date, record.base, record.quote, record.amount), record);
+      } catch {}
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error('rate_store_load_error', { path: STORE_PATH, message: error.message });
+    }
+  }
+  return entries;
+}
+
+function append(record) {
+  if (!writable) return;
+  try {
+    fs.mkdirSync(path.dirname(STORE_PATH), { recursive: true });
+    fs.appendFileSync(STORE_PATH, JSON.stringify(record) + '\n');
+  } catch (error) {
+    // Keep serving from memory; one log line is enough
+    writable = false;
+    logger.error('rate_store_write_error', { path: STORE_PATH, message: error.message });
+  }
+}
+
+function isSettled(date) {
+  return date < formatDate(new Date());
+}
+
+/**
+ * Read a stored rate
+ * @param {string} provider - Provider id (or namespaced id such as 'mid:published')
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} base
+ * @param {string} quote
+ * @param {number} [amount]
+ * @returns {number|null|undefined} - undefined when missing or expired; null when
+ *   the upstream is known to have no rate for that day
+ */
+export function getStoredRate(provider, date, base, quote, amount = 1) {
+  const record = load().get(storeKey(provider, date, base, quote, amount));
+  if (!record) return undefined;
+  if (!isSettled(date) && Date.now() - record.storedAt >= TODAY_TTL) {
+    return undefined;
+  }
+  return record.rate;
+}
+
+/**
+ * Persist a rate. Past dates never change so they are kept forever.
+ * @param {string} provider
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} base
+ * @param {string} quote
+ * @param {number} amount
+ * @param {number|null} rate
+ */
+export function storeRate(provider, date, base, quote, amount, rate) {
+  const record = { provider, date, base, quote, amount, rate, storedAt: Date.now() };
+  load().set(storeKey(provider, date, base, quote, amount), record);
+  append(record);
+}
+
+/**
+ * List stored records, optionally filtered, for analytics
+ * @param {{ provider?: string, base?: string, quote?: string }} [filter]
+ * @returns {Array<{ provider: string, date: string, base: string, quote: string, amount: number, rate: number|null, storedAt: number }>}
+ */
+export function listStoredRates(filter = {}) {
+  return [...load().values()].filter((record) =>
+    (!filter.provider || record.provider === filter.provider) &&
+    (!filter.base || record.base === filter.base) &&
+    (!filter.quote || record.quote === filter.quote)
+  );
+}
+
+/**
+ * Per-provider read-through cache backed by the store
+ * @param {string} provider
+ */
+export function createRateCache(provider) {
+  return {
+    get(date, base, quote, amount = 1) {
+      const rate = getStoredRate(provider, date, base, quote, amount);
+      cacheLookups.inc({ cache: provider, result: rate === undefined ? 'miss' : 'hit' });
+      return rate;
+    },
+    // For isCached checks: the same answer as get, without counting as a lookup
+    peek(date, base, quote, amount = 1) {
+      return getStoredRate(provider, date, base, quote, amount);
+    },
+    set(date, base, quote, amount, rate) {
+      storeRate(provider, date, base, quote, amount, rate);
+    }
+  };
+}
@@ -0,0 +1,79 @@
+import { fetchProviderRate } from './providers.js';
+import { minorUnits } from './currencies.js';
+
+export const DIRECTIONS = ['forward', 'reverse'];
+
+// Lookups one provider may spend converging on a source amount, the first (for 1 unit) included
+export const REVERSE_MAX_LOOKUPS = 4;
+
+// Converted amounts are compared with this much slack for floating point
+const EPSILON = 1e-9;
+
+/**
+ * Read `direction` and `target` from a query string. In reverse mode `target`
+ * is the quote amount wanted and each provider's base amount is solved for.
+ * @param {Object} query - req.query
+ * @returns {{ error: string } | { direction: 'forward'|'reverse', target: number|null }}
+ */
+export function parseDirection(query) {
+  const direction = query.direction || 'forward';
+  if (!DIRECTIONS.includes(direction)) {
+    return { error: `Invalid direction. Use: ${DIRECTIONS.join(' or ')}` };
+  }
+  if (direction === 'forward') return { direction, target: null };
+  const target = parseFloat(query.target);
+  if (!(target > 0) || !Number.isFinite(target)) {
+    return { error: 'Invalid target. Expected a number above 0 with direction=reverse' };
+  }
+  return { direction, target };
+}
+
+/**
+ * The smallest base amount, in whole minor units, that a provider converts
+ * into at least `target` of the quote currency. Mastercard (crdhldBillAmt)
+ * and Visa (toAmountWithAdditionalFee) round the converted amount, so their
+ * rate moves with the amount: starting from the rate for 1 unit, each lookup
+ * rescales the amount by its own rate until it settles, then one unit less
+ * is tried in case rounding still reaches the target.
+ * @param {import('./providers.js').Provider} provider
+ * @param {string} date
+ * @param {string} base
+ * @param {string} quote
+ * @param {number} target - Quote amount wanted
+ * @param {{ policy?: string, market?: string }} [options] - Passed on to fetchProviderRate
+ * @returns {Promise<{ amount: number|null, lookup: Object, lookups: number }>} - lookup is
+ *   fetchProviderRate's result for amount. amount is null when the provider has no
+ *   rate or no amount reaching the target was found; lookup then has no rate and
+ *   its reason says why.
+ */
+export async function solveSourceAmount(provider, date, base, quote, target, options = {}) {
+  const scale = 10 ** minorUnits(base);
+  const roundUp = (value) => Math.ceil(value * scale - EPSILON) / scale;
+  const reaches = (amount, rate) => rate * amount >= target - EPSILON;
+
+  const first = await fetchProviderRate(provider, date, base, quote, 1, options);
+  if (first.rate === null) return { amount: null, lookup: first, lookups: 1 };
+  let amount = roundUp(target / first.rate);
+  if (!provider.capabilities.amountDependent) return { amount, lookup: first, lookups: 1 };
+
+  let best = null;
+  let last = { amount, lookup: first };
+  let lookups = 1;
+  const tried = new Set();
+  while (lookups < REVERSE_MAX_LOOKUPS && amount > 0 && !tried.has(amount)) {
+    tried.add(amount);
+    const lookup = await fetchProviderRate(provider, date, base, quote, amount, options);
+    lookups++;
+    if (lookup.rate === null) {
+      if (!best) return { amount: null, lookup, lookups };
+      break;
+    }
+    last = { amount, lookup };
+    if (reaches(amount, lookup.rate) && (!best || amount < best.amount)) best = last;
+    const next = roundUp(target / lookup.rate);
+    amount = next === amount && best === last ? Math.round((amount - 1 / scale) * scale) / scale : next;
+  }
+  if (best) return { ...best, lookups };
+  const reason = `No ${base} amount found that ${provider.shortName} converts into ${target} ${quote} within ${lookups} lookups`;
+  return { amount: null, lookup: { ...last.lookup, rate: null, details: null, status: 'unavailable', reason }, lookups };
+}
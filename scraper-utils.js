@@ -0,0 +1,168 @@
+import axios from 'axios';
+import { withPage } from './browser-pool.js';
+
+export function toDate(s) {
+  return new Date(s + 'T00:00:00Z');
+}
+
+export function formatDate(d) {
+  const y = d.getUTCFullYear();
+  const m = String(d.getUTCMonth() + 1).padStart(2, '0');
+  const day = String(d.getUTCDate()).padStart(2, '0');
+  return `${y}-${m}-${day}`;
+}
+
+/**
+ * Shift a YYYY-MM-DD date by a number of days
+ * @param {string} date
+ * @param {number} days
+ * @returns {string}
+ */
+export function addDays(date, days) {
+  const d = toDate(date);
+  d.setUTCDate(d.getUTCDate() + days);
+  return formatDate(d);
+}
+
+/**
+ * List every calendar day between two dates (inclusive)
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ * @returns {string[]}
+ */
+export function listDates(startDate, endDate) {
+  const end = toDate(endDate);
+  const dates = [];
+  const cursor = toDate(startDate);
+  while (cursor <= end) {
+    dates.push(formatDate(cursor));
+    cursor.setUTCDate(cursor.getUTCDate() + 1);
+  }
+  return dates;
+}
+
+/**
+ * Fetch one rate per day and fill gaps with the last good value.
+ * Every day is requested at once; the fetch scheduler keeps each upstream
+ * within its limits.
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ * @param {(date: string) => Promise<number|null>} fetchRate
+ * @param {{ onSkip?: (date: string) => void, onFill?: (date: string) => void }} [options]
+ *   onSkip is called for days dropped because the request deadline passed,
+ *   onFill for days that carry an earlier value (or null) instead of their own
+ * @returns {Promise<Array<number|null>>}
+ */
+export async function fillForwardSeries(startDate, endDate, fetchRate, { onSkip, onFill } = {}) {
+  const dates = listDates(startDate, endDate);
+  const rates = await Promise.all(dates.map((d) => fetchRate(d).catch((e) => {
+    if (e.code === 'EDEADLINE' && onSkip) onSkip(d);
+    return null;
+  })));
+
+  const series = [];
+  let lastGood = null;
+  rates.forEach((r, i) => {
+    if (typeof r === 'number' && !Number.isNaN(r)) {
+      lastGood = r;
+      series.push(r);
+    } else {
+      if (onFill) onFill(dates[i]);
+      series.push(lastGood);
+    }
+  });
+  return series;
+}
+
+// Visa and Amex only answer requests made from their own pages. With
+// UPSTREAM_TRANSPORT=direct the request goes out without a browser, which is
+// what the local stand-in upstreams and fixture recording use.
+const DIRECT_TRANSPORT = process.env.UPSTREAM_TRANSPORT === 'direct';
+
+/**
+ * Request JSON from inside a pooled page of the site (or directly, see
+ * UPSTREAM_TRANSPORT). A 401/403 means the page's session cookies went stale:
+ * the page is replaced and the request tried once more.
+ * @param {string} site - A site registered with the browser pool
+ * @param {string} url
+ * @param {{ method?: string, headers?: Object<string, string> }} [init]
+ * @returns {Promise<{ status: number, url: string, data: any }>} - data is null unless the status is 2xx
+ */
+export async function fetchJsonFromPage(site, url, { method = 'GET', headers = {} } = {}) {
+  if (DIRECT_TRANSPORT) {
+    const res = await axios({ url, method, headers, validateStatus: () => true });
+    return { status: res.status, url, data: res.status >= 200 && res.status < 300 ? res.data : null };
+  }
+
+  const request = () => withPage(site, async (page) => {
+    const result = await page.evaluate(
+      async ({ url, method, headers }) => {
+        const res = await fetch(url, { method, headers, credentials: 'include' });
+        return { status: res.status, url: res.url, data: res.ok ? await res.json() : null };
+      },
+      { url, method, headers }
+    );
+    if (result.status === 401 || result.status === 403) {
+      const error = new Error(`Stale ${site} session (HTTP ${result.status})`);
+      error.recyclePage = true;
+      error.result = result;
+      throw error;
+    }
+    return result;
+  });
+
+  try {
+    return await request();
+  } catch (error) {
+    if (!error.result) throw error;
+    // A second refusal from a fresh page is the upstream's real answer
+    return request().catch((retryError) => {
+      if (retryError.result) return retryError.result;
+      throw retryError;
+    });
+  }
+}
+
+/**
+ * Reject if a promise does not settle in time. The underlying work keeps
+ * running, so a late result still lands in the rate store.
+ * @param {Promise<T>} promise
+ * @param {number} ms
+ * @param {string} message
+ * @returns {Promise<T>}
+ * @template T
+ */
+export function withTimeout(promise, ms, message) {
+  if (!ms) return promise;
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(message || `Timed out after ${ms}ms`);
+      error.code = 'ETIMEDOUT';
+      reject(error);
+    }, ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Map over items with at most `limit` calls in flight, preserving order
+ * @param {T[]} items
+ * @param {number} limit
+ * @param {(item: T, index: number) => Promise<R>} fn
+ * @returns {Promise<R[]>}
+ * @template T, R
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+  await Promise.all(workers);
+  return results;
+}
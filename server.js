@@ -1,10 +1,27 @@
 import express from 'express';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { getMidMarketRate, getMidMarketSeries } from './frankfurter.js';
-import { getMastercardRate, getMastercardSeries } from './mastercard-scraper.js';
-import { getVisaRate, getVisaSeries } from './visa-scraper.js';
-import { getAmexRate, getAmexSeries } from './amex-scraper.js';
+import { getProviders, getProvider, getReferenceProvider, getNetworkProviders, describeProvider, fetchProviderRate, unsupportedReason } from './providers.js';
+import { listDates, addDays, mapWithConcurrency } from './scraper-utils.js';
+import { getFeeProfiles, parseFeeOptions, convertFlatFees, applyFees } from './fee-profiles.js';
+import { MID_POLICIES } from './frankfurter.js';
+import { EXPORT_FORMATS, sendExport } from './export-formats.js';
+import { parseStatement, reconcileStatement } from './statement-reconciler.js';
+import { parsePlan, planTrip } from './trip-planner.js';
+import { markupStats } from './markup-stats.js';
+import { markupPct, exportColumns, exportRow, fetchHistory } from './comparison.js';
+import { parseDirection, solveSourceAmount } from './reverse-conversion.js';
+import { getBreaker } from './circuit-breaker.js';
+import { apiAccess, describeUsage } from './api-access.js';
+import { describeCurrencies, currencyError } from './currencies.js';
+import { openapiDocument } from './openapi.js';
+import { openapiValidator } from './openapi-validator.js';
+import { browserPoolHealth, closeBrowserPool } from './browser-pool.js';
+import { logger, withRequestContext, requestId } from './logger.js';
+import { renderMetrics, METRICS_CONTENT_TYPE, httpRequestDuration, historyDays, historyFilledDays } from './metrics.js';
+import { takeAmexSnapshots, startAmexSnapshotScheduler } from './amex-scraper.js';
+import { describeSnapshots } from './amex-snapshots.js';
+import { listWatches, getWatch, createWatch, updateWatch, deleteWatch, evaluateWatches, startWatchScheduler } from './watchlist.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -12,121 +29,317 @@ const __dirname = path.dirname(__filename);
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Proxies in front of the app, as a hop count (1) or their addresses (loopback, 10.0.0.0/8),
+// so per-IP limits see the client's address rather than the proxy's
+if (process.env.TRUST_PROXY) app.set('trust proxy', parseInt(process.env.TRUST_PROXY, 10) || process.env.TRUST_PROXY);
+
+// Card lookups in flight at once for /api/matrix, and the most quotes one request may ask for
+const MATRIX_CONCURRENCY = parseInt(process.env.MATRIX_CONCURRENCY || '4', 10) || 4;
+const MATRIX_MAX_QUOTES = 20;
+
+const INVALID_MID_POLICY = `Invalid midPolicy. Use: ${MID_POLICIES.slice(0, -1).join(', ')}, or ${MID_POLICIES[MID_POLICIES.length - 1]}`;
+
+// How often watches are checked; 0 turns the timer off (serverless deployments
+// have no long-lived process and call POST /api/watches/check from a cron instead)
+const WATCH_INTERVAL_MS = parseInt(process.env.WATCH_INTERVAL_MS ?? '300000', 10) || 0;
+
+// How often today's Amex variance tables are snapshotted (one per market per day is
+// kept); 0 turns the timer off, serverless deployments call POST /api/amex/snapshots
+const AMEX_SNAPSHOT_INTERVAL_MS = parseInt(process.env.AMEX_SNAPSHOT_INTERVAL_MS ?? '21600000', 10) || 0;
+
+// Time /api/history and /api/stats may spend fetching before answering with what it has (Vercel stops at 60s)
+const HISTORY_BUDGET_MS = parseInt(process.env.HISTORY_BUDGET_MS || '45000', 10) || 45000;
+
+// Interval of the comments /api/rates/stream sends while waiting on providers
+const SSE_KEEPALIVE_MS = parseInt(process.env.SSE_KEEPALIVE_MS || '15000', 10) || 15000;
+
+// On SIGTERM/SIGINT, how long in-flight requests get to finish before their connections are cut
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS || '10000', 10) || 10000;
+
+// Markets accepted by ?market=, from every provider that lists some
+const cardMarkets = () => [...new Set(getProviders().flatMap((p) => p.markets || []))];
+
+/**
+ * Query parameters the comparison routes share, validated in one place
+ * @typedef {Object} ComparisonQuery
+ * @property {string} date
+ * @property {string} base
+ * @property {string} [quote]
+ * @property {string[]} [quotes] - With `quotes: true`
+ * @property {number} amount
+ * @property {ReturnType<typeof parseFeeOptions>} feeOptions
+ * @property {string} midPolicy - Which business day stands in for a weekend or
+ *   holiday in the reference rate
+ * @property {string} [market] - Card market for providers whose rates depend on
+ *   where the card was issued
+ * @property {'forward'|'reverse'} direction
+ * @property {number|null} target
+ * @property {string} [format] - Export format, with `formats: true`
+ */
+
+/**
+ * Read and check the query of a comparison route. Currencies are checked
+ * against the ISO catalogue, and against `provider` on a single provider's
+ * route; routes comparing several providers let each report the pairs it
+ * does not cover.
+ * @param {import('express').Request} req
+ * @param {{ provider?: import('./providers.js').Provider, quotes?: boolean, reverse?: boolean, formats?: boolean }} [options]
+ *   quotes: a comma-separated `quotes` list instead of `quote`; reverse: accept
+ *   direction=reverse; formats: accept `format`
+ * @returns {{ error: string, status: number, details: Object } | ComparisonQuery}
+ */
+function parseComparisonQuery(req, { provider, quotes: multi = false, reverse = false, formats = false } = {}) {
+  const { date, base } = req.query;
+  const quotes = multi ? [...new Set(String(req.query.quotes || '').split(',').map((q) => q.trim()).filter(Boolean))] : [req.query.quote];
+  const invalid = (error, status = 400, details = {}) => ({ error, status, details });
+
+  if (!date || !base || quotes.length === 0 || !quotes.every(Boolean)) {
+    return invalid(`Missing required parameters: date, base, ${multi ? 'quotes' : 'quote'}`);
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return invalid('Invalid date format. Expected YYYY-MM-DD');
+  }
+  if (![base, ...quotes].every((c) => /^[A-Z]{3}$/.test(c))) {
+    return invalid('Invalid currency format. Expected 3-letter codes (e.g., EUR, JPY)');
+  }
+  const unsupported = currencyError([base, ...quotes], provider);
+  if (unsupported) {
+    return invalid(unsupported, 422, {
+      ...(provider ? { provider: provider.id } : {}),
+      base,
+      ...(multi ? { quotes } : { quote: quotes[0] })
+    });
+  }
+
+  const feeOptions = parseFeeOptions(req.query);
+  if (feeOptions.error) return invalid(feeOptions.error);
+
+  const midPolicy = req.query.midPolicy || 'previous';
+  if (!MID_POLICIES.includes(midPolicy)) return invalid(INVALID_MID_POLICY);
+
+  const market = req.query.market || undefined;
+  if (market !== undefined && !cardMarkets().includes(market)) {
+    return invalid(`Invalid market. Use one of: ${cardMarkets().join(', ')}`);
+  }
+
+  const format = formats ? req.query.format : undefined;
+  if (format !== undefined && !EXPORT_FORMATS.includes(format)) {
+    return invalid(`Invalid format. Use: ${EXPORT_FORMATS.slice(0, -1).join(', ')}, or ${EXPORT_FORMATS[EXPORT_FORMATS.length - 1]}`);
+  }
+
+  // Fees are a share of the amount, so 0 or less has no effective rate
+  const amount = parseFloat(req.query.amount || '1');
+  if (!(amount > 0) || !Number.isFinite(amount)) return invalid('Invalid amount. Expected a number above 0');
+
+  const conversion = reverse ? parseDirection(req.query) : { direction: 'forward', target: null };
+  if (conversion.error) return invalid(conversion.error);
+
+  return {
+    date,
+    base,
+    ...(multi ? { quotes } : { quote: quotes[0] }),
+    amount,
+    feeOptions,
+    midPolicy,
+    market,
+    direction: conversion.direction,
+    target: conversion.target,
+    format
+  };
+}
+
+/**
+ * Bring a parsed query's flat card fees into its quote currency (see
+ * convertFlatFees). A query parseComparisonQuery refused passes through.
+ * @param {ReturnType<typeof parseComparisonQuery>} query
+ * @returns {Promise<ReturnType<typeof parseComparisonQuery>>}
+ */
+async function convertQueryFees(query) {
+  if (query.error) return query;
+  const feeOptions = await convertFlatFees(query.feeOptions, { date: query.date, quote: query.quote, policy: query.midPolicy });
+  return feeOptions.error ? { error: feeOptions.error, status: 502, details: {} } : { ...query, feeOptions };
+}
+
+// Answer a request whose query parseComparisonQuery refused
+const sendQueryError = (res, query) => res.status(query.status).json({ error: query.error, ...query.details });
+
+/**
+ * The days /api/history and /api/stats cover: `days` of them (2 to 60, 30 by
+ * default) up to and including `date`
+ * @returns {{ numDays: number, start: string, end: string, labels: string[] }}
+ */
+function historyRange(date, days) {
+  const numDays = Math.max(2, Math.min(60, parseInt(days || '30', 10) || 30));
+  // Normalised, so 2023-02-30 counts back from 2023-03-02
+  const end = addDays(date, 0);
+  const start = addDays(end, -(numDays - 1));
+  return { numDays, start, end, labels: listDates(start, end) };
+}
+
+// Every log line written while handling a request, scrapers included, carries its reqId
+app.use((req, res, next) => {
+  const reqId = requestId(req.get('X-Request-Id'));
+  res.set('X-Request-Id', reqId);
+  withRequestContext({ reqId }, next);
+});
+
+// Requests still being answered, so shutdown can wait for them
+let inFlight = 0;
+let shuttingDown = false;
+app.use((req, res, next) => {
+  inFlight++;
+  res.on('close', () => inFlight--);
+  // Keep-alive clients reconnect elsewhere instead of reusing a closing socket
+  if (shuttingDown) res.set('Connection', 'close');
+  next();
+});
+
+// Labelled by route pattern (/api/rate/:provider), not by the raw URL
+app.use((req, res, next) => {
+  if (!req.path.startsWith('/api/') && req.path !== '/metrics') return next();
+  const t0 = process.hrtime.bigint();
+  res.on('finish', () => {
+    const route = req.route ? req.route.path : 'unmatched';
+    httpRequestDuration.observe({ method: req.method, route, status: res.statusCode }, Number(process.hrtime.bigint() - t0) / 1e9);
+  });
+  next();
+});
+
 app.use(express.static(path.join(__dirname, 'public')));
 
+// API keys and per-client budgets (see API_AUTH); 401 and 429 are answered here
+app.use(apiAccess());
+
+// Checks each /api request against its operation in openapi.js before the handler runs
+const validate = openapiValidator(openapiDocument);
+
+app.get('/metrics', (req, res) => {
+  res.type(METRICS_CONTENT_TYPE).send(renderMetrics());
+});
+
+app.get('/api/openapi.json', validate, (req, res) => {
+  res.json(openapiDocument);
+});
+
+app.get('/docs', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'docs.html'));
+});
+
 // Serve index.html for non-API routes (SPA fallback)
 app.get(/^(?!\/api).*/, (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-app.get('/api/rate/:provider', async (req, res) => {
+app.get('/api/usage', validate, (req, res) => {
+  res.json(describeUsage(req));
+});
+
+app.get('/api/providers', validate, (req, res) => {
+  res.json({ providers: getProviders().map(describeProvider) });
+});
+
+// Breaker state per provider, so clients can skip a network that is down
+app.get('/api/health', validate, (req, res) => {
+  const providers = Object.fromEntries(getProviders().map((p) => [p.id, getBreaker(p.id).snapshot()]));
+  const degraded = Object.values(providers).some((h) => h.state !== 'closed');
+  res.json({ status: degraded ? 'degraded' : 'ok', providers, browser: browserPoolHealth() });
+});
+
+app.get('/api/currencies', validate, (req, res) => {
+  res.json({ currencies: describeCurrencies(getProviders()) });
+});
+
+app.get('/api/fee-profiles', validate, (req, res) => {
+  res.json({ profiles: getFeeProfiles() });
+});
+
+app.get('/api/rate/:provider', validate, async (req, res) => {
   try {
     const { provider } = req.params;
-    const { date, base, quote } = req.query;
-    const amount = Math.max(0, parseFloat(req.query.amount || '1') || 1);
-    const reqId = Date.now() + '-' + Math.random().toString(36).slice(2, 7);
     const t0 = Date.now();
-    console.log(JSON.stringify({ event: 'rate_request', reqId, provider, date, base, quote, amount }));
+    logger.info('rate_request', { provider, date: req.query.date, base: req.query.base, quote: req.query.quote, amount: req.query.amount });
 
-    if (!date || !base || !quote) {
-      return res.status(400).json({
-        error: 'Missing required parameters: date, base, quote'
-      });
+    const rateProvider = getProvider(provider);
+    if (!rateProvider) {
+      const ids = getProviders().map((p) => p.id);
+      return res.status(400).json({ error: `Invalid provider. Use: ${ids.slice(0, -1).join(', ')}, or ${ids[ids.length - 1]}` });
     }
 
-    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
-      return res.status(400).json({
-        error: 'Invalid date format. Expected YYYY-MM-DD'
-      });
+    const query = await convertQueryFees(parseComparisonQuery(req, { provider: rateProvider, reverse: true }));
+    if (query.error) return sendQueryError(res, query);
+    const { date, base, quote, feeOptions, midPolicy, market, direction, target } = query;
+    let { amount } = query;
+    const yesterdayStr = addDays(date, -1);
+
+    // The lookups below then hit the cache for the amount solved for
+    if (direction === 'reverse') {
+      const solved = await solveSourceAmount(rateProvider, date, base, quote, target, { policy: midPolicy, market });
+      logger.info('rate_reverse_solved', { provider, date, base, quote, target, amount: solved.amount, lookups: solved.lookups });
+      if (solved.amount === null) {
+        return res.json({ provider, date, base, quote, direction, target, unavailable: true, reason: solved.lookup.reason, source: rateProvider.source });
+      }
+      amount = solved.amount;
     }
 
-    if (!/^[A-Z]{3}$/.test(base) || !/^[A-Z]{3}$/.test(quote)) {
-      return res.status(400).json({
-        error: 'Invalid currency format. Expected 3-letter codes (e.g., EUR, JPY)'
+    const source = rateProvider.source;
+    let rate;
+    let reason;
+    let asOf = date;
+    let details = null;
+    if (rateProvider.getQuote) {
+      try {
+        ({ rate, asOf } = await rateProvider.getQuote(date, base, quote, { policy: midPolicy }));
+      } catch (error) {
+        if (error.code !== 'ENOMIDRATE') throw error;
+        logger.info('rate_unavailable', { provider, date, base, quote, midPolicy, reason: error.message });
+        return res.status(422).json({ error: error.message, provider, date, base, quote, midPolicy });
+      }
+    } else if (rateProvider.kind === 'reference') {
+      rate = await rateProvider.getRate(date, base, quote, amount);
+    } else {
+      const lookup = rateProvider.getRateDetails
+        ? rateProvider.getRateDetails(date, base, quote, amount, { market, policy: midPolicy })
+        : rateProvider.getRate(date, base, quote, amount, { market, policy: midPolicy }).then((r) => (r === null ? null : { rate: r }));
+      const found = await lookup.catch((e) => {
+        logger.warn(`${provider}_error`, { message: e.message, code: e.code });
+        if (e.code === 'ENOMIDRATE') reason = e.message;
+        else if (e.code === 'ECIRCUITOPEN') reason = `${rateProvider.shortName} API unavailable (${e.message})`;
+        else reason = `${rateProvider.shortName} API unavailable`;
+        return null;
       });
-    }
-
-    const yesterday = new Date(date + 'T00:00:00Z');
-    yesterday.setUTCDate(yesterday.getUTCDate() - 1);
-    const yesterdayStr = yesterday.toISOString().split('T')[0];
-
-    let rate, yesterdayRate, source;
-
-    switch(provider) {
-      case 'mid':
-        rate = await getMidMarketRate(date, base, quote, amount);
-        yesterdayRate = await getMidMarketRate(yesterdayStr, base, quote, amount).catch(() => null);
-        source = 'ECB via Frankfurter';
-        break;
-      case 'mc':
-        rate = await getMastercardRate(date, base, quote, amount).catch((e) => {
-          console.error(JSON.stringify({ event: 'mc_error', reqId, message: e.message, stack: e.stack }));
-          return null;
-        });
-        if (rate === null) {
-          const durationMs = Date.now() - t0;
-          console.log(JSON.stringify({ event: 'rate_unavailable', reqId, provider: 'mc', date, base, quote, amount, durationMs }));
-          return res.json({
-            provider,
-            date,
-            base,
-            quote,
-            unavailable: true,
-            reason: 'Mastercard API unavailable',
-            source: 'Mastercard'
-          });
-        }
-        yesterdayRate = await getMastercardRate(yesterdayStr, base, quote, amount).catch(() => null);
-        source = 'Mastercard';
-        break;
-      case 'visa':
-        rate = await getVisaRate(date, base, quote, amount).catch((e) => {
-          console.error(JSON.stringify({ event: 'visa_error', reqId, message: e.message, stack: e.stack }));
-          return null;
+      if (found) {
+        ({ rate, ...details } = found);
+      } else {
+        rate = null;
+      }
+      if (rate === null) {
+        const durationMs = Date.now() - t0;
+        logger.info('rate_unavailable', { provider, date, base, quote, amount, durationMs });
+        return res.json({
+          provider,
+          date,
+          base,
+          quote,
+          unavailable: true,
+          reason: reason || `Currency pair not supported by ${rateProvider.shortName} API`,
+          source
         });
-        if (rate === null) {
-          const durationMs = Date.now() - t0;
-          console.log(JSON.stringify({ event: 'rate_unavailable', reqId, provider: 'visa', date, base, quote, amount, durationMs }));
-          return res.json({
-            provider,
-            date,
-            base,
-            quote,
-            unavailable: true,
-            reason: 'Visa API unavailable',
-            source: 'Visa'
-          });
-        }
-        yesterdayRate = await getVisaRate(yesterdayStr, base, quote, amount).catch(() => null);
-        source = 'Visa';
-        break;
-      case 'amex':
-        rate = await getAmexRate(date, base, quote, amount);
-        if (rate === null) {
-          const durationMs = Date.now() - t0;
-          console.log(JSON.stringify({ event: 'rate_unavailable', reqId, provider: 'amex', date, base, quote, amount, durationMs }));
-          return res.json({
-            provider,
-            date,
-            base,
-            quote,
-            unavailable: true,
-            reason: 'Currency pair not supported by Amex API',
-            source: 'American Express'
-          });
-        }
-        yesterdayRate = await getAmexRate(yesterdayStr, base, quote, amount).catch(() => null);
-        source = 'American Express';
-        break;
-      default:
-        return res.status(400).json({ error: 'Invalid provider. Use: mid, mc, visa, or amex' });
+      }
     }
+    const yesterdayRate = await (rateProvider.getQuote
+      ? rateProvider.getQuote(yesterdayStr, base, quote, { policy: midPolicy }).then((q) => q.rate)
+      : rateProvider.getRate(yesterdayStr, base, quote, amount, { market, policy: midPolicy })
+    ).catch(() => null);
 
     const dayDeltaPct = yesterdayRate ? ((rate - yesterdayRate) / yesterdayRate) * 100 : null;
     const converted = rate * amount;
+    // Issuer fees apply to card networks only, never to the reference rate
+    const fees = rateProvider.kind === 'network' ? applyFees(rate, amount, feeOptions.forProvider(provider)) : null;
+    const effectiveRate = fees ? fees.effectiveRate : rate;
+    const effectiveConverted = fees ? fees.effectiveConverted : converted;
 
     const durationMs = Date.now() - t0;
-    console.log(JSON.stringify({ event: 'rate_success', reqId, provider, date, base, quote, amount, rate, converted, dayDeltaPct, durationMs, source }));
+    logger.info('rate_success', { provider, date, base, quote, amount, rate, converted, effectiveRate, dayDeltaPct, durationMs, source });
 
     res.json({
       provider,
@@ -136,12 +349,18 @@ app.get('/api/rate/:provider', async (req, res) => {
       rate,
       amount,
       converted,
+      effectiveRate,
+      effectiveConverted,
+      fees,
       dayDeltaPct,
+      ...(direction === 'reverse' ? { direction, target } : {}),
+      ...(rateProvider.kind === 'reference' ? { midAsOf: asOf } : {}),
+      ...details,
       source
     });
 
   } catch (error) {
-    console.error(JSON.stringify({ event: 'rate_error', message: error.message, stack: error.stack }));
+    logger.error('rate_error', { message: error.message, stack: error.stack });
     res.status(500).json({
       error: 'Failed to fetch rate',
       details: error.message
@@ -149,232 +368,650 @@ app.get('/api/rate/:provider', async (req, res) => {
   }
 });
 
-app.get('/api/rates', async (req, res) => {
+app.get('/api/rates', validate, async (req, res) => {
   try {
-    const { date, base, quote } = req.query;
-    const amount = Math.max(0, parseFloat(req.query.amount || '1') || 1);
-    const reqId = Date.now() + '-' + Math.random().toString(36).slice(2, 7);
     const t0 = Date.now();
-    console.log(JSON.stringify({ event: 'rates_request', reqId, date, base, quote, amount }));
-
-    if (!date || !base || !quote) {
-      return res.status(400).json({
-        error: 'Missing required parameters: date, base, quote'
-      });
+    logger.info('rates_request', { date: req.query.date, base: req.query.base, quote: req.query.quote, amount: req.query.amount });
+
+    const query = await convertQueryFees(parseComparisonQuery(req, { reverse: true, formats: true }));
+    if (query.error) return sendQueryError(res, query);
+    const { date, base, quote, amount, feeOptions, midPolicy, market, direction, target, format } = query;
+    const yesterdayStr = addDays(date, -1);
+
+    const providers = getProviders();
+    const reference = getReferenceProvider();
+    // Each lookup has its own timeout budget, so one slow network cannot hold the others back
+    const fetched = await Promise.all(providers.map(async (p) => {
+      if (direction === 'forward') {
+        return Promise.all([
+          fetchProviderRate(p, date, base, quote, amount, { policy: midPolicy, market }),
+          fetchProviderRate(p, yesterdayStr, base, quote, amount, { policy: midPolicy, market }),
+          amount
+        ]);
+      }
+      // Yesterday is priced at the amount that reaches the target today, when there is one
+      const solved = await solveSourceAmount(p, date, base, quote, target, { policy: midPolicy, market });
+      const yesterdayLookup = solved.amount === null
+        ? { rate: null }
+        : await fetchProviderRate(p, yesterdayStr, base, quote, solved.amount, { policy: midPolicy, market });
+      return [solved.lookup, yesterdayLookup, solved.amount];
+    }));
+
+    const results = {};
+    const yesterdayRates = {};
+    const amounts = {};
+    providers.forEach((p, i) => {
+      results[p.id] = fetched[i][0];
+      yesterdayRates[p.id] = fetched[i][1].rate;
+      amounts[p.id] = fetched[i][2];
+    });
+    const mid = results[reference.id].rate;
+
+    // In reverse mode amount is what the reference rate needs for the target
+    const body = direction === 'forward'
+      ? { date, base, quote, amount, midAsOf: results[reference.id].asOf }
+      : { date, base, quote, amount: amounts[reference.id], direction, target, amounts, midAsOf: results[reference.id].asOf };
+    const converted = {};
+    const effective = {};
+    const fees = {};
+    const deltas = {};
+    const sources = {};
+    const status = {};
+    const details = {};
+    for (const p of providers) {
+      const { rate, status: state, reason, latencyMs, cached } = results[p.id];
+      if (results[p.id].details) details[p.id] = results[p.id].details;
+      const yesterdayRate = yesterdayRates[p.id];
+      const failed = rate === null;
+      const dayDeltaPct = (failed || !yesterdayRate) ? null : ((rate - yesterdayRate) / yesterdayRate) * 100;
+
+      body[p.id] = rate;
+      converted[p.id] = failed ? null : rate * amounts[p.id];
+      sources[p.id] = p.source;
+      status[p.id] = { status: state, reason, latencyMs, cached };
+      if (p.kind === 'reference') {
+        effective[p.id] = rate;
+        deltas[`${p.id}DeltaPct`] = dayDeltaPct;
+      } else {
+        const withFees = failed ? null : applyFees(rate, amounts[p.id], feeOptions.forProvider(p.id));
+        body[`${p.id}Unavailable`] = failed;
+        effective[p.id] = withFees ? withFees.effectiveRate : null;
+        fees[p.id] = withFees;
+        // Network markup and the fee-inclusive cost are reported separately
+        deltas[`${p.id}DeltaPct`] = (failed || mid === null) ? null : ((rate - mid) / mid) * 100;
+        deltas[`${p.id}EffectiveDeltaPct`] = (failed || mid === null) ? null : ((withFees.effectiveRate - mid) / mid) * 100;
+        deltas[`${p.id}DayDeltaPct`] = dayDeltaPct;
+      }
     }
 
-    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
-      return res.status(400).json({
-        error: 'Invalid date format. Expected YYYY-MM-DD'
-      });
+    const have = Object.fromEntries(providers.map((p) => [p.id, results[p.id].status]));
+    const durationMs = Date.now() - t0;
+
+    if (providers.every((p) => results[p.id].rate === null)) {
+      logger.info('rates_unavailable', { date, base, quote, amount, have, durationMs });
+      return res.status(502).json({ error: 'Failed to fetch rates', details: 'No provider returned a rate', status });
     }
 
-    if (!/^[A-Z]{3}$/.test(base) || !/^[A-Z]{3}$/.test(quote)) {
-      return res.status(400).json({
-        error: 'Invalid currency format. Expected 3-letter codes (e.g., EUR, JPY)'
-      });
+    logger.info('rates_success', { date, base, quote, amount, have, durationMs });
+
+    if (format) {
+      const row = exportRow(date, providers, (p) => ({
+        rate: results[p.id].rate,
+        effectiveRate: effective[p.id],
+        asOf: results[p.id].asOf,
+        filled: results[p.id].asOf !== null && results[p.id].asOf !== date
+      }));
+      return sendExport(res, format, `rates-${base}${quote}-${date}`, exportColumns(providers), [row]);
     }
 
-    const yesterday = new Date(date + 'T00:00:00Z');
-    yesterday.setUTCDate(yesterday.getUTCDate() - 1);
-    const yesterdayStr = yesterday.toISOString().split('T')[0];
-
-    const [mid, mc, visa, amex, midYesterday, mcYesterday, visaYesterday, amexYesterday] = await Promise.all([
-      getMidMarketRate(date, base, quote, amount),
-      getMastercardRate(date, base, quote, amount),
-      getVisaRate(date, base, quote, amount),
-      getAmexRate(date, base, quote, amount),
-      getMidMarketRate(yesterdayStr, base, quote, amount).catch(() => null),
-      getMastercardRate(yesterdayStr, base, quote, amount).catch(() => null),
-      getVisaRate(yesterdayStr, base, quote, amount).catch(() => null),
-      getAmexRate(yesterdayStr, base, quote, amount).catch(() => null)
-    ]);
-
-    // Check if Amex rate is unavailable (null means unsupported currency pair)
-    const amexUnavailable = amex === null;
-
-    const mcDeltaPct = ((mc - mid) / mid) * 100;
-    const visaDeltaPct = ((visa - mid) / mid) * 100;
-    const amexDeltaPct = amexUnavailable ? null : ((amex - mid) / mid) * 100;
-
-    const converted = {
-      mid: mid * amount,
-      mc: mc * amount,
-      visa: visa * amount,
-      amex: amexUnavailable ? null : amex * amount
-    };
+    res.json({
+      ...body,
+      converted,
+      effective,
+      fees,
+      ...deltas,
+      sources,
+      status,
+      details
+    });
+
+  } catch (error) {
+    logger.error('rates_error', { message: error.message, stack: error.stack });
+    res.status(500).json({
+      error: 'Failed to fetch rates',
+      details: error.message
+    });
+  }
+});
 
-    const midDeltaPct = midYesterday ? ((mid - midYesterday) / midYesterday) * 100 : null;
-    const mcDayDeltaPct = mcYesterday ? ((mc - mcYesterday) / mcYesterday) * 100 : null;
-    const visaDayDeltaPct = visaYesterday ? ((visa - visaYesterday) / visaYesterday) * 100 : null;
-    const amexDayDeltaPct = (amexUnavailable || !amexYesterday) ? null : ((amex - amexYesterday) / amexYesterday) * 100;
+// One provider's result as streamed by /api/rates/stream: the shape of
+// /api/rate/:provider plus how the lookup went and the markup over the reference
+function streamedRate(provider, today, yesterday, mid, { date, base, quote, amount, direction, target, feeOptions }) {
+  const { rate, status, reason, latencyMs, cached } = today;
+  const event = {
+    provider: provider.id, date, base, quote, amount, status, reason, latencyMs, cached, source: provider.source,
+    ...(direction === 'reverse' ? { direction, target } : {})
+  };
+  if (rate === null) return { ...event, unavailable: true };
+
+  const fees = provider.kind === 'network' ? applyFees(rate, amount, feeOptions.forProvider(provider.id)) : null;
+  const effectiveRate = fees ? fees.effectiveRate : rate;
+  return {
+    ...event,
+    rate,
+    converted: rate * amount,
+    effectiveRate,
+    effectiveConverted: effectiveRate * amount,
+    fees,
+    dayDeltaPct: yesterday.rate ? ((rate - yesterday.rate) / yesterday.rate) * 100 : null,
+    markupPct: provider.kind === 'network' ? markupPct(rate, mid) : null,
+    effectiveMarkupPct: provider.kind === 'network' ? markupPct(effectiveRate, mid) : null,
+    ...(provider.kind === 'reference' ? { midAsOf: today.asOf } : {}),
+    ...today.details
+  };
+}
+
+app.get('/api/rates/stream', validate, async (req, res) => {
+  const t0 = Date.now();
+  logger.info('rates_stream_request', { date: req.query.date, base: req.query.base, quote: req.query.quote, amount: req.query.amount });
+
+  const query = await convertQueryFees(parseComparisonQuery(req, { reverse: true }));
+  if (query.error) return sendQueryError(res, query);
+  const { date, base, quote, amount, feeOptions, midPolicy, market, direction, target } = query;
+
+  res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'X-Accel-Buffering': 'no' });
+  res.flushHeaders();
+  let aborted = false;
+  // Comments keep proxies from closing the connection while a slow network is pending
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), SSE_KEEPALIVE_MS);
+  res.on('close', () => {
+    clearInterval(keepAlive);
+    if (!res.writableEnded) aborted = true;
+  });
+  const send = (event, data) => {
+    if (!aborted) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
 
+  try {
+    const yesterdayStr = addDays(date, -1);
+    const providers = getProviders();
+    const reference = getReferenceProvider();
+    const options = { policy: midPolicy, market };
+    // Today and yesterday are looked up side by side (in reverse mode yesterday
+    // waits for the amount solved today); a network's event also waits for the
+    // reference rate, which its markup is measured against
+    const lookups = Object.fromEntries(providers.map((p) => [p.id, direction === 'forward'
+      ? Promise.all([
+        fetchProviderRate(p, date, base, quote, amount, options),
+        fetchProviderRate(p, yesterdayStr, base, quote, amount, options),
+        amount
+      ])
+      : solveSourceAmount(p, date, base, quote, target, options).then(async (solved) => [
+        solved.lookup,
+        solved.amount === null ? { rate: null } : await fetchProviderRate(p, yesterdayStr, base, quote, solved.amount, options),
+        solved.amount
+      ])]));
+    const results = {};
+    await Promise.all(providers.map(async (p) => {
+      const [today, previous, solvedAmount] = await lookups[p.id];
+      const [mid] = await lookups[reference.id];
+      results[p.id] = streamedRate(p, today, previous, mid.rate, { date, base, quote, amount: solvedAmount, direction, target, feeOptions });
+      send('rate', results[p.id]);
+    }));
+
+    // The best rate wins, fees included; networks win ties against the reference
+    const ranking = providers
+      .filter((p) => results[p.id].rate !== undefined)
+      .sort((a, b) => (results[b.id].effectiveRate - results[a.id].effectiveRate) || ((a.kind === 'reference') - (b.kind === 'reference')))
+      .map((p) => p.id);
+    const unavailable = providers.filter((p) => results[p.id].unavailable).map((p) => p.id);
     const durationMs = Date.now() - t0;
-    console.log(JSON.stringify({ event: 'rates_success', reqId, date, base, quote, amount, have: { mid: !!mid, mc: !!mc, visa: !!visa, amex: amex !== null }, durationMs }));
+    logger.info('rates_stream_success', { date, base, quote, amount, winner: ranking[0] || null, unavailable, aborted, durationMs });
 
-    res.json({
+    send('summary', {
       date,
       base,
       quote,
-      amount,
-      mid,
-      mc,
-      visa,
-      amex: amexUnavailable ? null : amex,
-      amexUnavailable,
-      converted,
-      mcDeltaPct,
-      visaDeltaPct,
-      amexDeltaPct,
-      midDeltaPct,
-      mcDayDeltaPct,
-      visaDayDeltaPct,
-      amexDayDeltaPct,
-      sources: {
-        mid: 'ECB via Frankfurter',
-        mc: 'Mastercard',
-        visa: 'Visa',
-        amex: 'American Express'
-      }
+      // In reverse mode, what the reference rate needs for the target
+      amount: direction === 'forward' ? amount : results[reference.id].amount,
+      ...(direction === 'reverse' ? { direction, target } : {}),
+      midAsOf: results[reference.id].midAsOf || null,
+      winner: ranking[0] || null,
+      ranking,
+      unavailable,
+      durationMs
+    });
+  } catch (error) {
+    logger.error('rates_stream_error', { message: error.message, stack: error.stack });
+    send('error', { error: 'Failed to fetch rates', details: error.message });
+  }
+  res.end();
+});
+
+app.get('/api/history', validate, async (req, res) => {
+  try {
+    const t0 = Date.now();
+    logger.info('history_request', { date: req.query.date, base: req.query.base, quote: req.query.quote, days: req.query.days });
+
+    const query = await convertQueryFees(parseComparisonQuery(req, { formats: true }));
+    if (query.error) return sendQueryError(res, query);
+    const { date, base, quote, amount, feeOptions, midPolicy, market, format } = query;
+    const { numDays, start: startStr, end: endStr, labels } = historyRange(date, req.query.days);
+
+    const providers = getProviders();
+    const reference = getReferenceProvider();
+    const { series, effectiveSeries, midAsOf, filled, estimated, missing, unsupported, partial, sources } = await fetchHistory({
+      start: startStr, end: endStr, labels, base, quote, midPolicy, market, amount, feeOptions, deadline: t0 + HISTORY_BUDGET_MS
     });
+    for (const p of providers) {
+      historyDays.inc({ provider: p.id }, labels.length);
+      historyFilledDays.inc({ provider: p.id }, filled[p.id].filter(Boolean).length);
+    }
+
+    // A series with no values at all has no average (rather than NaN)
+    const average = (values) => {
+      const present = values.filter((v) => v !== null);
+      return present.length > 0 ? present.reduce((a, b) => a + b, 0) / present.length : null;
+    };
+    const midAvg = average(series[reference.id]);
+    const avgDeltas = {};
+    for (const p of providers) {
+      if (p.kind === 'reference') continue;
+      avgDeltas[`${p.id}AvgDeltaPct`] = markupPct(average(series[p.id]), midAvg);
+      avgDeltas[`${p.id}AvgEffectiveDeltaPct`] = markupPct(average(effectiveSeries[p.id]), midAvg);
+    }
+
+    const durationMs = Date.now() - t0;
+    logger.info('history_success', { date, base, quote, days: numDays, points: labels.length, partial, missing, durationMs });
+
+    if (format) {
+      const rows = labels.map((d, i) => exportRow(d, providers, (p) => ({
+        rate: series[p.id][i],
+        effectiveRate: effectiveSeries[p.id] ? effectiveSeries[p.id][i] : null,
+        asOf: midAsOf[i],
+        filled: filled[p.id][i]
+      })));
+      return sendExport(res, format, `history-${base}${quote}-${startStr}-${endStr}`, exportColumns(providers), rows);
+    }
 
+    res.json({
+      base,
+      quote,
+      start: startStr,
+      end: endStr,
+      labels,
+      series,
+      effectiveSeries,
+      ...avgDeltas,
+      midAsOf,
+      filled,
+      estimated,
+      partial,
+      missing,
+      unsupported,
+      sources
+    });
   } catch (error) {
-    console.error(JSON.stringify({ event: 'rates_error', message: error.message, stack: error.stack }));
-    res.status(500).json({
-      error: 'Failed to fetch rates',
-      details: error.message
+    logger.error('history_error', { message: error.message, stack: error.stack });
+    res.status(500).json({ error: 'Failed to fetch history', details: error.message });
+  }
+});
+
+app.get('/api/stats', validate, async (req, res) => {
+  try {
+    const t0 = Date.now();
+    logger.info('stats_request', { date: req.query.date, base: req.query.base, quote: req.query.quote, days: req.query.days });
+
+    const query = await convertQueryFees(parseComparisonQuery(req));
+    if (query.error) return sendQueryError(res, query);
+    const { date, base, quote, amount, feeOptions, midPolicy, market } = query;
+    const { numDays, start: startStr, end: endStr, labels } = historyRange(date, req.query.days);
+
+    const reference = getReferenceProvider();
+    const { series, effectiveSeries, missing, unsupported, partial, sources } = await fetchHistory({
+      start: startStr, end: endStr, labels, base, quote, midPolicy, market, amount, feeOptions, deadline: t0 + HISTORY_BUDGET_MS
+    });
+    // Fee-inclusive, so a card's issuer fee counts towards its markup
+    const { comparedDays, providers } = markupStats(labels, series[reference.id], effectiveSeries);
+
+    const durationMs = Date.now() - t0;
+    logger.info('stats_success', { date, base, quote, days: numDays, comparedDays, partial, durationMs });
+
+    res.json({
+      base,
+      quote,
+      start: startStr,
+      end: endStr,
+      days: labels.length,
+      comparedDays,
+      providers,
+      partial,
+      missing,
+      unsupported,
+      sources
     });
+  } catch (error) {
+    logger.error('stats_error', { message: error.message, stack: error.stack });
+    res.status(500).json({ error: 'Failed to compute stats', details: error.message });
   }
 });
 
-app.get('/api/history', async (req, res) => {
+app.get('/api/matrix', validate, async (req, res) => {
   try {
-    const { date, base, quote, days } = req.query;
-    const reqId = Date.now() + '-' + Math.random().toString(36).slice(2, 7);
     const t0 = Date.now();
-    console.log(JSON.stringify({ event: 'history_request', reqId, date, base, quote, days }));
+    logger.info('matrix_request', { date: req.query.date, base: req.query.base, quotes: req.query.quotes, providers: req.query.providers, amount: req.query.amount });
 
-    if (!date || !base || !quote) {
-      return res.status(400).json({
-        error: 'Missing required parameters: date, base, quote'
-      });
+    const query = parseComparisonQuery(req, { quotes: true });
+    if (query.error) return sendQueryError(res, query);
+    const { date, base, quotes, amount, midPolicy, market } = query;
+
+    if (quotes.length > MATRIX_MAX_QUOTES) {
+      return res.status(400).json({ error: `Too many quotes. At most ${MATRIX_MAX_QUOTES} per request` });
     }
 
-    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
-      return res.status(400).json({ error: 'Invalid date format. Expected YYYY-MM-DD' });
+    const reference = getReferenceProvider();
+    const requested = req.query.providers
+      ? String(req.query.providers).split(',').map((id) => id.trim()).filter(Boolean)
+      : getNetworkProviders().map((p) => p.id);
+    const unknown = requested.filter((id) => !getProvider(id));
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Invalid provider: ${unknown.join(', ')}` });
+    }
+    // The reference rate is always part of the matrix as the baseline
+    const networks = requested.map(getProvider).filter((p) => p.kind === 'network');
+
+    const yesterdayStr = addDays(date, -1);
+    // Only the quotes the reference covers are asked for; the rest get its reason
+    const midQuotes = quotes.filter((quote) => !unsupportedReason(reference, [base, quote]));
+    const [midToday, midYesterday] = midQuotes.length === 0
+      ? [{ rates: {}, asOf: {} }, { rates: {} }]
+      : await Promise.all([
+        reference.getRates(date, base, midQuotes, { policy: midPolicy }),
+        reference.getRates(yesterdayStr, base, midQuotes, { policy: midPolicy }).catch(() => ({ rates: {} }))
+      ]);
+
+    const tasks = quotes.flatMap((quote) => networks.map((provider) => ({ quote, provider })));
+    const fetched = await mapWithConcurrency(tasks, MATRIX_CONCURRENCY, ({ quote, provider }) => Promise.all([
+      fetchProviderRate(provider, date, base, quote, amount, { market, policy: midPolicy }),
+      fetchProviderRate(provider, yesterdayStr, base, quote, amount, { market, policy: midPolicy })
+    ]));
+
+    const dayDelta = (rate, previous) => ((rate === null || !previous) ? null : ((rate - previous) / previous) * 100);
+    const rows = [];
+    for (const quote of quotes) {
+      const mid = midToday.rates[quote] ?? null;
+      rows.push({
+        quote,
+        provider: reference.id,
+        rate: mid,
+        converted: mid === null ? null : mid * amount,
+        markupPct: mid === null ? null : 0,
+        dayDeltaPct: dayDelta(mid, midYesterday.rates[quote]),
+        status: mid === null ? 'unavailable' : 'ok',
+        reason: mid === null ? unsupportedReason(reference, [base, quote]) || `No ${reference.shortName} rate for this pair and date` : null,
+        midAsOf: midToday.asOf[quote] ?? null
+      });
+      tasks.forEach((task, i) => {
+        if (task.quote !== quote) return;
+        const [today, yesterday] = fetched[i];
+        rows.push({
+          quote,
+          provider: task.provider.id,
+          rate: today.rate,
+          converted: today.rate === null ? null : today.rate * amount,
+          markupPct: (today.rate === null || mid === null) ? null : ((today.rate - mid) / mid) * 100,
+          dayDeltaPct: dayDelta(today.rate, yesterday.rate),
+          status: today.status,
+          reason: today.reason,
+          ...today.details
+        });
+      });
     }
 
-    if (!/^[A-Z]{3}$/.test(base) || !/^[A-Z]{3}$/.test(quote)) {
+    const durationMs = Date.now() - t0;
+    logger.info('matrix_success', { date, base, quotes: quotes.length, providers: networks.length, durationMs });
+
+    res.json({
+      date,
+      base,
+      amount,
+      quotes,
+      providers: [reference.id, ...networks.map((p) => p.id)],
+      rows,
+      sources: Object.fromEntries([reference, ...networks].map((p) => [p.id, p.source]))
+    });
+  } catch (error) {
+    logger.error('matrix_error', { message: error.message, stack: error.stack });
+    res.status(500).json({ error: 'Failed to fetch matrix', details: error.message });
+  }
+});
+
+// Statement CSV comes either as the raw body (mapping etc. in the query string)
+// or as JSON: { csv, mapping: { date: 'Posting Date', ... }, dateFormat, decimal, midPolicy, market }
+app.post('/api/reconcile', express.json({ limit: '2mb' }), express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }), validate, async (req, res) => {
+  try {
+    const options = typeof req.body === 'string' ? { ...req.query, csv: req.body } : { ...req.query, ...req.body };
+    const t0 = Date.now();
+    logger.info('reconcile_request', { bytes: options.csv ? String(options.csv).length : 0, mapping: options.mapping });
+
+    if (!options.csv) {
       return res.status(400).json({
-        error: 'Invalid currency format. Expected 3-letter codes (e.g., EUR, JPY)'
+        error: 'Missing statement. Send the CSV as text/csv, or as JSON { csv, mapping }'
       });
     }
 
-    const numDays = Math.max(2, Math.min(60, parseInt(days || '30', 10) || 30));
+    const midPolicy = options.midPolicy || 'previous';
+    if (!MID_POLICIES.includes(midPolicy)) {
+      return res.status(400).json({ error: INVALID_MID_POLICY });
+    }
 
-    const end = new Date(date + 'T00:00:00Z');
-    const start = new Date(end);
-    start.setUTCDate(start.getUTCDate() - (numDays - 1));
+    // Card market for providers whose rates depend on where the card was issued
+    const market = options.market || undefined;
+    if (market !== undefined && !cardMarkets().includes(market)) {
+      return res.status(400).json({ error: `Invalid market. Use one of: ${cardMarkets().join(', ')}` });
+    }
 
-    function fmt(d) {
-      const y = d.getUTCFullYear();
-      const m = String(d.getUTCMonth() + 1).padStart(2, '0');
-      const day = String(d.getUTCDate()).padStart(2, '0');
-      return `${y}-${m}-${day}`;
+    const parsed = parseStatement(String(options.csv), {
+      mapping: options.mapping && typeof options.mapping === 'object' ? options.mapping : {},
+      dateFormat: options.dateFormat || undefined,
+      decimal: options.decimal === ',' ? ',' : '.',
+      delimiter: options.delimiter || undefined
+    });
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
     }
 
-    const startStr = fmt(start);
-    const endStr = fmt(end);
+    const { transactions, totals } = await reconcileStatement(parsed.transactions, { midPolicy, market });
+
+    const durationMs = Date.now() - t0;
+    logger.info('reconcile_success', { lines: transactions.length, invalid: transactions.filter((t) => t.status === 'invalid').length, durationMs });
+
+    res.json({
+      midPolicy,
+      transactions,
+      totals,
+      sources: Object.fromEntries(getProviders().map((p) => [p.id, p.source]))
+    });
+  } catch (error) {
+    logger.error('reconcile_error', { message: error.message, stack: error.stack });
+    res.status(500).json({ error: 'Failed to reconcile statement', details: error.message });
+  }
+});
+
+// Expected trip expenses priced with each card: { homeCurrency, expenses, cards, midPolicy, market }
+app.post('/api/plan', express.json({ limit: '1mb' }), validate, async (req, res) => {
+  try {
+    const t0 = Date.now();
+    const options = req.body || {};
+    logger.info('plan_request', { expenses: Array.isArray(options.expenses) ? options.expenses.length : 0, cards: Array.isArray(options.cards) ? options.cards.length : 0 });
 
-    const labels = [];
-    const cursor = new Date(start);
-    while (cursor <= end) {
-      labels.push(fmt(cursor));
-      cursor.setUTCDate(cursor.getUTCDate() + 1);
+    const plan = parsePlan(options);
+    if (plan.error) {
+      return res.status(400).json({ error: plan.error });
     }
 
-    const [midMap, mcSeriesRaw, visaSeriesRaw, amexSeriesRaw] = await Promise.all([
-      getMidMarketSeries(startStr, endStr, base, quote),
-      getMastercardSeries(startStr, endStr, base, quote),
-      getVisaSeries(startStr, endStr, base, quote),
-      getAmexSeries(startStr, endStr, base, quote)
-    ]);
-
-    const midSeries = [];
-    let firstKnown = null;
-    for (let i = 0; i < labels.length; i++) {
-      const d = labels[i];
-      if (midMap.has(d)) {
-        firstKnown = midMap.get(d);
-        break;
-      }
+    const unsupported = currencyError([plan.homeCurrency, ...plan.expenses.map((e) => e.currency), ...plan.cards.map((c) => c.feeCurrency)]);
+    if (unsupported) {
+      return res.status(422).json({ error: unsupported });
     }
-    let last = firstKnown;
-    for (let i = 0; i < labels.length; i++) {
-      const d = labels[i];
-      if (midMap.has(d)) {
-        last = midMap.get(d);
-      }
-      midSeries.push(last);
+
+    const midPolicy = options.midPolicy || 'previous';
+    if (!MID_POLICIES.includes(midPolicy)) {
+      return res.status(400).json({ error: INVALID_MID_POLICY });
     }
 
-    const mcSeries = mcSeriesRaw;
-    const visaSeries = visaSeriesRaw;
-    const amexSeries = amexSeriesRaw;
+    // Card market for providers whose rates depend on where the card was issued
+    const market = options.market || undefined;
+    if (market !== undefined && !cardMarkets().includes(market)) {
+      return res.status(400).json({ error: `Invalid market. Use one of: ${cardMarkets().join(', ')}` });
+    }
 
-    const midAvg = midSeries.filter(v => v !== null).reduce((a, b) => a + b, 0) / midSeries.filter(v => v !== null).length;
-    const mcAvg = mcSeries.filter(v => v !== null).reduce((a, b) => a + b, 0) / mcSeries.filter(v => v !== null).length;
-    const visaAvg = visaSeries.filter(v => v !== null).reduce((a, b) => a + b, 0) / visaSeries.filter(v => v !== null).length;
-    const amexAvg = amexSeries.filter(v => v !== null).reduce((a, b) => a + b, 0) / amexSeries.filter(v => v !== null).length;
-    const mcAvgDeltaPct = ((mcAvg - midAvg) / midAvg) * 100;
-    const visaAvgDeltaPct = ((visaAvg - midAvg) / midAvg) * 100;
-    const amexAvgDeltaPct = ((amexAvg - midAvg) / midAvg) * 100;
+    const result = await planTrip(plan, { midPolicy, market });
 
     const durationMs = Date.now() - t0;
-    console.log(JSON.stringify({ event: 'history_success', reqId, date, base, quote, days: numDays, points: labels.length, durationMs }));
+    logger.info('plan_success', { expenses: plan.expenses.length, cards: plan.cards.length, bestSingleCard: result.optimal.bestSingleCard, savings: result.optimal.savings, durationMs });
 
     res.json({
-      base,
-      quote,
-      start: startStr,
-      end: endStr,
-      labels,
-      series: {
-        mid: midSeries,
-        mc: mcSeries,
-        visa: visaSeries,
-        amex: amexSeries
-      },
-      mcAvgDeltaPct,
-      visaAvgDeltaPct,
-      amexAvgDeltaPct,
-      sources: {
-        mid: 'ECB via Frankfurter (timeseries)',
-        mc: 'Mastercard',
-        visa: 'Visa',
-        amex: 'American Express'
-      }
+      midPolicy,
+      ...result,
+      sources: Object.fromEntries(getProviders().map((p) => [p.id, p.source]))
     });
   } catch (error) {
-    console.error(JSON.stringify({ event: 'history_error', message: error.message, stack: error.stack }));
-    res.status(500).json({ error: 'Failed to fetch history', details: error.message });
+    logger.error('plan_error', { message: error.message, stack: error.stack });
+    res.status(500).json({ error: 'Failed to plan trip', details: error.message });
+  }
+});
+
+app.get('/api/amex/snapshots', validate, (req, res) => {
+  res.json({ markets: describeSnapshots() });
+});
+
+app.post('/api/amex/snapshots', validate, async (req, res) => {
+  try {
+    res.json(await takeAmexSnapshots());
+  } catch (error) {
+    logger.error('amex_snapshots_error', { message: error.message, stack: error.stack });
+    res.status(500).json({ error: 'Failed to snapshot Amex variances', details: error.message });
+  }
+});
+
+app.get('/api/watches', validate, (req, res) => {
+  res.json({ watches: listWatches() });
+});
+
+app.post('/api/watches', express.json(), validate, async (req, res) => {
+  try {
+    const result = await createWatch(req.body || {});
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    logger.info('watch_created', { watchId: result.watch.id, provider: result.watch.provider, base: result.watch.base, quote: result.watch.quote });
+    res.status(201).json(result.watch);
+  } catch (error) {
+    logger.error('watch_create_error', { message: error.message, stack: error.stack });
+    res.status(500).json({ error: 'Failed to create watch', details: error.message });
   }
 });
 
+app.post('/api/watches/check', validate, async (req, res) => {
+  try {
+    res.json(await evaluateWatches());
+  } catch (error) {
+    logger.error('watches_error', { message: error.message, stack: error.stack });
+    res.status(500).json({ error: 'Failed to check watches', details: error.message });
+  }
+});
+
+app.get('/api/watches/:id', validate, (req, res) => {
+  const watch = getWatch(req.params.id);
+  if (!watch) {
+    return res.status(404).json({ error: 'Watch not found' });
+  }
+  res.json(watch);
+});
+
+app.patch('/api/watches/:id', express.json(), validate, async (req, res) => {
+  try {
+    const result = await updateWatch(req.params.id, req.body || {});
+    if (!result) {
+      return res.status(404).json({ error: 'Watch not found' });
+    }
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    res.json(result.watch);
+  } catch (error) {
+    logger.error('watch_update_error', { message: error.message, stack: error.stack });
+    res.status(500).json({ error: 'Failed to update watch', details: error.message });
+  }
+});
+
+app.delete('/api/watches/:id', validate, (req, res) => {
+  if (!deleteWatch(req.params.id)) {
+    return res.status(404).json({ error: 'Watch not found' });
+  }
+  res.status(204).end();
+});
+
 // Global handlers to surface hidden failures in logs
 process.on('unhandledRejection', (reason) => {
-  console.error(JSON.stringify({ event: 'unhandled_rejection', reason: String(reason), stack: reason && reason.stack }));
+  logger.error('unhandled_rejection', { reason: String(reason), stack: reason && reason.stack });
 });
 process.on('uncaughtException', (err) => {
-  console.error(JSON.stringify({ event: 'uncaught_exception', message: err.message, stack: err.stack }));
+  logger.error('uncaught_exception', { message: err.message, stack: err.stack });
 });
 
-// For local development
-if (process.env.NODE_ENV !== 'production') {
-  app.listen(PORT, () => {
+// Long-running deployments (local, Docker) listen; serverless platforms import the
+// app and tests start it themselves
+let server = null;
+if (!process.env.VERCEL && !process.env.AWS_LAMBDA_FUNCTION_NAME && process.env.NODE_ENV !== 'test') {
+  server = app.listen(PORT, () => {
     console.log(`Server running on http://localhost:${PORT}`);
   });
 }
 
+/**
+ * Stop accepting connections, let in-flight requests finish (up to
+ * SHUTDOWN_TIMEOUT_MS), then close the scrapers' browser and exit
+ * @param {string} signal
+ */
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  logger.info('shutdown_started', { signal, inFlight, timeoutMs: SHUTDOWN_TIMEOUT_MS });
+
+  const drained = new Promise((resolve) => server.close(resolve));
+  server.closeIdleConnections();
+  const timer = setTimeout(() => {
+    logger.warn('shutdown_timeout', { inFlight });
+    server.closeAllConnections();
+  }, SHUTDOWN_TIMEOUT_MS);
+  await drained;
+  clearTimeout(timer);
+
+  await closeBrowserPool();
+  logger.info('shutdown_complete', { signal });
+  process.exit(0);
+}
+
+if (server) {
+  for (const signal of ['SIGTERM', 'SIGINT']) {
+    process.on(signal, () => {
+      shutdown(signal).catch((error) => {
+        logger.error('shutdown_error', { message: error.message });
+        process.exit(1);
+      });
+    });
+  }
+}
+
+if (WATCH_INTERVAL_MS > 0 && !process.env.VERCEL && !process.env.AWS_LAMBDA_FUNCTION_NAME && process.env.NODE_ENV !== 'test') {
+  startWatchScheduler(WATCH_INTERVAL_MS);
+}
+
+if (AMEX_SNAPSHOT_INTERVAL_MS > 0 && !process.env.VERCEL && !process.env.AWS_LAMBDA_FUNCTION_NAME && process.env.NODE_ENV !== 'test') {
+  startAmexSnapshotScheduler(AMEX_SNAPSHOT_INTERVAL_MS);
+}
+
 // Export for Vercel serverless
 export default app;
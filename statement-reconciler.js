@@ -0,0 +1,215 @@
+import { getProviders, getReferenceProvider, fetchProviderRate } from './providers.js';
+import { mapWithConcurrency } from './scraper-utils.js';
+import { minorUnits } from './currencies.js';
+
+// Rate lookups in flight at once while reconciling, and the most lines one statement may have
+const RECONCILE_CONCURRENCY = parseInt(process.env.RECONCILE_CONCURRENCY || '4', 10) || 4;
+export const MAX_STATEMENT_LINES = 500;
+
+export const STATEMENT_FIELDS = ['date', 'originalAmount', 'originalCurrency', 'billedAmount', 'billedCurrency', 'network'];
+
+// Header names tried, case-insensitively, when a field has no explicit mapping
+const DEFAULT_HEADERS = {
+  date: ['date', 'transaction date', 'posting date', 'value date'],
+  originalAmount: ['original amount', 'foreign amount', 'transaction amount', 'amount'],
+  originalCurrency: ['original currency', 'foreign currency', 'transaction currency', 'currency'],
+  billedAmount: ['billed amount', 'billing amount', 'amount billed', 'settlement amount'],
+  billedCurrency: ['billed currency', 'billing currency', 'settlement currency', 'card currency'],
+  network: ['card network', 'network', 'scheme', 'card type']
+};
+
+export const DATE_FORMATS = ['YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY'];
+
+/**
+ * Split CSV text into rows of cells (quoted cells may hold delimiters, quotes and newlines)
+ * @param {string} text
+ * @param {string} [delimiter] - Guessed from the first line when omitted
+ * @returns {string[][]}
+ */
+export function parseCsv(text, delimiter) {
+  const input = text.replace(/^\uFEFF/, '');
+  if (!delimiter) {
+    const firstLine = input.split(/\r?\n/, 1)[0];
+    delimiter = [',', ';', '\t'].reduce((best, d) => (firstLine.split(d).length > firstLine.split(best).length ? d : best), ',');
+  }
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < input.length; i++) {
+    const c = input[i];
+    if (quoted) {
+      if (c === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        cell += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += c;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((v) => v.trim() !== ''));
+}
+
+function parseDate(value, format) {
+  const parts = value.trim().split(/[-/.]/);
+  if (parts.length !== 3) return null;
+  const [y, m, d] = format === 'DD/MM/YYYY' ? [parts[2], parts[1], parts[0]]
+    : format === 'MM/DD/YYYY' ? [parts[2], parts[0], parts[1]]
+    : parts;
+  const date = `${y.padStart(4, '20')}-${m.padStart(2, '0')}-${d.padStart(2, '0')}`;
+  const parsed = new Date(date + 'T00:00:00Z');
+  return /^\d{4}-\d{2}-\d{2}$/.test(date) && !Number.isNaN(parsed.getTime()) && parsed.toISOString().startsWith(date) ? date : null;
+}
+
+function parseAmount(value, decimal) {
+  let text = value.replace(/[^\d,.\-]/g, '');
+  text = decimal === ',' ? text.replace(/\./g, '').replace(',', '.') : text.replace(/,/g, '');
+  const amount = Math.abs(parseFloat(text));
+  return Number.isFinite(amount) && amount > 0 ? amount : null;
+}
+
+function resolveNetwork(value) {
+  const name = value.trim().toLowerCase();
+  if (!name) return null;
+  const match = getProviders().find((p) => p.kind === 'network'
+    && [p.id, p.name, p.shortName].some((n) => n.toLowerCase() === name));
+  return match ? match.id : null;
+}
+
+/**
+ * Turn statement CSV into transactions. Lines that cannot be read are kept
+ * with an `error` so the caller can show them next to the others.
+ * @param {string} text - CSV with a header line
+ * @param {{ mapping?: Object<string, string>, dateFormat?: string, decimal?: '.'|',', delimiter?: string }} [options]
+ *   mapping names the header used for each of STATEMENT_FIELDS
+ * @returns {{ error: string } | { transactions: Array<Object> }}
+ */
+export function parseStatement(text, { mapping = {}, dateFormat = 'YYYY-MM-DD', decimal = '.', delimiter } = {}) {
+  if (!DATE_FORMATS.includes(dateFormat)) {
+    return { error: `Invalid dateFormat. Use: ${DATE_FORMATS.join(', ')}` };
+  }
+
+  const [header, ...lines] = parseCsv(text, delimiter);
+  if (!header) {
+    return { error: 'Statement is empty' };
+  }
+  if (lines.length > MAX_STATEMENT_LINES) {
+    return { error: `Too many lines. At most ${MAX_STATEMENT_LINES} per statement` };
+  }
+
+  const headers = header.map((h) => h.trim().toLowerCase());
+  const columns = {};
+  for (const field of STATEMENT_FIELDS) {
+    const wanted = mapping[field] ? [String(mapping[field]).trim().toLowerCase()] : DEFAULT_HEADERS[field];
+    columns[field] = wanted.map((h) => headers.indexOf(h)).find((i) => i !== -1);
+    if (columns[field] === undefined && field !== 'network') {
+      return { error: `Column not found for ${field}${mapping[field] ? ` ("${mapping[field]}")` : ''}. Headers: ${header.join(', ')}` };
+    }
+  }
+
+  const transactions = lines.map((cells, i) => {
+    const cell = (field) => (columns[field] === undefined ? '' : (cells[columns[field]] || '').trim());
+    const tx = {
+      line: i + 2,
+      date: parseDate(cell('date'), dateFormat),
+      originalAmount: parseAmount(cell('originalAmount'), decimal),
+      originalCurrency: cell('originalCurrency').toUpperCase(),
+      billedAmount: parseAmount(cell('billedAmount'), decimal),
+      billedCurrency: cell('billedCurrency').toUpperCase(),
+      network: resolveNetwork(cell('network'))
+    };
+    if (!tx.date) tx.error = `Unreadable date "${cell('date')}"`;
+    else if (!tx.originalAmount || !tx.billedAmount) tx.error = 'Unreadable amount';
+    else if (!/^[A-Z]{3}$/.test(tx.originalCurrency) || !/^[A-Z]{3}$/.test(tx.billedCurrency)) tx.error = 'Unreadable currency';
+    return tx;
+  });
+  return { transactions };
+}
+
+/**
+ * Compare what each transaction was billed with its network's rate and the
+ * mid-market rate for that day. Rates are billed currency per 1 unit of the
+ * original currency, as the card networks quote them. A positive hidden fee
+ * means the line cost more than the network rate alone explains; within half
+ * of the billed currency's minor unit it is the rounding of the billed amount
+ * and counts as 0.
+ * @param {Array<Object>} transactions - From parseStatement
+ * @param {{ midPolicy?: string, market?: string }} [options]
+ */
+export async function reconcileStatement(transactions, { midPolicy = 'previous', market } = {}) {
+  const reference = getReferenceProvider();
+  const providers = getProviders();
+
+  const results = await mapWithConcurrency(transactions, RECONCILE_CONCURRENCY, async (tx) => {
+    if (tx.error) return { ...tx, status: 'invalid' };
+
+    const { date, originalAmount, originalCurrency, billedAmount, billedCurrency } = tx;
+    const impliedRate = billedAmount / originalAmount;
+    const provider = tx.network ? providers.find((p) => p.id === tx.network) : null;
+    const [mid, network] = await Promise.all([
+      fetchProviderRate(reference, date, originalCurrency, billedCurrency, originalAmount, { policy: midPolicy }),
+      provider ? fetchProviderRate(provider, date, originalCurrency, billedCurrency, originalAmount, { policy: midPolicy, market }) : null
+    ]);
+
+    const result = {
+      ...tx,
+      impliedRate,
+      midRate: mid.rate,
+      midAsOf: mid.asOf,
+      midMarkupPct: mid.rate === null ? null : ((impliedRate - mid.rate) / mid.rate) * 100,
+      networkRate: network ? network.rate : null,
+      expectedBilled: null,
+      discrepancyPct: null,
+      hiddenFee: null,
+      status: network ? network.status : 'no-network',
+      reason: network ? network.reason : 'Card network missing or not recognised'
+    };
+    if (network && network.rate !== null) {
+      result.expectedBilled = network.rate * originalAmount;
+      result.discrepancyPct = ((impliedRate - network.rate) / network.rate) * 100;
+      const difference = billedAmount - result.expectedBilled;
+      result.hiddenFee = Math.abs(difference) <= 0.5 * 10 ** -minorUnits(billedCurrency) ? 0 : difference;
+    }
+    return result;
+  });
+
+  // Billed amounts are only comparable within one currency
+  const totals = {};
+  for (const r of results) {
+    if (r.status === 'invalid') continue;
+    const t = totals[r.billedCurrency] || (totals[r.billedCurrency] = { lines: 0, billed: 0, checked: 0, checkedBilled: 0, expectedBilled: 0, hiddenFee: 0 });
+    t.lines++;
+    t.billed += r.billedAmount;
+    if (r.hiddenFee !== null) {
+      t.checked++;
+      t.checkedBilled += r.billedAmount;
+      t.expectedBilled += r.expectedBilled;
+      t.hiddenFee += r.hiddenFee;
+    }
+  }
+  for (const t of Object.values(totals)) {
+    t.hiddenFeePct = t.expectedBilled > 0 ? (t.hiddenFee / t.expectedBilled) * 100 : null;
+  }
+
+  return { transactions: results, totals };
+}
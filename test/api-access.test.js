@@ -0,0 +1,114 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { once } from 'events';
+import { createClient } from '../client/index.js';
+
+let server;
+let baseUrl;
+let tmpDir;
+let secret;
+let keyId;
+
+before(async () => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fx-access-test-'));
+  // API_AUTH is left unset: anonymous callers are limited unless it is off
+  delete process.env.API_AUTH;
+  Object.assign(process.env, {
+    NODE_ENV: 'test',
+    // Each test calls from its own X-Forwarded-For address, so anonymous budgets are not shared
+    TRUST_PROXY: '1',
+    API_RATE_LIMITS: JSON.stringify({ anonymous: { cheap: 5, expensive: 1 } }),
+    API_KEYS_PATH: path.join(tmpDir, 'api-keys.json'),
+    RATE_STORE_PATH: path.join(tmpDir, 'rates.jsonl'),
+    WATCHLIST_PATH: path.join(tmpDir, 'watches.json'),
+    AMEX_SNAPSHOT_PATH: path.join(tmpDir, 'amex-snapshots.jsonl')
+  });
+  if (!process.env.TEST_LOGS) {
+    console.log = () => {};
+    console.error = () => {};
+  }
+
+  const { createApiKey } = await import('../api-keys.js');
+  ({ secret, apiKey: { id: keyId } } = createApiKey({ name: 'Partner', limits: { expensive: 2 } }));
+
+  const { default: app } = await import('../server.js');
+  server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  server.closeAllConnections();
+  await new Promise((resolve) => server.close(resolve));
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+// Without parameters these routes answer 400 without fetching, but still spend the budget
+const call = (pathname, headers = {}) => fetch(baseUrl + pathname, { headers });
+const history = (headers = {}) => call('/api/history', headers);
+const from = (ip) => ({ 'X-Forwarded-For': ip });
+
+test('anonymous callers get 429 with Retry-After once the expensive budget is spent', async () => {
+  assert.equal((await history(from('192.0.2.1'))).status, 400);
+  const throttled = await history(from('192.0.2.1'));
+  assert.equal(throttled.status, 429);
+  const retryAfter = Number(throttled.headers.get('retry-after'));
+  assert.ok(retryAfter >= 1 && retryAfter <= 60, `Retry-After ${retryAfter}`);
+  assert.equal((await throttled.json()).retryAfter, retryAfter);
+
+  // Cheap routes have a budget of their own
+  const providers = await call('/api/providers', from('192.0.2.1'));
+  assert.equal(providers.status, 200);
+  assert.equal(providers.headers.get('x-ratelimit-limit'), '5');
+
+  // Another address has its own budget
+  assert.equal((await history(from('192.0.2.2'))).status, 400);
+});
+
+test('card network lookups spend the expensive budget; the reference rate alone does not', async () => {
+  const ip = from('192.0.2.3');
+  assert.equal((await call('/api/rates', ip)).status, 400);
+  const rates = await call('/api/rates', ip);
+  assert.equal(rates.status, 429);
+  assert.ok(Number(rates.headers.get('retry-after')) >= 1);
+  assert.equal((await call('/api/rates/stream', ip)).status, 429);
+  assert.equal((await call('/api/rate/visa', ip)).status, 429);
+
+  const mid = await call('/api/rate/mid', ip);
+  assert.equal(mid.status, 400);
+  assert.equal(mid.headers.get('x-ratelimit-limit'), '5');
+});
+
+test('a key has its own budget and usage', async () => {
+  const headers = { 'X-API-Key': secret };
+  assert.equal((await history(headers)).status, 400);
+  assert.equal((await history({ Authorization: `Bearer ${secret}` })).status, 400);
+  assert.equal((await history(headers)).status, 429);
+
+  const client = createClient({ baseUrl, apiKey: secret });
+  const usage = await client.getUsage();
+  assert.deepEqual(usage.client, { id: keyId, name: 'Partner' });
+  assert.deepEqual(usage.limits, { cheap: 600, expensive: 2 });
+  assert.equal(usage.usage.expensive, 2);
+  assert.equal(usage.usage.throttled, 1);
+  assert.equal(usage.remaining.expensive, 0);
+});
+
+test('unknown and revoked keys are refused with 401', async () => {
+  const unknown = await createClient({ baseUrl, apiKey: 'fx_nope' }).getUsage().catch((error) => error);
+  assert.equal(unknown.status, 401);
+
+  const { revokeApiKey } = await import('../api-keys.js');
+  revokeApiKey(keyId);
+  assert.equal((await fetch(`${baseUrl}/api/providers`, { headers: { 'X-API-Key': secret } })).status, 401);
+});
+
+test('GET /metrics counts requests per client and outcome', async () => {
+  const body = await (await fetch(`${baseUrl}/metrics`)).text();
+  assert.match(body, /^fx_api_requests_total\{client="anonymous",class="expensive",outcome="throttled"\} 4$/m);
+  assert.match(body, new RegExp(`^fx_api_requests_total\\{client="${keyId}",class="expensive",outcome="allowed"\\} 2$`, 'm'));
+  assert.match(body, /^fx_api_requests_total\{client="unknown",class="cheap",outcome="unauthorized"\} 2$/m);
+});
@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getBreaker } from '../circuit-breaker.js';
+
+console.log = () => {};
+
+const fail = () => Promise.reject(new Error('upstream down'));
+const succeed = () => Promise.resolve('ok');
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test('opens after consecutive failures and fails fast while open', async () => {
+  const breaker = getBreaker('test-open', { failureThreshold: 2, coolDownMs: 60000 });
+  await assert.rejects(breaker.run(fail), /upstream down/);
+  assert.equal(breaker.snapshot().state, 'closed');
+  await assert.rejects(breaker.run(fail), /upstream down/);
+  assert.equal(breaker.snapshot().state, 'open');
+
+  let called = false;
+  await assert.rejects(breaker.run(() => { called = true; return succeed(); }), { code: 'ECIRCUITOPEN' });
+  assert.equal(called, false);
+  assert.equal(breaker.snapshot().lastError.message, 'upstream down');
+});
+
+test('a success resets the failure count', async () => {
+  const breaker = getBreaker('test-reset', { failureThreshold: 2, coolDownMs: 60000 });
+  await assert.rejects(breaker.run(fail));
+  assert.equal(await breaker.run(succeed), 'ok');
+  await assert.rejects(breaker.run(fail));
+  assert.equal(breaker.snapshot().state, 'closed');
+  assert.ok(breaker.snapshot().lastSuccessAt);
+});
+
+test('half-open lets one trial through after the cool-down', async () => {
+  const breaker = getBreaker('test-half-open', { failureThreshold: 1, coolDownMs: 20 });
+  await assert.rejects(breaker.run(fail));
+  await sleep(30);
+  assert.equal(breaker.snapshot().state, 'half-open');
+
+  // A failed trial reopens straight away
+  await assert.rejects(breaker.run(fail), /upstream down/);
+  assert.equal(breaker.snapshot().state, 'open');
+  await sleep(30);
+
+  let release;
+  const trial = breaker.run(() => new Promise((resolve) => { release = resolve; }));
+  await assert.rejects(breaker.run(succeed), { code: 'ECIRCUITOPEN' });
+  release('ok');
+  assert.equal(await trial, 'ok');
+  assert.equal(breaker.snapshot().state, 'closed');
+});
+
+test('deadline errors do not count against the upstream', async () => {
+  const breaker = getBreaker('test-deadline', { failureThreshold: 1, coolDownMs: 60000 });
+  const deadline = Object.assign(new Error('out of budget'), { code: 'EDEADLINE' });
+  await assert.rejects(breaker.run(() => Promise.reject(deadline)));
+  assert.equal(breaker.snapshot().state, 'closed');
+  assert.equal(breaker.snapshot().failures, 0);
+});
+
+test('a 4xx about the request neither counts nor clears earlier failures', async () => {
+  const breaker = getBreaker('test-rejected', { failureThreshold: 2, coolDownMs: 60000 });
+  const status = (code) => Object.assign(new Error(`Request failed with status code ${code}`), { response: { status: code } });
+  await assert.rejects(breaker.run(() => Promise.reject(status(503))));
+  await assert.rejects(breaker.run(() => Promise.reject(status(400))), /status code 400/);
+  assert.equal(breaker.snapshot().state, 'closed');
+  assert.equal(breaker.snapshot().failures, 1);
+
+  await assert.rejects(breaker.run(() => Promise.reject(status(404))));
+  assert.equal(breaker.snapshot().failures, 1);
+  await assert.rejects(breaker.run(() => Promise.reject(status(502))));
+  assert.equal(breaker.snapshot().state, 'open');
+});
+
+test('blocked requests, 429 and unreadable answers count as failures', async () => {
+  for (const code of [401, 403, 429]) {
+    const breaker = getBreaker(`test-blocked-${code}`, { failureThreshold: 1, coolDownMs: 60000 });
+    const blocked = Object.assign(new Error(`Visa API responded with ${code}`), { status: code });
+    await assert.rejects(breaker.run(() => Promise.reject(blocked)));
+    assert.equal(breaker.snapshot().state, 'open', `${code}`);
+  }
+  const breaker = getBreaker('test-unparseable', { failureThreshold: 1, coolDownMs: 60000 });
+  await assert.rejects(breaker.run(() => Promise.reject(new Error('Could not parse API response'))));
+  assert.equal(breaker.snapshot().state, 'open');
+});
+
+test('reports latency percentiles', async () => {
+  const breaker = getBreaker('test-latency');
+  assert.deepEqual(breaker.snapshot().latency, { p50: null, p95: null, samples: 0 });
+  for (let i = 0; i < 3; i++) await breaker.run(succeed);
+  const { latency } = breaker.snapshot();
+  assert.equal(latency.samples, 3);
+  assert.ok(latency.p50 <= latency.p95);
+});
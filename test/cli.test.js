@@ -0,0 +1,69 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { fileURLToPath } from 'url';
+import { startUpstreamStub, stubEnv } from './upstream-stub.js';
+
+const BIN = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'bin', 'fxcompare.js');
+
+let stub;
+let tmpDir;
+
+before(async () => {
+  stub = await startUpstreamStub();
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fx-cli-test-'));
+});
+
+after(async () => {
+  await stub.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+// The stub runs in this process, so the CLI must not be run synchronously
+function fxcompare(args, env = {}) {
+  return new Promise((resolve) => {
+    execFile(process.execPath, [BIN, ...args], {
+      timeout: 60000,
+      env: {
+        ...process.env,
+        ...stubEnv(stub.url),
+        RATE_STORE_PATH: path.join(tmpDir, 'rates.jsonl'),
+        AMEX_SNAPSHOT_PATH: path.join(tmpDir, 'amex-snapshots.jsonl'),
+        ...env
+      }
+    }, (error, stdout, stderr) => resolve({ code: error ? error.code : 0, stdout, stderr }));
+  });
+}
+
+test('rates prints every provider with the winner marked', async () => {
+  const { code, stdout } = await fxcompare(['rates', 'eur', 'usd', '--date', '2023-06-09', '--amount', '100']);
+  assert.equal(code, 0);
+  assert.match(stdout, /^100 EUR in USD on 2023-06-09$/m);
+  assert.match(stdout, /^ {2}Mastercard +1\.0785 +107\.85 +\+0\.11% +ok$/m);
+  assert.match(stdout, /^\* American Express /m);
+});
+
+test('history exports CSV', async () => {
+  const { code, stdout } = await fxcompare(['history', 'EUR', 'USD', '--date', '2023-06-11', '--days', '4', '--format', 'csv']);
+  assert.equal(code, 0);
+  const lines = stdout.trim().split('\r\n');
+  assert.match(lines[0], /^date,mid,midAsOf,midFilled,mc,/);
+  assert.deepEqual(lines.slice(1).map((line) => line.split(',')[0]), ['2023-06-08', '2023-06-09', '2023-06-10', '2023-06-11']);
+});
+
+test('exits 1 when a provider has no rate and 2 on invalid arguments', async () => {
+  const unavailable = await fxcompare(['rates', 'JPY', 'ZAR', '--date', '2023-06-09'], { DISABLED_PROVIDERS: 'mc,visa' });
+  assert.equal(unavailable.code, 1);
+  assert.match(unavailable.stderr, /no rate from Amex/);
+
+  const usage = await fxcompare(['rates', 'EUR', 'XYZ']);
+  assert.equal(usage.code, 2);
+  assert.match(usage.stderr, /Unknown currency: XYZ/);
+});
+
+test('every upstream request was answered from a fixture', () => {
+  assert.deepEqual(stub.misses, []);
+});
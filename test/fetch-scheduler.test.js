@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { schedule, configureHost } from '../fetch-scheduler.js';
+
+console.log = () => {};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Shaped like an axios error for an HTTP answer
+function httpError(status, headers = {}) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, headers };
+  return error;
+}
+
+// A task that throws the given errors in turn, then answers 'ok'
+function flaky(...errors) {
+  const task = async () => {
+    task.calls++;
+    if (errors.length > 0) throw errors.shift();
+    return 'ok';
+  };
+  task.calls = 0;
+  return task;
+}
+
+test('retries 5xx, 429 and transient network errors until the task succeeds', async () => {
+  configureHost('retry.test', { retries: 3, baseDelayMs: 1, ratePerSec: 1000, burst: 10 });
+  const reset = Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+  const task = flaky(httpError(503), httpError(429), reset);
+  assert.equal(await schedule('retry.test', task), 'ok');
+  assert.equal(task.calls, 4);
+});
+
+test('gives up after the configured retries with the last error', async () => {
+  configureHost('give-up.test', { retries: 2, baseDelayMs: 1, ratePerSec: 1000, burst: 10 });
+  const task = flaky(httpError(500), httpError(502), httpError(504), httpError(500));
+  await assert.rejects(schedule('give-up.test', task), /status code 504/);
+  assert.equal(task.calls, 3);
+});
+
+test('does not retry client errors or other failures', async () => {
+  configureHost('no-retry.test', { retries: 3, baseDelayMs: 1, ratePerSec: 1000, burst: 10 });
+  const notFound = flaky(httpError(404));
+  await assert.rejects(schedule('no-retry.test', notFound), /status code 404/);
+  assert.equal(notFound.calls, 1);
+
+  const parse = flaky(new Error('Unexpected token < in JSON'));
+  await assert.rejects(schedule('no-retry.test', parse), /Unexpected token/);
+  assert.equal(parse.calls, 1);
+});
+
+test('waits as long as Retry-After asks before retrying', async () => {
+  configureHost('retry-after.test', { retries: 1, baseDelayMs: 1, ratePerSec: 1000, burst: 10 });
+  const task = flaky(httpError(429, { 'retry-after': '0.2' }));
+  const started = Date.now();
+  assert.equal(await schedule('retry-after.test', task), 'ok');
+  assert.ok(Date.now() - started >= 190, `retried after ${Date.now() - started}ms`);
+});
+
+test('Retry-After also reads as an HTTP date', async () => {
+  configureHost('retry-after-date.test', { retries: 1, baseDelayMs: 1, ratePerSec: 1000, burst: 10 });
+  // HTTP dates are whole seconds, so this asks for 0.5 to 1.5s
+  const task = flaky(httpError(503, { 'retry-after': new Date(Date.now() + 1500).toUTCString() }));
+  const started = Date.now();
+  assert.equal(await schedule('retry-after-date.test', task), 'ok');
+  assert.ok(Date.now() - started >= 400, `retried after ${Date.now() - started}ms`);
+});
+
+test('a Retry-After longer than maxDelayMs fails at once instead of waiting', async () => {
+  configureHost('retry-after-long.test', { retries: 3, baseDelayMs: 1, maxDelayMs: 1000, ratePerSec: 1000, burst: 10 });
+  for (const retryAfter of ['120', new Date(Date.now() + 60000).toUTCString()]) {
+    const task = flaky(httpError(429, { 'retry-after': retryAfter }));
+    const started = Date.now();
+    await assert.rejects(schedule('retry-after-long.test', task), /status code 429/);
+    assert.equal(task.calls, 1);
+    assert.ok(Date.now() - started < 500);
+  }
+});
+
+test('queued work past its deadline fails with EDEADLINE without starting', async () => {
+  configureHost('deadline.test', { concurrency: 1, ratePerSec: 1000, burst: 10 });
+  const slow = schedule('deadline.test', () => sleep(100).then(() => 'slow'));
+  let started = false;
+  const queued = schedule('deadline.test', async () => { started = true; }, { deadline: Date.now() + 20 });
+  await assert.rejects(queued, { code: 'EDEADLINE' });
+  assert.equal(started, false);
+  assert.equal(await slow, 'slow');
+});
+
+test('a retry that would start after the deadline fails with the upstream error', async () => {
+  configureHost('deadline-retry.test', { retries: 3, ratePerSec: 1000, burst: 10 });
+  const task = flaky(httpError(503, { 'retry-after': '5' }));
+  const started = Date.now();
+  await assert.rejects(schedule('deadline-retry.test', task, { deadline: Date.now() + 1000 }), /status code 503/);
+  assert.equal(task.calls, 1);
+  assert.ok(Date.now() - started < 1000);
+});
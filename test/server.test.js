@@ -0,0 +1,698 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { once } from 'events';
+import { startUpstreamStub, stubEnv, FIXTURES_DIR } from './upstream-stub.js';
+import { createClient } from '../client/index.js';
+
+// Values from test/fixtures (ECB rates and card network answers for June 2023)
+const ECB = {
+  '2023-06-08': { USD: 1.0751, JPY: 149.78 },
+  '2023-06-09': { USD: 1.0773, JPY: 150.12 },
+  '2023-06-12': { USD: 1.0757, JPY: 150.44 }
+};
+const MC_EUR_USD = { '2023-06-08': 1.07623, '2023-06-09': 1.07846, '2023-06-11': 1.07918 };
+const VISA_EUR_USD = { '2023-06-09': 1.0794 };
+const AMEX_VARIANCE = { IT_USD: 1.4421, ICC_USD_EUR: 1.8675, ICC_EURO_JPY: 1.9523, ICC_EURO_GBP: 1.654 };
+// Italian-market variance recorded the day before the fixture's table
+const AMEX_SNAPSHOT_IT_USD_0608 = 1.2;
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+let stub;
+let server;
+let baseUrl;
+let tmpDir;
+let openapiDocument;
+let validateSchema;
+
+before(async () => {
+  stub = await startUpstreamStub();
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fx-test-'));
+  Object.assign(process.env, stubEnv(stub.url), {
+    NODE_ENV: 'test',
+    // Every test calls from 127.0.0.1, so lift the per-IP limits
+    API_AUTH: 'off',
+    OPENAPI_VALIDATE_RESPONSES: '1',
+    RATE_STORE_PATH: path.join(tmpDir, 'rates.jsonl'),
+    WATCHLIST_PATH: path.join(tmpDir, 'watches.json'),
+    AMEX_SNAPSHOT_PATH: path.join(tmpDir, 'amex-snapshots.jsonl')
+  });
+
+  // Snapshots of the Italian market for two days; ICC has none, so it is fetched live
+  const italy = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, 'amex.json'), 'utf8')).find((f) => f.query.market === 'IT').body;
+  const earlier = structuredClone(italy);
+  earlier[0].consumer.find((c) => c.submissionCurrencyCode === 'USD').percentageVariance = String(AMEX_SNAPSHOT_IT_USD_0608);
+  fs.writeFileSync(process.env.AMEX_SNAPSHOT_PATH, [
+    { market: 'IT', date: '2023-06-08', takenAt: 0, tables: earlier },
+    { market: 'IT', date: '2023-06-09', takenAt: 0, tables: italy }
+  ].map((r) => JSON.stringify(r) + '\n').join(''));
+  // The app logs every upstream call; TEST_LOGS=1 keeps them
+  if (!process.env.TEST_LOGS) {
+    console.log = () => {};
+    console.error = () => {};
+  }
+
+  const { default: app } = await import('../server.js');
+  // Loaded after the env is set, like the server, so responses are still validated
+  ({ openapiDocument } = await import('../openapi.js'));
+  ({ validateSchema } = await import('../openapi-validator.js'));
+  server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  server.closeAllConnections();
+  await new Promise((resolve) => server.close(resolve));
+  await stub.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+async function get(pathname) {
+  const res = await fetch(baseUrl + pathname);
+  const type = res.headers.get('content-type') || '';
+  return { status: res.status, headers: res.headers, body: type.includes('json') ? await res.json() : await res.text() };
+}
+
+test('GET /api/providers lists the reference first', async () => {
+  const { status, body } = await get('/api/providers');
+  assert.equal(status, 200);
+  assert.deepEqual(body.providers.map((p) => p.id), ['mid', 'mc', 'visa', 'amex']);
+  assert.equal(body.providers[0].kind, 'reference');
+});
+
+test('GET /api/openapi.json describes every route and per-provider key', async () => {
+  const { status, body } = await get('/api/openapi.json');
+  assert.equal(status, 200);
+  assert.equal(body.openapi, '3.1.0');
+  for (const route of ['/api/rate/{provider}', '/api/rates', '/api/history', '/api/matrix', '/api/reconcile', '/api/watches/{id}']) {
+    assert.ok(body.paths[route], route);
+  }
+  const rates = body.paths['/api/rates'].get.responses[200].content['application/json'].schema;
+  assert.ok(rates.properties.amexUnavailable);
+  assert.ok(rates.properties.mcDayDeltaPct);
+});
+
+test('rejects requests that do not match the OpenAPI document', async () => {
+  const { status, body } = await get('/api/rates?date=2023-06-09&base=EUR&quote=USD&amount=lots');
+  assert.equal(status, 400);
+  assert.equal(body.error, 'Invalid request: query parameter amount must be number');
+  assert.deepEqual(body.details, ['query parameter amount must be number']);
+});
+
+test('the client package calls the API and surfaces its errors', async () => {
+  const client = createClient({ baseUrl: baseUrl + '/' });
+  const rates = await client.compareRates({ date: '2023-06-09', base: 'EUR', quote: 'USD', amount: 100 });
+  assert.equal(rates.mid, ECB['2023-06-09'].USD);
+  const mc = await client.getRate('mc', { date: '2023-06-09', base: 'EUR', quote: 'USD' });
+  close(mc.rate, MC_EUR_USD['2023-06-09']);
+  await assert.rejects(client.getRate('amex', { date: '2023-06-09', base: 'EUR', quote: 'AED' }), (error) => {
+    assert.equal(error.code, 'EAPI');
+    assert.equal(error.status, 422);
+    assert.equal(error.message, 'Amex does not support AED');
+    return true;
+  });
+});
+
+test('POST /api/plan prices a trip per card and finds the cheapest split', async () => {
+  const client = createClient({ baseUrl });
+  const plan = await client.planTrip({
+    homeCurrency: 'USD',
+    expenses: [
+      { date: '2023-06-09', amount: 100, currency: 'EUR', category: 'hotel' },
+      { date: '2023-06-09', amount: 100, currency: 'EUR', category: 'cash' },
+      { date: '2023-06-09', amount: 20, currency: 'USD' }
+    ],
+    cards: [{ profile: 'mc-standard-credit' }, { id: 'visa', network: 'visa', feePct: 2 }]
+  });
+  const mc = MC_EUR_USD['2023-06-09'] * 100 * 1.0175;
+  // The profile's ATM fee is charged in USD, the home currency
+  const mcCash = mc + 3;
+  const visa = VISA_EUR_USD['2023-06-09'] * 100 * 1.02;
+  close(plan.mid.total, ECB['2023-06-09'].USD * 200 + 20);
+  close(plan.cards[0].total, mc + mcCash + 20);
+  close(plan.cards[1].total, visa * 2 + 20);
+  assert.deepEqual(plan.expenses.map((e) => e.bestCard), ['mc-standard-credit', 'visa', 'mc-standard-credit']);
+  assert.equal(plan.expenses[2].costs.visa.fee, 0);
+  close(plan.optimal.total, mc + visa + 20);
+  assert.equal(plan.optimal.bestSingleCard, 'visa');
+  close(plan.optimal.savings, visa - mc);
+
+  await assert.rejects(client.planTrip({ homeCurrency: 'USD', expenses: [], cards: [{ network: 'mc' }] }), (error) => error.status === 400);
+  await assert.rejects(client.planTrip({ homeCurrency: 'USD', expenses: [{ date: '2023-06-09', amount: 1, currency: 'XYZ' }], cards: [{ network: 'mc' }] }),
+    (error) => error.status === 422);
+});
+
+test('POST /api/reconcile matches each line to its network and prices the difference', async () => {
+  const client = createClient({ baseUrl });
+  const csv = [
+    'Booking;Foreign;Cur;Charged;Card Cur;Scheme',
+    // Mastercard's rate for 100 EUR, rounded to the cent
+    '09/06/2023;100,00;EUR;107,85;USD;MASTERCARD',
+    '09/06/2023;100,00;EUR;110,00;USD;visa',
+    '09/06/2023;100,00;EUR;108,00;USD;Diners',
+    '31/02/2023;5,00;EUR;5,40;USD;Visa'
+  ].join('\n');
+  const mapping = { date: 'Booking', originalAmount: 'Foreign', originalCurrency: 'Cur', billedAmount: 'Charged', billedCurrency: 'Card Cur', network: 'Scheme' };
+  const { transactions: [mc, visa, diners, invalid], totals } = await client.reconcileStatement({ csv, mapping, dateFormat: 'DD/MM/YYYY', decimal: ',', delimiter: ';' });
+
+  assert.deepEqual([mc.network, mc.status, mc.date], ['mc', 'ok', '2023-06-09']);
+  close(mc.networkRate, MC_EUR_USD['2023-06-09']);
+  close(mc.expectedBilled, MC_EUR_USD['2023-06-09'] * 100);
+  // Within half a cent: the rounding of the billed amount, not a fee
+  assert.equal(mc.hiddenFee, 0);
+  assert.ok(Math.abs(mc.discrepancyPct) < 0.005, `discrepancy ${mc.discrepancyPct}%`);
+  close(mc.midMarkupPct, ((1.0785 - ECB['2023-06-09'].USD) / ECB['2023-06-09'].USD) * 100);
+
+  assert.equal(visa.network, 'visa');
+  close(visa.expectedBilled, VISA_EUR_USD['2023-06-09'] * 100);
+  close(visa.hiddenFee, 110 - VISA_EUR_USD['2023-06-09'] * 100);
+  close(visa.discrepancyPct, ((1.1 - VISA_EUR_USD['2023-06-09']) / VISA_EUR_USD['2023-06-09']) * 100);
+
+  assert.deepEqual([diners.network, diners.status, diners.hiddenFee], [null, 'no-network', null]);
+  assert.ok(diners.midRate > 0);
+  assert.deepEqual([invalid.status, invalid.error], ['invalid', 'Unreadable date "31/02/2023"']);
+
+  // The invalid line is left out; the one without a network counts as billed but unchecked
+  const usd = totals.USD;
+  assert.deepEqual([usd.lines, usd.checked], [3, 2]);
+  close(usd.billed, 325.85);
+  close(usd.expectedBilled, (MC_EUR_USD['2023-06-09'] + VISA_EUR_USD['2023-06-09']) * 100);
+  close(usd.hiddenFee, visa.hiddenFee);
+  close(usd.hiddenFeePct, (usd.hiddenFee / usd.expectedBilled) * 100);
+
+  await assert.rejects(client.reconcileStatement({ csv, mapping: { ...mapping, date: 'Posted' }, dateFormat: 'DD/MM/YYYY', delimiter: ';' }), (error) => {
+    assert.equal(error.status, 400);
+    assert.match(error.message, /^Column not found for date \("Posted"\)/);
+    return true;
+  });
+
+  // The network lookup follows midPolicy too: Amex prices a Saturday off Monday's reference rate
+  const weekend = await client.reconcileStatement({
+    csv: 'Date,Amount,Currency,Billed Amount,Billed Currency,Network\n2023-06-10,100,EUR,110,USD,Amex',
+    midPolicy: 'next'
+  });
+  close(weekend.transactions[0].networkRate, ECB['2023-06-12'].USD * (1 + AMEX_VARIANCE.IT_USD / 100));
+});
+
+test('rejects malformed parameters', async () => {
+  assert.equal((await get('/api/rates?date=09-06-2023&base=EUR&quote=USD')).status, 400);
+  assert.equal((await get('/api/rates?date=2023-06-09&base=eur&quote=USD')).status, 400);
+  assert.equal((await get('/api/rate/nope?date=2023-06-09&base=EUR&quote=USD')).status, 400);
+  assert.equal((await get('/api/rate/mid?date=2023-06-09&base=EUR&quote=USD&midPolicy=closest')).status, 400);
+  for (const amount of ['0', '-5', 'abc']) {
+    assert.equal((await get(`/api/rates?date=2023-06-09&base=EUR&quote=USD&amount=${amount}`)).status, 400, amount);
+  }
+});
+
+test('mid-market rate for a business day', async () => {
+  const { status, body } = await get('/api/rate/mid?date=2023-06-09&base=EUR&quote=USD');
+  assert.equal(status, 200);
+  assert.equal(body.rate, ECB['2023-06-09'].USD);
+  assert.equal(body.midAsOf, '2023-06-09');
+  close(body.dayDeltaPct, ((ECB['2023-06-09'].USD - ECB['2023-06-08'].USD) / ECB['2023-06-08'].USD) * 100);
+});
+
+test('mid-market rate on a Saturday follows the policy', async () => {
+  const previous = await get('/api/rate/mid?date=2023-06-10&base=EUR&quote=USD');
+  assert.equal(previous.body.rate, ECB['2023-06-09'].USD);
+  assert.equal(previous.body.midAsOf, '2023-06-09');
+
+  const next = await get('/api/rate/mid?date=2023-06-10&base=EUR&quote=USD&midPolicy=next');
+  assert.equal(next.body.rate, ECB['2023-06-12'].USD);
+  assert.equal(next.body.midAsOf, '2023-06-12');
+
+  const strict = await get('/api/rate/mid?date=2023-06-10&base=EUR&quote=USD&midPolicy=strict');
+  assert.equal(strict.status, 422);
+});
+
+test('mid-market cross rate between two non-EUR currencies', async () => {
+  const { body } = await get('/api/rate/mid?date=2023-06-09&base=USD&quote=JPY');
+  close(body.rate, ECB['2023-06-09'].JPY / ECB['2023-06-09'].USD);
+});
+
+test('GET /api/rates compares every provider against the mid-market rate', async () => {
+  const { status, body } = await get('/api/rates?date=2023-06-09&base=EUR&quote=USD&amount=100');
+  assert.equal(status, 200);
+  const mid = ECB['2023-06-09'].USD;
+  assert.equal(body.mid, mid);
+  close(body.mc, MC_EUR_USD['2023-06-09']);
+  close(body.visa, VISA_EUR_USD['2023-06-09']);
+  close(body.amex, mid * (1 + AMEX_VARIANCE.IT_USD / 100));
+  close(body.mcDeltaPct, ((MC_EUR_USD['2023-06-09'] - mid) / mid) * 100);
+  close(body.converted.mc, MC_EUR_USD['2023-06-09'] * 100);
+  for (const id of ['mid', 'mc', 'visa', 'amex']) {
+    assert.equal(body.status[id].status, 'ok', `${id}: ${body.status[id].reason}`);
+  }
+});
+
+test('profile flat fees are converted from the profile\'s currency into quote', async () => {
+  const { status, body } = await get('/api/rates?date=2023-06-09&base=EUR&quote=USD&amount=100&profile=visa-standard-debit,mc-standard-credit&atm=1');
+  assert.equal(status, 200);
+  // Visa debit charges its flat fees in EUR, the Mastercard credit card in USD
+  const eurUsd = ECB['2023-06-09'].USD;
+  close(body.fees.visa.fixedFee, 0.5 * eurUsd);
+  close(body.fees.visa.atmFee, 1.5 * eurUsd);
+  close(body.fees.visa.feeAmount, 100 * 2.99 / 100 + (0.5 + 1.5) * eurUsd / VISA_EUR_USD['2023-06-09']);
+  assert.equal(body.fees.mc.atmFee, 3);
+  close(body.fees.mc.feeAmount, 100 * 1.75 / 100 + 3 / MC_EUR_USD['2023-06-09']);
+});
+
+test('direction=reverse solves each provider\'s base amount for a target', async () => {
+  // Visa bills 99.92 EUR as 107.85 USD; 99.91 EUR falls a cent short
+  const visa = await get('/api/rate/visa?date=2023-06-09&base=EUR&quote=USD&direction=reverse&target=107.85');
+  assert.equal(visa.status, 200);
+  assert.equal(visa.body.direction, 'reverse');
+  assert.equal(visa.body.amount, 99.92);
+  close(visa.body.converted, 107.85);
+
+  const { status, body } = await get('/api/rates?date=2023-06-09&base=EUR&quote=USD&direction=reverse&target=107.85');
+  assert.equal(status, 200);
+  // Mastercard rounds 100.01 EUR up to 107.86 USD, and 100 EUR short of the target
+  assert.deepEqual(body.amounts, { mid: 100.12, mc: 100.01, visa: 99.92, amex: 98.69 });
+  assert.equal(body.amount, body.amounts.mid);
+  close(body.converted.mc, 107.86);
+  assert.ok(Object.values(body.converted).every((converted) => converted > 107.85 - 1e-9));
+
+  const missing = await get('/api/rates?date=2023-06-09&base=EUR&quote=USD&direction=reverse');
+  assert.equal(missing.status, 400);
+  assert.match(missing.body.error, /^Invalid target/);
+});
+
+test('direction=reverse reports a provider it cannot solve for as unavailable', async () => {
+  // Mastercard answers 500 for the Saturday, so there is no rate to start from
+  const mc = await get('/api/rate/mc?date=2023-06-10&base=EUR&quote=USD&direction=reverse&target=107.85');
+  assert.equal(mc.status, 200);
+  assert.equal(mc.body.unavailable, true);
+  assert.equal(mc.body.direction, 'reverse');
+  assert.equal(mc.body.amount, undefined);
+  assert.ok(mc.body.reason);
+
+  // A network whose rounding never reaches the target within the lookup budget
+  const { solveSourceAmount, REVERSE_MAX_LOOKUPS } = await import('../reverse-conversion.js');
+  const shortOfTarget = {
+    id: 'short',
+    shortName: 'Short',
+    kind: 'network',
+    capabilities: { amountDependent: true },
+    timeoutMs: 1000,
+    getRate: async (date, base, quote, amount) => (amount === 1 ? 1.1 : 9.99 / amount)
+  };
+  const solved = await solveSourceAmount(shortOfTarget, '2023-06-09', 'EUR', 'USD', 10);
+  assert.equal(solved.amount, null);
+  assert.equal(solved.lookups, REVERSE_MAX_LOOKUPS);
+  assert.equal(solved.lookup.rate, null);
+  assert.equal(solved.lookup.status, 'unavailable');
+  assert.equal(solved.lookup.reason, `No EUR amount found that Short converts into 10 USD within ${REVERSE_MAX_LOOKUPS} lookups`);
+});
+
+test('GET /api/rates/stream sends each provider\'s rate, then the winner', async () => {
+  const client = createClient({ baseUrl });
+  const rates = [];
+  const summary = await client.streamRates({ date: '2023-06-09', base: 'EUR', quote: 'USD', amount: 100 }, (rate) => rates.push(rate));
+  assert.deepEqual(rates.map((r) => r.provider).sort(), ['amex', 'mc', 'visa', 'mid'].sort());
+  for (const rate of rates) {
+    assert.deepEqual(validateSchema(openapiDocument, { $ref: '#/components/schemas/StreamedRate' }, rate), []);
+  }
+  const mc = rates.find((r) => r.provider === 'mc');
+  close(mc.converted, MC_EUR_USD['2023-06-09'] * 100);
+  close(mc.markupPct, ((MC_EUR_USD['2023-06-09'] - ECB['2023-06-09'].USD) / ECB['2023-06-09'].USD) * 100);
+  assert.deepEqual(validateSchema(openapiDocument, { $ref: '#/components/schemas/StreamSummary' }, summary), []);
+  assert.equal(summary.winner, 'amex');
+  assert.deepEqual(summary.unavailable, []);
+
+  const reversed = [];
+  const reverseSummary = await client.streamRates({ date: '2023-06-09', base: 'EUR', quote: 'USD', direction: 'reverse', target: 107.85 }, (rate) => reversed.push(rate));
+  assert.equal(reversed.find((r) => r.provider === 'visa').amount, 99.92);
+  assert.equal(reverseSummary.amount, 100.12);
+  assert.equal(reverseSummary.winner, 'amex');
+
+  // Rejected before the stream opens, as JSON
+  await assert.rejects(client.streamRates({ date: '2023-06-09', base: 'EUR', quote: 'XYZ' }), (error) => {
+    assert.equal(error.status, 422);
+    return true;
+  });
+});
+
+test('upstream errors are reported as unavailable', async () => {
+  // Recorded as a 500 from Mastercard and a 404 from Visa
+  const mc = await get('/api/rate/mc?date=2023-06-07&base=EUR&quote=USD');
+  assert.equal(mc.status, 200);
+  assert.equal(mc.body.unavailable, true);
+  assert.equal(mc.body.reason, 'Mastercard API unavailable');
+
+  const visa = await get('/api/rate/visa?date=2023-06-07&base=EUR&quote=USD');
+  assert.equal(visa.body.unavailable, true);
+});
+
+test('GET /api/currencies lists ISO metadata and provider support', async () => {
+  // Mastercard and Visa have no fixed list: they support what they have returned a rate for
+  for (const provider of ['mc', 'visa']) {
+    assert.equal((await get(`/api/rate/${provider}?date=2023-06-09&base=EUR&quote=USD`)).status, 200);
+  }
+  const { status, body } = await get('/api/currencies');
+  assert.equal(status, 200);
+  const byCode = Object.fromEntries(body.currencies.map((c) => [c.code, c]));
+  assert.deepEqual(
+    { name: byCode.JPY.name, minorUnits: byCode.JPY.minorUnits, symbol: byCode.JPY.symbol },
+    { name: 'Japanese Yen', minorUnits: 0, symbol: '¥' }
+  );
+  // Fixed lists for the reference and Amex
+  assert.deepEqual(byCode.USD.providers, { mid: true, mc: true, visa: true, amex: true });
+  assert.deepEqual(byCode.AED.providers, { mid: false, mc: null, visa: null, amex: false });
+  // The whole ISO 4217 table, so networks without a fixed list are not refused less common codes
+  assert.deepEqual(['LKR', 'GEL', 'XOF'].map((code) => byCode[code] && byCode[code].providers.mc), [null, null, null]);
+  assert.equal(byCode.XOF.minorUnits, 0);
+});
+
+test('rejects unknown or unsupported currencies with 422', async () => {
+  const unknown = await get('/api/rates?date=2023-06-09&base=EUR&quote=XYZ');
+  assert.equal(unknown.status, 422);
+  assert.match(unknown.body.error, /Unknown currency: XYZ/);
+  const amex = await get('/api/rate/amex?date=2023-06-09&base=EUR&quote=AED');
+  assert.equal(amex.status, 422);
+  assert.equal(amex.body.error, 'Amex does not support AED');
+  assert.equal((await get('/api/history?date=2023-06-09&base=XYZ&quote=USD')).status, 422);
+  assert.equal((await get('/api/matrix?date=2023-06-09&base=EUR&quotes=USD,XYZ')).status, 422);
+});
+
+test('a pair the reference does not cover is still priced by the networks that do', async () => {
+  const rates = await get('/api/rates?date=2023-06-09&base=EUR&quote=AED');
+  assert.equal(rates.status, 200);
+  assert.equal(rates.body.mid, null);
+  assert.equal(rates.body.status.mid.reason, 'Mid-Market does not support AED');
+  assert.equal(rates.body.status.amex.reason, 'Amex does not support AED');
+  assert.equal(rates.body.status.mc.status, 'ok');
+  close(rates.body.mc, 3.96275);
+  assert.equal(rates.body.mcDeltaPct, null);
+
+  const history = await get('/api/history?date=2023-06-09&base=EUR&quote=AED&days=2');
+  assert.equal(history.status, 200);
+  assert.equal(history.body.unsupported.mid, 'Mid-Market does not support AED');
+  assert.deepEqual(history.body.series.mid, [null, null]);
+  assert.deepEqual(history.body.series.mc, [3.95482, 3.96275]);
+
+  const matrix = await get('/api/matrix?date=2023-06-09&base=EUR&quotes=AED&providers=mc');
+  assert.equal(matrix.status, 200);
+});
+
+test('Amex ICC applies the variance of the base settlement currency', async () => {
+  const mid = (await get('/api/rate/mid?date=2023-06-09&base=USD&quote=EUR')).body.rate;
+  const { body } = await get('/api/rate/amex?date=2023-06-09&base=USD&quote=EUR');
+  close(body.rate, mid * (1 + AMEX_VARIANCE.ICC_USD_EUR / 100));
+});
+
+test('Amex ICC inverts the variance when only the quote is a settlement currency', async () => {
+  const mid = (await get('/api/rate/mid?date=2023-06-09&base=JPY&quote=EUR')).body.rate;
+  const { body } = await get('/api/rate/amex?date=2023-06-09&base=JPY&quote=EUR');
+  close(body.rate, mid / (1 + AMEX_VARIANCE.ICC_EURO_JPY / 100));
+});
+
+test('Amex ICC triangulates a cross pair through a settlement currency', async () => {
+  const mid = (await get('/api/rate/mid?date=2023-06-09&base=JPY&quote=GBP')).body.rate;
+  const { body } = await get('/api/rate/amex?date=2023-06-09&base=JPY&quote=GBP');
+  close(body.rate, (mid / (1 + AMEX_VARIANCE.ICC_EURO_JPY / 100)) * (1 + AMEX_VARIANCE.ICC_EURO_GBP / 100));
+  assert.equal(body.market, 'ICC');
+  assert.equal(body.derived, true);
+  assert.deepEqual(body.route, ['JPY', 'EUR', 'GBP']);
+  // No ICC snapshot goes back to 2023, so today's table stands in
+  assert.equal(body.estimated, true);
+});
+
+test('Amex pair missing from every ICC table is unsupported', async () => {
+  const { body } = await get('/api/rate/amex?date=2023-06-09&base=JPY&quote=ZAR');
+  assert.equal(body.unavailable, true);
+  assert.equal(body.reason, 'Currency pair not supported by Amex API');
+});
+
+test('Amex uses the card market chosen per request', async () => {
+  const mid = (await get('/api/rate/mid?date=2023-06-09&base=USD&quote=EUR')).body.rate;
+  const { body } = await get('/api/rate/amex?date=2023-06-09&base=USD&quote=EUR&market=IT');
+  // The Italian table is settled in euros, so the USD variance is inverted
+  close(body.rate, mid / (1 + AMEX_VARIANCE.IT_USD / 100));
+  assert.equal(body.market, 'IT');
+  assert.equal(body.derived, false);
+
+  assert.equal((await get('/api/rate/amex?date=2023-06-09&base=USD&quote=EUR&market=XX')).status, 400);
+});
+
+test('Amex prices weekends off the mid-market day the policy picks', async () => {
+  const next = await get('/api/rate/amex?date=2023-06-10&base=EUR&quote=USD&midPolicy=next');
+  close(next.body.rate, ECB['2023-06-12'].USD * (1 + AMEX_VARIANCE.IT_USD / 100));
+
+  const strict = await get('/api/rate/amex?date=2023-06-10&base=EUR&quote=USD&midPolicy=strict');
+  assert.equal(strict.body.unavailable, true);
+  assert.equal(strict.body.reason, 'No mid-market rate published on 2023-06-10');
+});
+
+test('GET /api/history fills weekends and failed days forward', async () => {
+  const { status, body } = await get('/api/history?date=2023-06-11&base=EUR&quote=USD&days=4');
+  assert.equal(status, 200);
+  assert.deepEqual(body.labels, ['2023-06-08', '2023-06-09', '2023-06-10', '2023-06-11']);
+
+  const fri = ECB['2023-06-09'].USD;
+  assert.deepEqual(body.series.mid, [ECB['2023-06-08'].USD, fri, fri, fri]);
+  assert.deepEqual(body.midAsOf, ['2023-06-08', '2023-06-09', '2023-06-09', '2023-06-09']);
+  assert.deepEqual(body.filled.mid, [false, false, true, true]);
+
+  // Mastercard answered 500 for the Saturday
+  close(body.series.mc[2], MC_EUR_USD['2023-06-09']);
+  close(body.series.mc[3], MC_EUR_USD['2023-06-11']);
+  assert.deepEqual(body.filled.mc, [false, false, true, false]);
+  assert.equal(body.partial, false);
+
+  // Amex follows the variance snapshot in effect on each day
+  close(body.series.amex[0], ECB['2023-06-08'].USD * (1 + AMEX_SNAPSHOT_IT_USD_0608 / 100));
+  close(body.series.amex[1], fri * (1 + AMEX_VARIANCE.IT_USD / 100));
+  assert.deepEqual(body.estimated.amex, [false, false, false, false]);
+});
+
+test('GET /api/stats summarises each network\'s markup over the range', async () => {
+  const { status, body } = await get('/api/stats?date=2023-06-11&base=EUR&quote=USD&days=4');
+  assert.equal(status, 200);
+  assert.equal(body.days, 4);
+  assert.equal(body.comparedDays, 4);
+
+  const fri = ECB['2023-06-09'].USD;
+  const mc = [
+    (MC_EUR_USD['2023-06-08'] - ECB['2023-06-08'].USD) / ECB['2023-06-08'].USD * 100,
+    (MC_EUR_USD['2023-06-09'] - fri) / fri * 100,
+    (MC_EUR_USD['2023-06-09'] - fri) / fri * 100,
+    (MC_EUR_USD['2023-06-11'] - fri) / fri * 100
+  ];
+  const sorted = mc.slice().sort((a, b) => a - b);
+  close(body.providers.mc.minPct, sorted[0]);
+  close(body.providers.mc.medianPct, (sorted[1] + sorted[2]) / 2);
+  close(body.providers.mc.maxPct, sorted[3]);
+  close(body.providers.mc.weekendPremiumPct, (mc[2] + mc[3]) / 2 - (mc[0] + mc[1]) / 2);
+  assert.equal(body.providers.mc.weekend.days, 2);
+
+  // Amex gives the most dollars every day; its markup is the snapshot's variance
+  assert.equal(body.providers.amex.cheapestShare, 1);
+  assert.equal(body.providers.mc.cheapestDays, 0);
+  assert.equal(body.providers.amex.jumps[0].date, '2023-06-09');
+  close(body.providers.amex.jumps[0].changePct, AMEX_VARIANCE.IT_USD - AMEX_SNAPSHOT_IT_USD_0608);
+
+  assert.equal((await get('/api/stats?date=2023-06-11&base=EUR&quote=XYZ')).status, 422);
+});
+
+test('GET /api/amex/snapshots reports recorded and newly taken snapshots', async () => {
+  const { status, body } = await get('/api/amex/snapshots');
+  assert.equal(status, 200);
+  assert.deepEqual(body.markets.IT, { first: '2023-06-08', last: '2023-06-09', days: 2 });
+  // Taken when ICC rates were fetched live
+  assert.equal(body.markets.ICC.days, 1);
+});
+
+test('GET /api/rates exports CSV', async () => {
+  const { status, headers, body } = await get('/api/rates?date=2023-06-09&base=EUR&quote=USD&format=csv');
+  assert.equal(status, 200);
+  assert.match(headers.get('content-type'), /^text\/csv/);
+  const [header, row] = body.trim().split('\r\n');
+  assert.equal(header, 'date,mid,midAsOf,midFilled,mc,mcMarkupPct,mcEffectiveMarkupPct,mcFilled,visa,visaMarkupPct,visaEffectiveMarkupPct,visaFilled,amex,amexMarkupPct,amexEffectiveMarkupPct,amexFilled');
+  assert.ok(row.startsWith(`2023-06-09,${ECB['2023-06-09'].USD},2023-06-09,false,`));
+});
+
+// The files of a zip, from its local headers
+function unzip(buffer) {
+  const files = {};
+  for (let offset = 0; buffer.readUInt32LE(offset) === 0x04034b50;) {
+    const packedLength = buffer.readUInt32LE(offset + 18);
+    const nameLength = buffer.readUInt16LE(offset + 26);
+    const name = buffer.toString('utf8', offset + 30, offset + 30 + nameLength);
+    const start = offset + 30 + nameLength;
+    files[name] = zlib.inflateRawSync(buffer.subarray(start, start + packedLength)).toString('utf8');
+    offset = start + packedLength;
+  }
+  return files;
+}
+
+test('GET /api/history exports one row per day as JSON Lines and XLSX', async () => {
+  const query = '/api/history?date=2023-06-11&base=EUR&quote=USD&days=4';
+  const columns = ['date', 'mid', 'midAsOf', 'midFilled', 'mc', 'mcMarkupPct', 'mcEffectiveMarkupPct', 'mcFilled', 'visa', 'visaMarkupPct', 'visaEffectiveMarkupPct', 'visaFilled', 'amex', 'amexMarkupPct', 'amexEffectiveMarkupPct', 'amexFilled'];
+
+  const jsonl = await fetch(`${baseUrl}${query}&format=jsonl`);
+  assert.equal(jsonl.status, 200);
+  assert.match(jsonl.headers.get('content-type'), /^application\/x-ndjson/);
+  assert.equal(jsonl.headers.get('content-disposition'), 'attachment; filename="history-EURUSD-2023-06-08-2023-06-11.jsonl"');
+  const rows = (await jsonl.text()).trim().split('\n').map((line) => JSON.parse(line));
+  assert.deepEqual(rows.map((r) => r.date), ['2023-06-08', '2023-06-09', '2023-06-10', '2023-06-11']);
+  for (const row of rows) assert.deepEqual(Object.keys(row), columns);
+  assert.deepEqual(rows.map((r) => r.midFilled), [false, false, true, true]);
+  assert.equal(rows[2].midAsOf, '2023-06-09');
+  close(rows[1].mc, MC_EUR_USD['2023-06-09']);
+  close(rows[1].mcMarkupPct, ((MC_EUR_USD['2023-06-09'] - ECB['2023-06-09'].USD) / ECB['2023-06-09'].USD) * 100);
+
+  const res = await fetch(`${baseUrl}${query}&format=xlsx`);
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get('content-type'), 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  assert.equal(res.headers.get('content-disposition'), 'attachment; filename="history-EURUSD-2023-06-08-2023-06-11.xlsx"');
+  const files = unzip(Buffer.from(await res.arrayBuffer()));
+  assert.deepEqual(Object.keys(files), ['[Content_Types].xml', '_rels/.rels', 'xl/workbook.xml', 'xl/_rels/workbook.xml.rels', 'xl/worksheets/sheet1.xml']);
+  const sheetRows = files['xl/worksheets/sheet1.xml'].match(/<row [^>]*>.*?<\/row>/g);
+  assert.equal(sheetRows.length, 5);
+  assert.deepEqual([...sheetRows[0].matchAll(/<t>([^<]*)<\/t>/g)].map((m) => m[1]), columns);
+  // Dates and ISO days are text, rates numbers and fill flags booleans
+  assert.match(sheetRows[2], new RegExp(`^<row r="3"><c r="A3" t="inlineStr"><is><t>2023-06-09</t></is></c><c r="B3"><v>${ECB['2023-06-09'].USD}</v></c><c r="C3" t="inlineStr"><is><t>2023-06-09</t></is></c><c r="D3" t="b"><v>0</v></c>`));
+  assert.match(sheetRows[3], /<c r="D4" t="b"><v>1<\/v><\/c>/);
+});
+
+test('the client returns text exports as strings and XLSX as bytes', async () => {
+  const client = createClient({ baseUrl });
+  const query = { date: '2023-06-09', base: 'EUR', quote: 'USD' };
+  const csv = await client.compareRates({ ...query, format: 'csv' });
+  assert.equal(typeof csv, 'string');
+  assert.match(csv.split('\n')[1], /^2023-06-09,/);
+
+  const xlsx = await client.compareRates({ ...query, format: 'xlsx' });
+  assert.ok(xlsx instanceof ArrayBuffer);
+  const sheet = unzip(Buffer.from(xlsx))['xl/worksheets/sheet1.xml'];
+  assert.equal(sheet.match(/<row [^>]*>/g).length, 2);
+  assert.match(sheet, new RegExp(`<c r="B2"><v>${ECB['2023-06-09'].USD}</v></c>`));
+});
+
+test('echoes a caller-supplied X-Request-Id and generates one otherwise', async () => {
+  const traced = await fetch(`${baseUrl}/api/providers`, { headers: { 'X-Request-Id': 'trace-123' } });
+  assert.equal(traced.headers.get('x-request-id'), 'trace-123');
+  const fresh = await fetch(`${baseUrl}/api/providers`, { headers: { 'X-Request-Id': 'not a valid id' } });
+  assert.match(fresh.headers.get('x-request-id'), /^\d+-[a-z0-9]+$/);
+});
+
+test('GET /api/health reports every provider\'s breaker', async () => {
+  const { status, body } = await get('/api/health');
+  assert.equal(status, 200);
+  assert.deepEqual(Object.keys(body.providers), ['mid', 'mc', 'visa', 'amex']);
+  // Earlier tests reached every upstream, and none failed often enough to open
+  for (const [id, health] of Object.entries(body.providers)) {
+    assert.equal(health.state, 'closed', id);
+    assert.ok(health.lastSuccessAt, id);
+    assert.ok(health.latency.samples > 0, id);
+  }
+  assert.equal(body.status, 'ok');
+  // The stand-in upstreams are reached directly, so the browser pool never launched
+  assert.equal(body.browser.state, 'stopped');
+  assert.deepEqual(Object.keys(body.browser.sites).sort(), ['amex', 'visa']);
+});
+
+test('GET /metrics exposes request, upstream, cache and history metrics', async () => {
+  const { status, headers, body } = await get('/metrics');
+  assert.equal(status, 200);
+  assert.match(headers.get('content-type'), /^text\/plain/);
+  assert.match(body, /^# TYPE fx_http_request_duration_seconds histogram$/m);
+  assert.match(body, /^fx_http_request_duration_seconds_count\{method="GET",route="\/api\/rate\/:provider",status="200"\} \d+$/m);
+  assert.match(body, /^fx_upstream_requests_total\{provider="mc",outcome="success"\} \d+$/m);
+  // The Mastercard 500s from the error fixtures
+  assert.match(body, /^fx_upstream_requests_total\{provider="mc",outcome="failure"\} [1-9]\d*$/m);
+  assert.match(body, /^fx_rate_cache_lookups_total\{cache="mid:published",result="hit"\} \d+$/m);
+  // Two filled days in each of the three /api/history calls
+  assert.match(body, /^fx_history_filled_days_total\{provider="mid"\} 6$/m);
+});
+
+test('watches refuse webhooks on loopback, private and link-local addresses', async () => {
+  const client = createClient({ baseUrl });
+  const watch = { provider: 'mc', base: 'EUR', quote: 'USD', metric: 'rate', op: 'below', threshold: 1 };
+  for (const webhookUrl of ['http://169.254.169.254/latest/meta-data', 'http://localhost:8080/hook', 'http://[::ffff:10.0.0.1]/hook']) {
+    await assert.rejects(client.createWatch({ ...watch, webhookUrl }), (error) => {
+      assert.equal(error.status, 400);
+      assert.match(error.message, /loopback, private or link-local/);
+      return true;
+    });
+  }
+  assert.deepEqual((await client.listWatches()).watches, []);
+});
+
+test('watches fire their webhook once per crossing and can be changed and deleted', async () => {
+  const { evaluateWatches } = await import('../watchlist.js');
+  const client = createClient({ baseUrl });
+  const watch = { provider: 'mc', base: 'EUR', quote: 'USD', metric: 'rate', op: 'above', threshold: 1 };
+  const { id } = await client.createWatch({ ...watch, webhookUrl: `${stub.url}/webhooks/rate` });
+  const { id: failingId } = await client.createWatch({ ...watch, webhookUrl: `${stub.url}/webhooks/down?status=500` });
+  const { id: flakyId } = await client.createWatch({ ...watch, webhookUrl: `${stub.url}/webhooks/flaky?fail=1` });
+  const check = () => evaluateWatches({ date: '2023-06-09' });
+  const delivered = () => stub.webhooks.filter((hook) => hook.path === '/webhooks/rate');
+  const attempts = (path) => stub.webhooks.filter((hook) => hook.path === path);
+
+  assert.deepEqual(await check(), { checked: 3, fired: 2 });
+  const [hook] = delivered();
+  assert.equal(hook.body.event, 'watch.triggered');
+  assert.equal(hook.headers['x-watch-event-id'], hook.body.eventId);
+  assert.equal(hook.body.watchId, id);
+  assert.equal(hook.body.date, '2023-06-09');
+  close(hook.body.value, MC_EUR_USD['2023-06-09']);
+  close(hook.body.rate, MC_EUR_USD['2023-06-09']);
+
+  const fired = await client.getWatch(id);
+  assert.equal(fired.triggered, true);
+  assert.equal(fired.lastFiredAt, fired.lastCheckedAt);
+  const failing = await client.getWatch(failingId);
+  assert.equal(failing.triggered, false);
+  assert.match(failing.lastError, /^Webhook delivery failed: .*500/);
+  // A 503 is retried (once, under the stand-in's limits) with the same event id
+  const [refused, retried] = attempts('/webhooks/flaky');
+  assert.equal(retried.headers['x-watch-event-id'], refused.headers['x-watch-event-id']);
+  assert.equal((await client.getWatch(flakyId)).triggered, true);
+
+  // The condition still holds: the fired watches stay quiet, the failed one tries again
+  assert.deepEqual(await check(), { checked: 3, fired: 0 });
+  assert.equal(delivered().length, 1);
+  assert.equal(attempts('/webhooks/flaky').length, 2);
+  assert.equal(attempts('/webhooks/down').length, 4);
+
+  // A changed condition starts over untriggered
+  const changed = await client.updateWatch(id, { threshold: 2 });
+  assert.equal(changed.triggered, false);
+  assert.deepEqual(await check(), { checked: 3, fired: 0 });
+  assert.equal((await client.getWatch(id)).triggered, false);
+
+  for (const watchId of [id, failingId, flakyId]) {
+    await client.deleteWatch(watchId);
+    await assert.rejects(client.getWatch(watchId), (error) => error.status === 404);
+  }
+  assert.deepEqual((await client.listWatches()).watches, []);
+});
+
+test('a cached lookup counts once in the cache metrics', async () => {
+  const lookups = async () => {
+    const { body } = await get('/metrics');
+    const count = (result) => Number((new RegExp(`^fx_rate_cache_lookups_total\\{cache="mc",result="${result}"\\} (\\d+)$`, 'm').exec(body) || [])[1] || 0);
+    return { hit: count('hit'), miss: count('miss') };
+  };
+  await get('/api/rates?date=2023-06-09&base=EUR&quote=USD');
+  const before = await lookups();
+  // Today and yesterday, both stored by the first request
+  await get('/api/rates?date=2023-06-09&base=EUR&quote=USD');
+  assert.deepEqual(await lookups(), { hit: before.hit + 2, miss: before.miss });
+});
+
+test('every JSON response matched the OpenAPI document', async () => {
+  const { body } = await get('/metrics');
+  assert.doesNotMatch(body, /^fx_openapi_response_mismatches_total\{/m);
+});
+
+test('every upstream request was answered from a fixture', () => {
+  assert.deepEqual(stub.misses, []);
+});
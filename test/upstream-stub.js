@@ -0,0 +1,152 @@
+// Local stand-in for the four upstreams. Replays responses recorded in
+// test/fixtures/<upstream>.json; with --record, requests that have no fixture
+// are forwarded to the real site and the answer is added to the fixtures.
+// POST /webhooks/* receives watch webhooks and keeps them in `webhooks`,
+// answering ?status= (204 by default), or 503 to the first ?fail= deliveries.
+//
+//   node test/upstream-stub.js [--record] [--port 4010]
+//
+// then start the app with the environment printed on startup.
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import axios from 'axios';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+// Path prefix on the stand-in -> real base URL
+const UPSTREAMS = {
+  frankfurter: 'https://api.frankfurter.app',
+  mastercard: 'https://www.mastercard.com/marketingservices/public/mccom-services/currency-conversions',
+  visa: 'https://www.visa.co.uk/cmsapi/fx/rates',
+  amex: 'https://www.americanexpress.com/gemservices/gcdt/ecbrates'
+};
+
+/**
+ * Environment that points the app at a stand-in running at `url`
+ * @param {string} url - e.g. 'http://127.0.0.1:4010'
+ * @returns {Object<string, string>}
+ */
+export function stubEnv(url) {
+  const host = new URL(url).host;
+  return {
+    FRANKFURTER_API: `${url}/frankfurter`,
+    MASTERCARD_API_BASE: `${url}/mastercard`,
+    VISA_URL: `${url}/visa/calculator`,
+    VISA_API_BASE: `${url}/visa`,
+    AMEX_URL: `${url}/amex/calculator`,
+    AMEX_API_BASE: `${url}/amex/`,
+    UPSTREAM_TRANSPORT: 'direct',
+    // Watch webhooks are sent to the stand-in's /webhooks
+    WEBHOOK_ALLOWED_HOSTS: new URL(url).hostname,
+    // Every upstream shares the stand-in's host, so lift the politeness limits
+    FETCH_HOST_LIMITS: JSON.stringify({ [host]: { concurrency: 16, ratePerSec: 1000, burst: 1000, retries: 1, baseDelayMs: 5, maxDelayMs: 5 } })
+  };
+}
+
+function loadFixtures(upstream) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${upstream}.json`), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+function saveFixtures(upstream, fixtures) {
+  fs.mkdirSync(FIXTURES_DIR, { recursive: true });
+  fs.writeFileSync(path.join(FIXTURES_DIR, `${upstream}.json`), JSON.stringify(fixtures, null, 2) + '\n');
+}
+
+function sameQuery(a, b) {
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every((k) => a[k] === b[k]);
+}
+
+async function record(upstream, method, rest, search) {
+  const response = await axios({
+    url: `${UPSTREAMS[upstream]}${rest}${search}`,
+    method,
+    headers: { 'Accept': 'application/json', 'User-Agent': 'Mozilla/5.0' },
+    validateStatus: () => true
+  });
+  return { status: response.status, body: response.data };
+}
+
+/**
+ * Start the stand-in
+ * @param {{ port?: number, record?: boolean }} [options]
+ * @returns {Promise<{ url: string, misses: string[], webhooks: Array<{ path: string, headers: Object, body: any }>, close: () => Promise<void> }>}
+ */
+export async function startUpstreamStub({ port = 0, record: recording = false } = {}) {
+  const fixtures = Object.fromEntries(Object.keys(UPSTREAMS).map((name) => [name, loadFixtures(name)]));
+  const misses = [];
+  const webhooks = [];
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://stub');
+    const [, upstream, ...parts] = url.pathname.split('/');
+    const rest = parts.length ? `/${parts.join('/')}` : '';
+    const query = Object.fromEntries(url.searchParams);
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    if (upstream === 'webhooks' && req.method === 'POST') {
+      let body = '';
+      for await (const chunk of req) body += chunk;
+      webhooks.push({ path: url.pathname, headers: req.headers, body: JSON.parse(body || 'null') });
+      const received = webhooks.filter((hook) => hook.path === url.pathname).length;
+      res.writeHead(received <= parseInt(query.fail || '0', 10) ? 503 : parseInt(query.status || '204', 10));
+      return res.end();
+    }
+
+    if (!UPSTREAMS[upstream]) {
+      return send(404, { error: `Unknown upstream: ${upstream}` });
+    }
+
+    const match = fixtures[upstream].find((f) => f.method === req.method && f.path === rest && sameQuery(f.query, query));
+    if (match) {
+      return send(match.status, match.body);
+    }
+
+    if (!recording) {
+      misses.push(`${req.method} /${upstream}${rest}${url.search}`);
+      return send(404, { error: 'No recorded response for this request' });
+    }
+
+    try {
+      const { status, body } = await record(upstream, req.method, rest, url.search);
+      fixtures[upstream].push({ method: req.method, path: rest, query, status, body });
+      saveFixtures(upstream, fixtures[upstream]);
+      send(status, body);
+    } catch (error) {
+      send(502, { error: `Recording failed: ${error.message}` });
+    }
+  });
+
+  await new Promise((resolve) => server.listen(port, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    misses,
+    webhooks,
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const args = process.argv.slice(2);
+  const portIndex = args.indexOf('--port');
+  const stub = await startUpstreamStub({
+    port: portIndex === -1 ? 4010 : parseInt(args[portIndex + 1], 10),
+    record: args.includes('--record')
+  });
+  console.log(`Upstream stand-in on ${stub.url}${args.includes('--record') ? ' (recording)' : ''}. Start the app with:\n`);
+  for (const [key, value] of Object.entries(stubEnv(stub.url))) {
+    console.log(`${key}='${value}'`);
+  }
+}
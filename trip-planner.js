@@ -0,0 +1,202 @@
+import { getProvider, getReferenceProvider, fetchProviderRate } from './providers.js';
+import { getFeeProfile, applyFees } from './fee-profiles.js';
+import { mapWithConcurrency, formatDate } from './scraper-utils.js';
+
+// Rate lookups in flight at once while pricing a plan, and the size limits of one plan
+const PLAN_CONCURRENCY = parseInt(process.env.PLAN_CONCURRENCY || '4', 10) || 4;
+export const MAX_PLAN_EXPENSES = 200;
+export const MAX_PLAN_CARDS = 10;
+
+// Expenses in this category are cash withdrawals and pay the card's ATM fee
+export const CASH_CATEGORY = 'cash';
+
+const finiteOr = (value, fallback) => (value === undefined || value === null || value === '' ? fallback : Number(value));
+
+/**
+ * Check a plan request and fill in card fees from their profiles
+ * @param {Object} body - { homeCurrency, expenses: [{ date, amount, currency, category }], cards: [{ id, name, network, profile, feePct, fixedFee, atmFee, feeCurrency }] }
+ * @returns {{ error: string } | { homeCurrency: string, expenses: Array<Object>, cards: Array<Object> }}
+ */
+export function parsePlan(body) {
+  const homeCurrency = String(body.homeCurrency || '').toUpperCase();
+  if (!/^[A-Z]{3}$/.test(homeCurrency)) {
+    return { error: 'Invalid homeCurrency. Expected a 3-letter code (e.g., EUR)' };
+  }
+
+  const { expenses, cards } = body;
+  if (!Array.isArray(expenses) || expenses.length === 0) {
+    return { error: 'Missing expenses. Expected a list of { date, amount, currency, category }' };
+  }
+  if (expenses.length > MAX_PLAN_EXPENSES) {
+    return { error: `Too many expenses. At most ${MAX_PLAN_EXPENSES} per plan` };
+  }
+  if (!Array.isArray(cards) || cards.length === 0) {
+    return { error: 'Missing cards. Expected a list of { network } or { profile }' };
+  }
+  if (cards.length > MAX_PLAN_CARDS) {
+    return { error: `Too many cards. At most ${MAX_PLAN_CARDS} per plan` };
+  }
+
+  const parsedExpenses = [];
+  for (const [i, expense] of expenses.entries()) {
+    const label = `Expense ${i + 1}`;
+    const amount = Number(expense.amount);
+    const currency = String(expense.currency || '').toUpperCase();
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(expense.date || '')) return { error: `${label}: invalid date. Expected YYYY-MM-DD` };
+    if (!(amount > 0)) return { error: `${label}: invalid amount. Expected a number above 0` };
+    if (!/^[A-Z]{3}$/.test(currency)) return { error: `${label}: invalid currency. Expected a 3-letter code` };
+    parsedExpenses.push({ date: expense.date, amount, currency, category: expense.category ? String(expense.category).trim().toLowerCase() : 'other' });
+  }
+
+  const parsedCards = [];
+  for (const [i, card] of cards.entries()) {
+    const label = `Card ${i + 1}`;
+    const profile = card.profile ? getFeeProfile(card.profile) : null;
+    if (card.profile && !profile) return { error: `${label}: unknown fee profile ${card.profile}` };
+    const network = card.network || (profile && profile.network);
+    const provider = getProvider(network);
+    if (!provider || provider.kind !== 'network') return { error: `${label}: invalid network ${network}` };
+    const fees = {
+      feePct: finiteOr(card.feePct, profile ? profile.fxFeePct || 0 : 0),
+      fixedFee: finiteOr(card.fixedFee, profile ? profile.fixedFee || 0 : 0),
+      atmFee: finiteOr(card.atmFee, profile ? profile.atmFee || 0 : 0)
+    };
+    if (!Object.values(fees).every((v) => Number.isFinite(v) && v >= 0)) {
+      return { error: `${label}: invalid fees. Expected numbers of 0 or more` };
+    }
+    // Flat fees are charged in the profile's billing currency, or in the home currency
+    const feeCurrency = String(card.feeCurrency || (profile && profile.currency) || homeCurrency).toUpperCase();
+    if (!/^[A-Z]{3}$/.test(feeCurrency)) return { error: `${label}: invalid feeCurrency. Expected a 3-letter code` };
+    const id = String(card.id || (profile && profile.id) || `card${i + 1}`);
+    if (parsedCards.some((c) => c.id === id)) return { error: `${label}: duplicate id ${id}` };
+    parsedCards.push({ id, name: card.name || (profile && profile.name) || provider.name, network, profile: profile ? profile.id : null, ...fees, feeCurrency });
+  }
+
+  return { homeCurrency, expenses: parsedExpenses, cards: parsedCards };
+}
+
+// What one expense costs in the home currency with a card, issuer fees included.
+// feeLookup converts the card's flat fees into the home currency
+function cardCost(card, expense, lookup, feeLookup, homeCurrency) {
+  const foreign = expense.currency !== homeCurrency;
+  const failed = lookup.rate === null ? lookup : foreign && feeLookup.rate === null ? feeLookup : null;
+  if (failed) {
+    return { rate: lookup.rate, cost: null, fee: null, total: null, status: failed.status, reason: failed.reason };
+  }
+  const cost = expense.amount * lookup.rate;
+  // Paying in the home currency is not a foreign transaction. Fees are priced
+  // as for every route and billed at the card's rate
+  const fees = foreign
+    ? applyFees(lookup.rate, expense.amount, {
+      profile: card.profile,
+      issuerFeePct: card.feePct,
+      fixedFee: card.fixedFee * feeLookup.rate,
+      atmFee: expense.category === CASH_CATEGORY ? card.atmFee * feeLookup.rate : 0
+    })
+    : null;
+  const fee = fees ? fees.feeAmount * lookup.rate : 0;
+  return { rate: lookup.rate, cost, fee, total: cost + fee, status: lookup.status, reason: lookup.reason };
+}
+
+/**
+ * Price every expense with each card's network (and the reference rate as a
+ * baseline) and work out which card to use for what. Rates are home currency
+ * per 1 unit of the expense currency, as the networks bill them. Future dates
+ * are priced with the latest rates and flagged `estimated`. Flat fees charged
+ * in another currency are converted at the reference rate of the last day priced.
+ * @param {{ homeCurrency: string, expenses: Array<Object>, cards: Array<Object> }} plan - From parsePlan
+ * @param {{ midPolicy?: string, market?: string }} [options]
+ */
+export async function planTrip({ homeCurrency, expenses, cards }, { midPolicy = 'previous', market } = {}) {
+  const reference = getReferenceProvider();
+  const today = formatDate(new Date());
+  const networks = [...new Set(cards.map((c) => c.network))];
+
+  const tasks = expenses.flatMap((expense, index) => [reference.id, ...networks].map((id) => ({ index, id })));
+  const lookups = await mapWithConcurrency(tasks, PLAN_CONCURRENCY, async ({ index, id }) => {
+    const expense = expenses[index];
+    if (expense.currency === homeCurrency) {
+      return { rate: 1, status: 'ok', reason: null };
+    }
+    const pricedOn = expense.date > today ? today : expense.date;
+    const provider = getProvider(id);
+    const result = await fetchProviderRate(provider, pricedOn, expense.currency, homeCurrency, expense.amount,
+      provider === reference ? { policy: midPolicy } : { market });
+    return { rate: result.rate, status: result.status, reason: result.reason };
+  });
+  const lookupFor = (index, id) => lookups[tasks.findIndex((t) => t.index === index && t.id === id)];
+
+  const lastPriced = expenses.map((e) => (e.date > today ? today : e.date)).sort().pop();
+  const feeLookups = new Map([[homeCurrency, { rate: 1, status: 'ok', reason: null }]]);
+  for (const card of cards) {
+    if (feeLookups.has(card.feeCurrency) || !(card.fixedFee || card.atmFee)) continue;
+    const result = await fetchProviderRate(reference, lastPriced, card.feeCurrency, homeCurrency, 1, { policy: midPolicy });
+    feeLookups.set(card.feeCurrency, result.rate === null
+      ? { rate: null, status: result.status, reason: `No ${reference.shortName} rate to convert flat card fees from ${card.feeCurrency}: ${result.reason}` }
+      : { rate: result.rate, status: 'ok', reason: null });
+  }
+  // Flat fees of 0 were not converted and cost nothing in any currency
+  const feeLookupFor = (card) => feeLookups.get(card.feeCurrency) || feeLookups.get(homeCurrency);
+
+  const pricedExpenses = expenses.map((expense, index) => {
+    const mid = lookupFor(index, reference.id);
+    const costs = Object.fromEntries(cards.map((card) => [card.id, cardCost(card, expense, lookupFor(index, card.network), feeLookupFor(card), homeCurrency)]));
+    const best = cards
+      .filter((card) => costs[card.id].total !== null)
+      .sort((a, b) => costs[a.id].total - costs[b.id].total)[0];
+    return {
+      ...expense,
+      pricedOn: expense.date > today ? today : expense.date,
+      estimated: expense.date > today,
+      mid: { rate: mid.rate, cost: mid.rate === null ? null : expense.amount * mid.rate },
+      costs,
+      bestCard: best ? best.id : null,
+      bestTotal: best ? costs[best.id].total : null
+    };
+  });
+
+  const midPriced = pricedExpenses.filter((e) => e.mid.cost !== null);
+  const midTotal = midPriced.reduce((sum, e) => sum + e.mid.cost, 0);
+
+  const cardTotals = cards.map((card) => {
+    const priced = pricedExpenses.filter((e) => e.costs[card.id].total !== null);
+    const total = priced.reduce((sum, e) => sum + e.costs[card.id].total, 0);
+    const fees = priced.reduce((sum, e) => sum + e.costs[card.id].fee, 0);
+    // Markup over what the same expenses cost at the reference rate
+    const baseline = priced.filter((e) => e.mid.cost !== null);
+    const baselineMid = baseline.reduce((sum, e) => sum + e.mid.cost, 0);
+    const baselineCard = baseline.reduce((sum, e) => sum + e.costs[card.id].total, 0);
+    return {
+      ...card,
+      total,
+      fees,
+      markupPct: baselineMid > 0 ? ((baselineCard - baselineMid) / baselineMid) * 100 : null,
+      priced: priced.length,
+      unpriced: expenses.length - priced.length,
+      complete: priced.length === expenses.length
+    };
+  });
+
+  const complete = cardTotals.filter((c) => c.complete).sort((a, b) => a.total - b.total);
+  const bestSingle = complete[0] || null;
+  const optimalComplete = pricedExpenses.every((e) => e.bestCard !== null);
+  const optimalTotal = pricedExpenses.reduce((sum, e) => sum + (e.bestTotal || 0), 0);
+  const split = Object.fromEntries(cards.map((card) => [card.id, pricedExpenses.filter((e) => e.bestCard === card.id).length]));
+
+  return {
+    homeCurrency,
+    mid: { total: midTotal, priced: midPriced.length, unpriced: expenses.length - midPriced.length },
+    cards: cardTotals,
+    expenses: pricedExpenses,
+    optimal: {
+      total: optimalTotal,
+      complete: optimalComplete,
+      split,
+      bestSingleCard: bestSingle ? bestSingle.id : null,
+      bestSingleTotal: bestSingle ? bestSingle.total : null,
+      // What splitting saves over putting everything on the best single card
+      savings: bestSingle && optimalComplete ? bestSingle.total - optimalTotal : null,
+      savingsPct: bestSingle && optimalComplete && bestSingle.total > 0 ? ((bestSingle.total - optimalTotal) / bestSingle.total) * 100 : null
+    }
+  };
+}
@@ -0,0 +1,344 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import dns from 'dns';
+import net from 'net';
+import { fileURLToPath } from 'url';
+import axios from 'axios';
+import { getProvider, getReferenceProvider, fetchProviderRate } from './providers.js';
+import { formatDate } from './scraper-utils.js';
+import { schedule } from './fetch-scheduler.js';
+import { logger } from './logger.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Serverless filesystems are read-only outside /tmp
+const DEFAULT_WATCHLIST_PATH = process.env.VERCEL || process.env.AWS_LAMBDA_FUNCTION_NAME
+  ? '/tmp/watches.json'
+  : path.join(__dirname, 'data', 'watches.json');
+
+const WATCHLIST_PATH = process.env.WATCHLIST_PATH || DEFAULT_WATCHLIST_PATH;
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+// Webhook hosts let through to loopback or private addresses, e.g. a receiver
+// on the same network: WEBHOOK_ALLOWED_HOSTS=hooks.internal,127.0.0.1
+const WEBHOOK_ALLOWED_HOSTS = (process.env.WEBHOOK_ALLOWED_HOSTS || '')
+  .split(',').map((host) => host.trim().toLowerCase()).filter(Boolean);
+
+// Addresses a webhook may not reach: unspecified, loopback, private, carrier-grade
+// NAT, link-local (cloud metadata), benchmarking, multicast and reserved.
+// IPv4-mapped IPv6 addresses match the IPv4 ranges.
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [prefix, bits] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv4');
+for (const [prefix, bits] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv6');
+}
+
+export const WATCH_METRICS = ['rate', 'markupPct'];
+export const WATCH_OPS = ['below', 'above'];
+
+/**
+ * A saved condition on one provider's rate for a pair
+ * @typedef {Object} Watch
+ * @property {string} id
+ * @property {string} provider - Provider id
+ * @property {string} base
+ * @property {string} quote
+ * @property {number} amount
+ * @property {'rate'|'markupPct'} metric - The rate itself, or the markup against
+ *   the reference rate as reported by /api/matrix (negative means worse than mid)
+ * @property {'below'|'above'} op
+ * @property {number} threshold
+ * @property {string} webhookUrl - Receives a JSON POST when the condition starts to hold
+ * @property {boolean} triggered - Fired and waiting for the condition to reset
+ * @property {string} createdAt
+ * @property {string|null} lastCheckedAt
+ * @property {number|null} lastValue
+ * @property {string|null} lastFiredAt
+ * @property {string|null} lastError
+ */
+
+let watches = null;
+
+function load() {
+  if (watches) return watches;
+  try {
+    watches = JSON.parse(fs.readFileSync(WATCHLIST_PATH, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error('watchlist_load_error', { path: WATCHLIST_PATH, message: error.message });
+    }
+    watches = [];
+  }
+  return watches;
+}
+
+function save() {
+  try {
+    fs.mkdirSync(path.dirname(WATCHLIST_PATH), { recursive: true });
+    const tmp = `${WATCHLIST_PATH}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(watches, null, 2));
+    fs.renameSync(tmp, WATCHLIST_PATH);
+  } catch (error) {
+    logger.error('watchlist_write_error', { path: WATCHLIST_PATH, message: error.message });
+  }
+}
+
+function validate(input, current = {}) {
+  const watch = { ...current, ...input };
+  const provider = getProvider(watch.provider);
+  if (!provider) return `Invalid provider: ${watch.provider}`;
+  if (!/^[A-Z]{3}$/.test(watch.base) || !/^[A-Z]{3}$/.test(watch.quote)) {
+    return 'Invalid currency format. Expected 3-letter codes (e.g., EUR, JPY)';
+  }
+  if (!WATCH_METRICS.includes(watch.metric)) return `Invalid metric. Use: ${WATCH_METRICS.join(' or ')}`;
+  if (watch.metric === 'markupPct' && provider.kind === 'reference') return 'markupPct needs a card network provider';
+  if (!WATCH_OPS.includes(watch.op)) return `Invalid op. Use: ${WATCH_OPS.join(' or ')}`;
+  if (typeof watch.threshold !== 'number' || !Number.isFinite(watch.threshold)) return 'Invalid threshold. Expected a number';
+  if (typeof watch.amount !== 'number' || !(watch.amount > 0)) return 'Invalid amount. Expected a number above 0';
+  try {
+    if (!['http:', 'https:'].includes(new URL(watch.webhookUrl).protocol)) throw new Error();
+  } catch {
+    return 'Invalid webhookUrl. Expected an http(s) URL';
+  }
+  return null;
+}
+
+const isBlockedAddress = (address) => BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+function blockedAddressError(hostname, address) {
+  const error = new Error(`${hostname} resolves to ${address}, a loopback, private or link-local address. Add the host to WEBHOOK_ALLOWED_HOSTS to allow it`);
+  error.code = 'EWEBHOOKBLOCKED';
+  return error;
+}
+
+// dns.lookup that refuses blocked addresses, used for the connection itself so
+// a name cannot resolve to a public address when checked and a private one when called
+function webhookLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+    if (blocked) return callback(blockedAddressError(hostname, blocked.address));
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Resolve the webhook's host and refuse loopback, private and link-local
+ * addresses unless the host is in WEBHOOK_ALLOWED_HOSTS
+ * @param {string} webhookUrl - Already checked to be an http(s) URL
+ * @returns {Promise<string|null>} Why the URL may not be called, or null
+ */
+async function checkWebhookHost(webhookUrl) {
+  const hostname = new URL(webhookUrl).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (WEBHOOK_ALLOWED_HOSTS.includes(hostname)) return null;
+  try {
+    const addresses = net.isIP(hostname) ? [{ address: hostname }] : await dns.promises.lookup(hostname, { all: true });
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+    return blocked ? `Invalid webhookUrl. ${blockedAddressError(hostname, blocked.address).message}` : null;
+  } catch (error) {
+    return `Invalid webhookUrl. Could not resolve ${hostname}: ${error.code || error.message}`;
+  }
+}
+
+function pickFields(input) {
+  const fields = {};
+  for (const key of ['provider', 'base', 'quote', 'metric', 'op', 'webhookUrl']) {
+    if (input[key] !== undefined) fields[key] = typeof input[key] === 'string' ? input[key].trim() : input[key];
+  }
+  for (const key of ['threshold', 'amount']) {
+    if (input[key] !== undefined) fields[key] = typeof input[key] === 'string' ? parseFloat(input[key]) : input[key];
+  }
+  if (fields.base) fields.base = String(fields.base).toUpperCase();
+  if (fields.quote) fields.quote = String(fields.quote).toUpperCase();
+  return fields;
+}
+
+/** @returns {Watch[]} */
+export function listWatches() {
+  return load();
+}
+
+/** @returns {Watch|null} */
+export function getWatch(id) {
+  return load().find((w) => w.id === id) || null;
+}
+
+/**
+ * @param {Object} input - provider, base, quote, metric, op, threshold, webhookUrl and optional amount
+ * @returns {Promise<{ error: string } | { watch: Watch }>}
+ */
+export async function createWatch(input) {
+  const fields = { amount: 1, ...pickFields(input) };
+  const error = validate(fields) || await checkWebhookHost(fields.webhookUrl);
+  if (error) return { error };
+
+  const watch = {
+    id: crypto.randomUUID(),
+    ...fields,
+    triggered: false,
+    createdAt: new Date().toISOString(),
+    lastCheckedAt: null,
+    lastValue: null,
+    lastFiredAt: null,
+    lastError: null
+  };
+  load().push(watch);
+  save();
+  return { watch };
+}
+
+/**
+ * Change a watch; a changed condition starts over untriggered
+ * @returns {Promise<{ error: string } | { watch: Watch } | null>} - null when the id is unknown
+ */
+export async function updateWatch(id, input) {
+  const watch = getWatch(id);
+  if (!watch) return null;
+  const fields = pickFields(input);
+  const error = validate(fields, watch) || (fields.webhookUrl !== undefined ? await checkWebhookHost(fields.webhookUrl) : null);
+  if (error) return { error };
+
+  Object.assign(watch, fields, { triggered: false });
+  save();
+  return { watch };
+}
+
+/** @returns {boolean} - false when the id is unknown */
+export function deleteWatch(id) {
+  const list = load();
+  const index = list.findIndex((w) => w.id === id);
+  if (index === -1) return false;
+  list.splice(index, 1);
+  save();
+  return true;
+}
+
+// Retried within the webhook host's limits (see fetch-scheduler.js) on 429,
+// 5xx and transient network errors, every attempt with the same event id so
+// receivers can drop duplicates. A delivery that still fails leaves the watch
+// untriggered, so the next check sends it again. Redirects are not followed,
+// since they could lead to a blocked address.
+async function deliver(watch, payload) {
+  const url = new URL(watch.webhookUrl);
+  const hostname = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  const allowed = WEBHOOK_ALLOWED_HOSTS.includes(hostname);
+  // Literal addresses are connected to without a lookup
+  if (!allowed && net.isIP(hostname) && isBlockedAddress(hostname)) throw blockedAddressError(hostname, hostname);
+  await schedule(url.host, () => axios.post(watch.webhookUrl, payload, {
+    timeout: WEBHOOK_TIMEOUT_MS,
+    maxRedirects: 0,
+    ...(allowed ? {} : { lookup: webhookLookup }),
+    headers: { 'Content-Type': 'application/json', 'X-Watch-Event-Id': payload.eventId }
+  }));
+}
+
+async function evaluateWatch(watch, date) {
+  const provider = getProvider(watch.provider);
+  const reference = getReferenceProvider();
+  if (!provider) {
+    watch.lastError = `Provider ${watch.provider} is not enabled`;
+    return;
+  }
+
+  const [result, midResult] = await Promise.all([
+    fetchProviderRate(provider, date, watch.base, watch.quote, watch.amount),
+    provider === reference ? null : fetchProviderRate(reference, date, watch.base, watch.quote)
+  ]);
+  const mid = provider === reference ? result.rate : midResult.rate;
+  const markupPct = (result.rate === null || !mid) ? null : ((result.rate - mid) / mid) * 100;
+  const value = watch.metric === 'rate' ? result.rate : markupPct;
+
+  watch.lastCheckedAt = new Date().toISOString();
+  if (value === null) {
+    watch.lastError = result.reason || 'Reference rate unavailable';
+    return;
+  }
+  watch.lastValue = value;
+  watch.lastError = null;
+
+  const holds = watch.op === 'below' ? value < watch.threshold : value > watch.threshold;
+  if (!holds) {
+    if (watch.triggered) {
+      logger.info('watch_reset', { watchId: watch.id, value });
+    }
+    watch.triggered = false;
+    return;
+  }
+  if (watch.triggered) return;
+
+  const payload = {
+    event: 'watch.triggered',
+    eventId: `${watch.id}:${watch.lastCheckedAt}`,
+    watchId: watch.id,
+    pair: `${watch.base}/${watch.quote}`,
+    base: watch.base,
+    quote: watch.quote,
+    provider: watch.provider,
+    date,
+    amount: watch.amount,
+    metric: watch.metric,
+    op: watch.op,
+    threshold: watch.threshold,
+    value,
+    rate: result.rate,
+    mid,
+    markupPct
+  };
+  try {
+    await deliver(watch, payload);
+    // Only once per crossing: stays quiet until the condition stops holding
+    watch.triggered = true;
+    watch.lastFiredAt = watch.lastCheckedAt;
+    logger.info('watch_fired', { watchId: watch.id, value, threshold: watch.threshold });
+  } catch (error) {
+    // Left untriggered, so the next check tries again
+    watch.lastError = `Webhook delivery failed: ${error.message}`;
+    logger.warn('watch_delivery_error', { watchId: watch.id, message: error.message });
+  }
+}
+
+let running = null;
+
+/**
+ * Check every watch against today's rates and fire webhooks for conditions
+ * that started to hold. Overlapping calls share one run.
+ * @param {{ date?: string }} [options] - The day whose rates are checked, today by default
+ * @returns {Promise<{ checked: number, fired: number }>}
+ */
+export function evaluateWatches({ date = formatDate(new Date()) } = {}) {
+  if (running) return running;
+  running = (async () => {
+    const list = load();
+    const firedBefore = list.filter((w) => w.triggered).map((w) => w.id);
+    for (const watch of list) {
+      await evaluateWatch(watch, date);
+    }
+    save();
+    const fired = list.filter((w) => w.triggered && !firedBefore.includes(w.id)).length;
+    logger.info('watches_evaluated', { checked: list.length, fired });
+    return { checked: list.length, fired };
+  })().finally(() => {
+    running = null;
+  });
+  return running;
+}
+
+/**
+ * Evaluate the watchlist on an interval for the life of the process
+ * @param {number} intervalMs
+ */
+export function startWatchScheduler(intervalMs) {
+  const timer = setInterval(() => {
+    evaluateWatches().catch((error) => {
+      logger.error('watches_error', { message: error.message, stack: error.stack });
+    });
+  }, intervalMs);
+  timer.unref();
+  return timer;
+}